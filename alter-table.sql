@@ -5,4 +5,37 @@ ADD COLUMN IF NOT EXISTS sync_frequency VARCHAR DEFAULT 'daily',
 ADD COLUMN IF NOT EXISTS sync_enabled BOOLEAN DEFAULT TRUE,
 ADD COLUMN IF NOT EXISTS data_freshness INTEGER,
 ADD COLUMN IF NOT EXISTS permission_scope JSONB,
-ADD COLUMN IF NOT EXISTS error_message TEXT;
\ No newline at end of file
+ADD COLUMN IF NOT EXISTS error_message TEXT,
+ADD COLUMN IF NOT EXISTS sync_locked_until TIMESTAMP;
+
+-- Add envelope encryption columns to oauth_tokens table
+ALTER TABLE oauth_tokens
+ADD COLUMN IF NOT EXISTS data_key TEXT,
+ADD COLUMN IF NOT EXISTS key_version INTEGER;
+
+-- Add filter and sort columns to insights table
+ALTER TABLE insights
+ADD COLUMN IF NOT EXISTS category VARCHAR,
+ADD COLUMN IF NOT EXISTS relevance_score INTEGER,
+ADD COLUMN IF NOT EXISTS is_starred BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS is_archived BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS export_history JSONB;
+
+-- Full-text search index for /api/insights?q=
+CREATE INDEX IF NOT EXISTS IDX_insights_search ON insights
+USING GIN (to_tsvector('english', title || ' ' || summary));
+
+-- Add AI budget columns to user_preferences table
+ALTER TABLE user_preferences
+ADD COLUMN IF NOT EXISTS ai_monthly_token_budget INTEGER,
+ADD COLUMN IF NOT EXISTS ai_budget_action VARCHAR DEFAULT 'degrade';
+
+-- Track defaults the user has edited, so bundled upgrades skip them
+ALTER TABLE templates
+ADD COLUMN IF NOT EXISTS forked BOOLEAN DEFAULT FALSE;
+
+-- Start the version history of templates saved before it existed
+INSERT INTO template_versions (template_row_id, revision, version, name, definition, forked, source, created_at)
+SELECT t.id, 1, t.version, t.name, t.definition, t.forked, CASE WHEN t.is_default THEN 'default' ELSE 'created' END, t.updated_at
+FROM templates t
+WHERE NOT EXISTS (SELECT 1 FROM template_versions v WHERE v.template_row_id = t.id);
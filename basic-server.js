@@ -1,12 +1,6 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { OpenAI } = require('openai');
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
 
 // Helper function to parse JSON body from requests
 const getRequestBody = (req) => {
@@ -86,7 +80,8 @@ const server = http.createServer((req, res) => {
     res.end(JSON.stringify({
       status: 'ok',
       message: 'Solstice API is running',
-      version: '1.0.0'
+      version: '1.0.0',
+      ai: { provider: null, model: null, available: false }
     }));
     return;
   }
@@ -224,143 +219,15 @@ const server = http.createServer((req, res) => {
     return;
   }
   
-  // Generate insight using OpenAI
-  if (req.url === '/api/generate-insight' && req.method === 'POST') {
-    console.log('Received request to /api/generate-insight');
-    getRequestBody(req)
-      .then(async (data) => {
-        try {
-          console.log('Processing insight generation request with data:', JSON.stringify(data));
-          // Get data samples and data types from the request
-          const { dataSamples = [], dataTypes = [], userId = '1' } = data;
-          
-          // Use a default sample if none provided
-          const samples = dataSamples.length > 0 
-            ? dataSamples.join('\n\n') 
-            : 'User frequently posts about technology and science topics. Shows interest in AI, space exploration, and renewable energy.';
-          
-          // Prepare the prompt for OpenAI
-          const insightTypes = ['behavioral', 'creative', 'emotional'];
-          const randomType = insightTypes[Math.floor(Math.random() * insightTypes.length)];
-          
-          const systemPrompt = `You are an AI assistant that analyzes user data to provide insightful observations about their behaviors, preferences, and patterns. Generate a ${randomType} insight based on the following data samples. Format your response as JSON with these fields: 
-          {
-            "title": "A concise, engaging title for the insight",
-            "description": "A 1-2 sentence specific, actionable insight that reveals something non-obvious",
-            "category": "One of: communication, preferences, wellness, productivity, creativity",
-            "type": "${randomType}"
-          }`;
-          
-          console.log('Sending request to OpenAI...');
-          
-          // Call OpenAI
-          const response = await openai.chat.completions.create({
-            model: "gpt-4o", // the newest OpenAI model is "gpt-4o" which was released May 13, 2024. do not change this unless explicitly requested by the user
-            messages: [
-              { role: "system", content: systemPrompt },
-              { role: "user", content: samples }
-            ],
-            response_format: { type: "json_object" },
-            temperature: 0.7
-          });
-          
-          console.log('OpenAI response received:', response.choices[0].message.content);
-          
-          // Parse the generated insight
-          const generatedInsight = JSON.parse(response.choices[0].message.content);
-          
-          // Add additional fields for the frontend
-          const insight = {
-            id: `insight-${Date.now()}`,
-            title: generatedInsight.title,
-            description: generatedInsight.description,
-            category: generatedInsight.category || 'preferences',
-            type: generatedInsight.type,
-            date: new Date().toISOString(),
-            userId,
-            icon: randomType === 'behavioral' ? 'chatbubbles' :
-                  randomType === 'creative' ? 'star' : 'heart',
-            color: randomType === 'behavioral' ? '#7c4dff' :
-                  randomType === 'creative' ? '#ff9800' : '#4caf50',
-          };
-          
-          console.log('Generated insight:', insight);
-          
-          // Add to existing insights in our mock DB
-          const existingInsights = insights || [];
-          insights = [insight, ...existingInsights];
-          
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(insight));
-        } catch (error) {
-          console.error('Error generating insight:', error);
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Failed to generate insight' }));
-        }
-      })
-      .catch(error => {
-        console.error('Error parsing request:', error);
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid request body' }));
-      });
-    return;
-  }
-  
-  // Analyze content using OpenAI
-  if (req.url === '/api/analyze-content' && req.method === 'POST') {
-    getRequestBody(req)
-      .then(async (data) => {
-        try {
-          const { content, type = 'behavioral' } = data;
-          
-          if (!content) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Content is required' }));
-            return;
-          }
-          
-          // Create a system prompt based on the analysis type
-          let systemPrompt;
-          if (type === 'behavioral') {
-            systemPrompt = 'Analyze the behavioral patterns in this text. Identify habits, routines, and decision-making patterns.';
-          } else if (type === 'creative') {
-            systemPrompt = 'Analyze the creative themes and patterns in this text. Identify recurring motifs, interests, and creative approaches.';
-          } else if (type === 'emotional') {
-            systemPrompt = 'Analyze the emotional patterns in this text. Identify mood fluctuations, emotional responses, and overall emotional tone.';
-          } else {
-            systemPrompt = 'Analyze this text and provide meaningful insights about the patterns you observe.';
-          }
-          
-          // Append JSON response format instruction
-          systemPrompt += ' Respond with a JSON object containing your analysis with these fields: {"summary": "Brief summary", "patterns": ["key pattern 1", "key pattern 2", "key pattern 3"], "primaryTheme": "main theme", "recommendations": ["suggestion 1", "suggestion 2"]}';
-          
-          // Call OpenAI
-          const response = await openai.chat.completions.create({
-            model: "gpt-4o", // the newest OpenAI model is "gpt-4o" which was released May 13, 2024. do not change this unless explicitly requested by the user
-            messages: [
-              { role: "system", content: systemPrompt },
-              { role: "user", content }
-            ],
-            response_format: { type: "json_object" },
-            temperature: 0.7
-          });
-          
-          // Parse the analysis
-          const analysis = JSON.parse(response.choices[0].message.content);
-          
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(analysis));
-        } catch (error) {
-          console.error('Error analyzing content:', error);
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Failed to analyze content' }));
-        }
-      })
-      .catch(error => {
-        console.error('Error parsing request:', error);
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid request body' }));
-      });
+  // AI endpoints are served by the database server (server/), which checks the
+  // signed-in user's rate limits and monthly AI budget; this server has no
+  // users to check them against, so it doesn't call an AI provider at all
+  if ((req.url === '/api/generate-insight' || req.url === '/api/analyze-content') && req.method === 'POST') {
+    res.writeHead(501, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      error: 'AI features need the database server',
+      details: 'Run the database server (npm run server) to use insight generation and content analysis'
+    }));
     return;
   }
   
@@ -0,0 +1,172 @@
+/**
+ * Generates src/services/apiClient.js from the server's OpenAPI document.
+ *
+ * Usage:
+ *   node generate-api-client.js [url-or-file]
+ *
+ * Defaults to http://localhost:5000/api/openapi.json, so start the server first.
+ * Rerun after adding or changing routes and commit the regenerated client.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const source = process.argv[2] || 'http://localhost:5000/api/openapi.json';
+const outputFile = path.join(__dirname, 'src', 'services', 'apiClient.js');
+
+async function loadDocument() {
+  if (/^https?:\/\//.test(source)) {
+    const response = await axios.get(source);
+    return response.data;
+  }
+  return JSON.parse(fs.readFileSync(source, 'utf8'));
+}
+
+// JSON schema -> JSDoc type expression
+function jsDocType(schema) {
+  if (!schema || Object.keys(schema).length === 0) {
+    return '*';
+  }
+  if (schema.$ref) {
+    return schema.$ref.split('/').pop();
+  }
+
+  let type;
+  if (schema.enum) {
+    type = schema.enum.map(value => JSON.stringify(value).replace(/"/g, "'")).join('|');
+    type = schema.enum.length > 1 ? `(${type})` : type;
+  } else if (schema.type === 'array') {
+    type = `Array<${jsDocType(schema.items)}>`;
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    type = 'number';
+  } else if (schema.type === 'string' || schema.type === 'boolean') {
+    type = schema.type;
+  } else {
+    type = 'Object';
+  }
+  return schema.nullable ? `?${type}` : type;
+}
+
+function typedef(name, schema) {
+  const lines = ['/**', ` * @typedef {Object} ${name}`];
+  const required = schema.required || [];
+  for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+    const propertyName = required.includes(property) ? property : `[${property}]`;
+    lines.push(` * @property {${jsDocType(propertySchema)}} ${propertyName}`);
+  }
+  lines.push(' */');
+  return lines.join('\n');
+}
+
+// "/api/insights/{id}/star" -> `/api/insights/${id}/star`
+function urlExpression(apiPath) {
+  return apiPath.includes('{')
+    ? '`' + apiPath.replace(/\{(\w+)\}/g, '${$1}') + '`'
+    : `'${apiPath}'`;
+}
+
+// "X-Next-Cursor" -> "nextCursor"
+function headerProperty(header) {
+  const words = header.replace(/^X-/i, '').split('-');
+  return words.map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())).join('');
+}
+
+function operationFunction(method, apiPath, operation) {
+  const pathParams = (operation.parameters || []).filter(param => param.in === 'path');
+  const queryParams = (operation.parameters || []).filter(param => param.in === 'query');
+  const body = operation.requestBody && operation.requestBody.content['application/json'].schema;
+  const successStatus = Object.keys(operation.responses).find(status => /^2\d\d$/.test(status));
+  const success = operation.responses[successStatus] || {};
+  const returns = success.content ? jsDocType(success.content['application/json'].schema) : '*';
+  const headers = Object.keys(success.headers || {});
+
+  const doc = ['/**', ` * ${operation.summary}`];
+  const args = [];
+  for (const param of pathParams) {
+    doc.push(` * @param {${jsDocType(param.schema)}} ${param.name}`);
+    args.push(param.name);
+  }
+  if (body) {
+    doc.push(` * @param {${jsDocType(body)}} body`);
+    args.push('body');
+  }
+  if (queryParams.length > 0) {
+    doc.push(' * @param {Object} [query]');
+    for (const param of queryParams) {
+      doc.push(` * @param {${jsDocType(param.schema)}} [query.${param.name}]`);
+    }
+    args.push('query = {}');
+  }
+
+  if (headers.length > 0) {
+    const headerTypes = headers.map(header => `${headerProperty(header)}: ?string`).join(', ');
+    doc.push(` * @returns {Promise<{data: ${returns}, ${headerTypes}}>}`);
+  } else {
+    doc.push(` * @returns {Promise<${returns}>}`);
+  }
+  doc.push(' */');
+
+  const callArgs = [urlExpression(apiPath)];
+  if (['post', 'put', 'patch'].includes(method)) {
+    callArgs.push(body ? 'body' : 'undefined');
+  }
+  if (queryParams.length > 0) {
+    callArgs.push('{ params: query }');
+  }
+  if (callArgs[callArgs.length - 1] === 'undefined') {
+    callArgs.pop();
+  }
+
+  const result = headers.length > 0
+    ? `{\n    data: response.data,\n${headers.map(header => `    ${headerProperty(header)}: response.headers['${header.toLowerCase()}'] || null,`).join('\n')}\n  }`
+    : 'response.data';
+
+  return [
+    doc.join('\n'),
+    `export const ${operation.operationId} = async (${args.join(', ')}) => {`,
+    `  const response = await api.${method}(${callArgs.join(', ')});`,
+    `  return ${result};`,
+    '};',
+  ].join('\n');
+}
+
+async function generate() {
+  const document = await loadDocument();
+
+  const typedefs = Object.entries(document.components.schemas)
+    .map(([name, schema]) => typedef(name, schema));
+
+  const functions = [];
+  for (const [apiPath, methods] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      // Browser redirect targets aren't called from the app, event streams are
+      // read with XMLHttpRequest (see postEventStream in chatService.js), and
+      // downloads are saved as files (see insightExport.js)
+      if (operation['x-redirect'] || operation['x-event-stream'] || operation['x-download']) continue;
+      functions.push(operationFunction(method, apiPath, operation));
+    }
+  }
+
+  const output = [
+    '/**',
+    ` * ${document.info.title} client`,
+    ' * Generated from the server\'s OpenAPI document by generate-api-client.js.',
+    ' * Do not edit by hand; rerun `node generate-api-client.js` after changing routes.',
+    ' */',
+    '',
+    "import { api } from './api';",
+    '',
+    typedefs.join('\n\n'),
+    '',
+    functions.join('\n\n'),
+    '',
+  ].join('\n');
+
+  fs.writeFileSync(outputFile, output);
+  console.log(`Wrote ${functions.length} operations to ${path.relative(__dirname, outputFile)}`);
+}
+
+generate().catch(err => {
+  console.error('Failed to generate the API client:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,13 @@
+/**
+ * Error raised when a provider can't be selected or fails to generate.
+ * status is the HTTP status the API should answer with.
+ */
+class ProviderError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+module.exports = { ProviderError };
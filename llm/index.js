@@ -0,0 +1,147 @@
+/**
+ * LLM providers
+ * All AI endpoints generate text through a provider instead of calling OpenAI
+ * directly. The deployment picks the default with LLM_PROVIDER and LLM_MODEL;
+ * a request may ask for another provider or model with { provider, model }.
+ *
+ * Providers share one interface:
+ *   isConfigured()                  whether the provider can be used here
+ *   defaultModel()                  model used when none is requested
+ *   complete(params)                -> { content, model, usage, finishReason }
+ *   stream(params, onToken)         -> { model, usage, finishReason }
+ * where params is { messages, model, temperature, maxTokens, responseFormat, signal }
+ * and usage uses OpenAI's { prompt_tokens, completion_tokens, total_tokens } shape.
+ */
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { createOfflineProvider } = require('./offline');
+const { ProviderError } = require('./errors');
+const { estimateUsage, estimateCostMicroUsd } = require('./usage');
+
+const providers = {
+  openai: createOpenAICompatibleProvider({
+    name: 'openai',
+    baseUrl: () => 'https://api.openai.com/v1',
+    apiKey: () => process.env.OPENAI_API_KEY,
+    defaultModel: () => 'gpt-4o',
+    requiresKey: true
+  }),
+  // llama.cpp, Ollama, vLLM or anything else speaking the OpenAI chat API
+  local: createOpenAICompatibleProvider({
+    name: 'local',
+    baseUrl: () => process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: () => process.env.LOCAL_LLM_API_KEY,
+    defaultModel: () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    requiresKey: false
+  }),
+  offline: createOfflineProvider()
+};
+
+// Cheaper models used once a user's monthly AI budget is spent and set to degrade
+const budgetFallbackModels = {
+  openai: 'gpt-4o-mini'
+};
+
+function defaultProviderName() {
+  return process.env.LLM_PROVIDER || 'openai';
+}
+
+// Providers a request may pick: only the deployment's default unless
+// LLM_ALLOWED_PROVIDERS names others
+function allowedProviderNames() {
+  const configured = listFromEnv('LLM_ALLOWED_PROVIDERS');
+  return configured.length > 0 ? configured : [defaultProviderName()];
+}
+
+// Models a request may ask for by name: only the provider's default model
+// unless LLM_ALLOWED_MODELS names others
+function allowedModels(name) {
+  const configured = listFromEnv('LLM_ALLOWED_MODELS');
+  return configured.length > 0 ? configured : [defaultModelFor(name)];
+}
+
+function defaultModelFor(name) {
+  // LLM_MODEL only applies to the deployment's default provider
+  return (name === defaultProviderName() && process.env.LLM_MODEL) || providers[name].defaultModel();
+}
+
+function listFromEnv(variable) {
+  return (process.env[variable] || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Pick the provider and model for a request
+ * @param {Object} selection - Optional { provider, model } from the request
+ * @returns {Object} { provider, model }
+ * @throws {ProviderError} 400 for an unknown or disallowed provider or model, 503 if it isn't configured
+ */
+function resolveProvider(selection = {}) {
+  const name = selection.provider || defaultProviderName();
+
+  findProvider(name);
+  if (name !== defaultProviderName() && !allowedProviderNames().includes(name)) {
+    throw new ProviderError(`AI provider ${name} is not enabled on this server`, 400);
+  }
+  if (selection.model && !allowedModels(name).includes(selection.model)) {
+    throw new ProviderError(`AI model ${selection.model} is not enabled on this server`, 400);
+  }
+
+  return configuredProvider(name, selection.model || defaultModelFor(name));
+}
+
+/**
+ * Pick the provider and model for a user whose monthly AI budget is spent.
+ * LLM_BUDGET_FALLBACK_PROVIDER and LLM_BUDGET_FALLBACK_MODEL choose them; by default
+ * it is the deployment's provider with a cheaper model where there is one.
+ * @returns {Object} { provider, model }
+ * @throws {ProviderError} As for resolveProvider
+ */
+function resolveBudgetFallbackProvider() {
+  const name = process.env.LLM_BUDGET_FALLBACK_PROVIDER || defaultProviderName();
+  return configuredProvider(name, process.env.LLM_BUDGET_FALLBACK_MODEL || budgetFallbackModels[name]);
+}
+
+function findProvider(name) {
+  if (!providers[name]) {
+    throw new ProviderError(`Unknown AI provider: ${name}. Must be one of: ${Object.keys(providers).join(', ')}`, 400);
+  }
+  return providers[name];
+}
+
+function configuredProvider(name, model) {
+  const provider = findProvider(name);
+
+  if (!provider.isConfigured()) {
+    throw new ProviderError(
+      name === 'openai' ? 'OpenAI API key is missing' : `AI provider ${name} is not configured`,
+      503
+    );
+  }
+
+  return { provider, model: model || provider.defaultModel() };
+}
+
+/**
+ * Describe the default provider for status endpoints
+ * @returns {Object} { provider, model, available }
+ */
+function describeDefaultProvider() {
+  const provider = providers[defaultProviderName()];
+  return {
+    provider: defaultProviderName(),
+    model: provider ? defaultModelFor(defaultProviderName()) : null,
+    available: !!provider && provider.isConfigured()
+  };
+}
+
+module.exports = {
+  ProviderError,
+  resolveProvider,
+  resolveBudgetFallbackProvider,
+  describeDefaultProvider,
+  providerNames: Object.keys(providers),
+  estimateUsage,
+  estimateCostMicroUsd
+};
@@ -0,0 +1,77 @@
+/**
+ * Deterministic offline provider for development and automated tests.
+ * Makes no network calls: the same messages always produce the same reply.
+ * Text replies echo the last user message with a short digest of the prompt;
+ * JSON replies echo the example object from the system prompt when there is one.
+ */
+const crypto = require('crypto');
+const { estimateUsage } = require('./usage');
+
+const DEFAULT_MODEL = 'offline-echo';
+
+function createOfflineProvider() {
+  const reply = (params) => {
+    const digest = crypto.createHash('sha256')
+      .update(JSON.stringify(params.messages))
+      .digest('hex')
+      .substring(0, 8);
+
+    const content = params.responseFormat === 'json'
+      ? JSON.stringify(jsonReply(params.messages, digest))
+      : textReply(params.messages, digest);
+
+    return {
+      content,
+      model: params.model || DEFAULT_MODEL,
+      usage: estimateUsage(params.messages, content),
+      finishReason: 'stop'
+    };
+  };
+
+  return {
+    name: 'offline',
+    defaultModel: () => DEFAULT_MODEL,
+    isConfigured: () => true,
+
+    complete: async (params) => reply(params),
+
+    stream: async (params, onToken) => {
+      const { content, model, usage, finishReason } = reply(params);
+      // Word-sized chunks, keeping the whitespace so the chunks join back exactly
+      for (const token of content.match(/\S+\s*/g) || []) {
+        onToken(token);
+      }
+      return { model, usage, finishReason };
+    }
+  };
+}
+
+function lastUserMessage(messages) {
+  const message = [...messages].reverse().find(msg => msg.role === 'user');
+  return message ? String(message.content) : '';
+}
+
+function textReply(messages, digest) {
+  const question = lastUserMessage(messages).replace(/\s+/g, ' ').trim();
+  const excerpt = question.length > 120 ? `${question.substring(0, 117)}...` : question;
+  return `This is an offline response (${digest}). You said: "${excerpt}"`;
+}
+
+// Echo the JSON example the system prompt asks for, so callers get the fields they expect
+function jsonReply(messages, digest) {
+  const system = messages.find(msg => msg.role === 'system');
+  const prompt = system ? String(system.content) : '';
+  const start = prompt.indexOf('{');
+  const end = prompt.lastIndexOf('}');
+
+  if (start !== -1 && end > start) {
+    try {
+      return JSON.parse(prompt.substring(start, end + 1));
+    } catch (error) {
+      // Not valid JSON; fall through to the generic reply
+    }
+  }
+  return { summary: textReply(messages, digest) };
+}
+
+module.exports = { createOfflineProvider };
@@ -0,0 +1,144 @@
+/**
+ * Provider for any OpenAI-compatible chat completions API: OpenAI itself, or a
+ * local server such as llama.cpp or Ollama that exposes /v1/chat/completions.
+ */
+const axios = require('axios');
+const { ProviderError } = require('./errors');
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name used to select it
+ * @param {Function} config.baseUrl - Returns the API base URL, e.g. https://api.openai.com/v1
+ * @param {Function} config.apiKey - Returns the API key, if any
+ * @param {Function} config.defaultModel - Returns the model used when none is requested
+ * @param {boolean} config.requiresKey - Whether the provider is unusable without an API key
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider(config) {
+  const request = (params, extra = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    const apiKey = config.apiKey();
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    return axios.post(
+      `${config.baseUrl().replace(/\/$/, '')}/chat/completions`,
+      {
+        model: params.model,
+        messages: params.messages,
+        temperature: params.temperature ?? 0.7,
+        max_tokens: params.maxTokens,
+        response_format: params.responseFormat === 'json' ? { type: 'json_object' } : undefined,
+        ...extra.body
+      },
+      { headers, ...extra.options }
+    );
+  };
+
+  return {
+    name: config.name,
+    defaultModel: config.defaultModel,
+
+    isConfigured: () => !config.requiresKey || !!config.apiKey(),
+
+    /**
+     * Generate a complete reply
+     * @param {Object} params - { messages, model, temperature, maxTokens, responseFormat }
+     * @returns {Promise<Object>} { content, model, usage, finishReason }
+     */
+    complete: async (params) => {
+      try {
+        const response = await request(params);
+        const choice = response.data.choices[0];
+
+        return {
+          content: choice.message.content,
+          model: response.data.model || params.model,
+          usage: response.data.usage || null,
+          finishReason: choice.finish_reason || null
+        };
+      } catch (error) {
+        throw providerError(config.name, error);
+      }
+    },
+
+    /**
+     * Generate a reply, calling onToken with each chunk of text as it arrives
+     * @param {Object} params - As for complete, plus an optional AbortSignal in signal
+     * @param {Function} onToken - Called with each text chunk
+     * @returns {Promise<Object>} { model, usage, finishReason }
+     */
+    stream: async (params, onToken) => {
+      let response;
+      try {
+        response = await request(params, {
+          body: { stream: true, stream_options: { include_usage: true } },
+          options: { responseType: 'stream', signal: params.signal }
+        });
+      } catch (error) {
+        throw providerError(config.name, error);
+      }
+
+      let model = params.model;
+      let usage = null;
+      let finishReason = null;
+
+      await readCompletionStream(response.data, (chunk) => {
+        model = chunk.model || model;
+        usage = chunk.usage || usage;
+
+        const choice = chunk.choices && chunk.choices[0];
+        if (!choice) return;
+
+        finishReason = choice.finish_reason || finishReason;
+        if (choice.delta && choice.delta.content) {
+          onToken(choice.delta.content);
+        }
+      });
+
+      return { model, usage, finishReason };
+    }
+  };
+}
+
+// Wrap an HTTP failure without leaking the provider's response body
+function providerError(name, error) {
+  if (axios.isCancel(error)) {
+    return error;
+  }
+  const details = error.response
+    ? `${name} returned ${error.response.status}`
+    : `${name} is unreachable: ${error.message}`;
+  return new ProviderError(details, 502);
+}
+
+// Parse a streamed completion ("data: {...}" lines ending with "data: [DONE]"),
+// calling onChunk for each parsed chunk
+function readCompletionStream(stream, onChunk) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+
+    stream.on('data', (data) => {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data: /, '').trim();
+        if (!line.startsWith('data: ') || payload === '[DONE]') continue;
+
+        try {
+          onChunk(JSON.parse(payload));
+        } catch (error) {
+          console.warn('Skipping malformed completion chunk:', payload.substring(0, 100));
+        }
+      }
+    });
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+}
+
+module.exports = { createOpenAICompatibleProvider };
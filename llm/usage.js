@@ -0,0 +1,54 @@
+/**
+ * Token usage helpers shared by the providers and the usage ledger.
+ * Costs are estimates in micro-dollars (millionths of a US dollar), which keeps
+ * them integers: a price per million tokens times a token count is micro-dollars.
+ */
+
+// USD per million tokens, by model name prefix. Local and offline models cost nothing.
+const MODEL_PRICES = [
+  { prefix: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+  { prefix: 'gpt-4o', input: 2.5, output: 10 },
+  { prefix: 'gpt-4-turbo', input: 10, output: 30 },
+  { prefix: 'gpt-4', input: 30, output: 60 },
+  { prefix: 'gpt-3.5-turbo', input: 0.5, output: 1.5 }
+];
+
+/**
+ * Estimate usage for a reply the provider didn't report usage for,
+ * at roughly four characters per token, in OpenAI's usage shape
+ * @param {Array} messages - Prompt messages
+ * @param {string} content - Reply text
+ * @returns {Object} { prompt_tokens, completion_tokens, total_tokens }
+ */
+function estimateUsage(messages, content) {
+  const promptTokens = Math.ceil(messages.reduce((total, msg) => total + String(msg.content).length, 0) / 4);
+  const completionTokens = Math.ceil(content.length / 4);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Estimated cost of a completion
+ * @param {string} providerName - Provider that served it
+ * @param {string} model - Model that served it
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @returns {number} Cost in micro-dollars
+ */
+function estimateCostMicroUsd(providerName, model, usage) {
+  if (providerName !== 'openai' || !usage) {
+    return 0;
+  }
+  const price = MODEL_PRICES.find(entry => String(model).startsWith(entry.prefix));
+  if (!price) {
+    return 0;
+  }
+  return Math.round((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output);
+}
+
+module.exports = {
+  estimateUsage,
+  estimateCostMicroUsd
+};
@@ -47,6 +47,8 @@ async function pushSchema() {
         notifications_enabled BOOLEAN DEFAULT TRUE,
         data_processing_enabled BOOLEAN DEFAULT TRUE,
         enhanced_profiling_enabled BOOLEAN DEFAULT FALSE,
+        ai_monthly_token_budget INTEGER,
+        ai_budget_action VARCHAR DEFAULT 'degrade',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
@@ -69,6 +71,7 @@ async function pushSchema() {
         config JSONB,
         permission_scope JSONB,
         error_message TEXT,
+        sync_locked_until TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
@@ -81,6 +84,8 @@ async function pushSchema() {
         data_source_id INTEGER NOT NULL UNIQUE REFERENCES data_sources(id) ON DELETE CASCADE,
         access_token TEXT NOT NULL,
         refresh_token TEXT,
+        data_key TEXT,
+        key_version INTEGER,
         expires_at TIMESTAMP,
         token_type VARCHAR DEFAULT 'Bearer',
         scope VARCHAR,
@@ -89,20 +94,150 @@ async function pushSchema() {
       );
     `);
     
+    // Create oauth_states table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS oauth_states (
+        nonce VARCHAR PRIMARY KEY,
+        user_id VARCHAR NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR NOT NULL,
+        code_verifier VARCHAR NOT NULL,
+        redirect_uri VARCHAR NOT NULL,
+        status VARCHAR NOT NULL DEFAULT 'pending',
+        data_source_id INTEGER REFERENCES data_sources(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    
+    // Create data_points table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS data_points (
+        id SERIAL PRIMARY KEY,
+        data_source_id INTEGER NOT NULL REFERENCES data_sources(id) ON DELETE CASCADE,
+        user_id VARCHAR NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        data_type VARCHAR NOT NULL,
+        recorded_at TIMESTAMP NOT NULL,
+        payload JSONB NOT NULL,
+        record_hash VARCHAR NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS IDX_data_points_source_type_recorded ON data_points (data_source_id, data_type, recorded_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS IDX_data_points_source_record_hash ON data_points (data_source_id, record_hash);
+    `);
+    
     // Create insights table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS insights (
         id SERIAL PRIMARY KEY,
         user_id VARCHAR NOT NULL REFERENCES users(id) ON DELETE CASCADE,
         type VARCHAR NOT NULL,
+        category VARCHAR,
         title VARCHAR NOT NULL,
         summary TEXT NOT NULL,
         details JSONB,
         confidence INTEGER,
         sources JSONB,
+        relevance_score INTEGER,
+        is_starred BOOLEAN DEFAULT FALSE,
+        is_archived BOOLEAN DEFAULT FALSE,
+        export_history JSONB,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+      CREATE INDEX IF NOT EXISTS IDX_insights_search ON insights
+        USING GIN (to_tsvector('english', title || ' ' || summary));
+    `);
+    
+    // Create conversations and messages tables
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        title VARCHAR NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS IDX_conversations_user_updated ON conversations (user_id, updated_at);
+      
+      CREATE TABLE IF NOT EXISTS messages (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        role VARCHAR NOT NULL,
+        content TEXT NOT NULL,
+        context_data JSONB,
+        model VARCHAR,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS IDX_messages_conversation_created ON messages (conversation_id, created_at);
+    `);
+    
+    // Create templates table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS templates (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        template_id VARCHAR NOT NULL,
+        type VARCHAR NOT NULL,
+        name VARCHAR NOT NULL,
+        version VARCHAR NOT NULL DEFAULT '1.0.0',
+        is_default BOOLEAN DEFAULT FALSE,
+        forked BOOLEAN DEFAULT FALSE,
+        definition JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS IDX_templates_user_template ON templates (user_id, template_id);
+      
+      CREATE TABLE IF NOT EXISTS template_versions (
+        id SERIAL PRIMARY KEY,
+        template_row_id INTEGER NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        version VARCHAR NOT NULL,
+        name VARCHAR NOT NULL,
+        definition JSONB NOT NULL,
+        forked BOOLEAN DEFAULT FALSE,
+        source VARCHAR NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS IDX_template_versions_template_revision ON template_versions (template_row_id, revision);
+    `);
+    
+    // Create ai_usage table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        endpoint VARCHAR NOT NULL,
+        template_id VARCHAR,
+        provider VARCHAR NOT NULL,
+        model VARCHAR NOT NULL,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        cost_micro_usd INTEGER NOT NULL DEFAULT 0,
+        estimated BOOLEAN DEFAULT FALSE,
+        degraded BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS IDX_ai_usage_user_created ON ai_usage (user_id, created_at);
+    `);
+    
+    // Create takeouts table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS takeouts (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR NOT NULL DEFAULT 'pending',
+        file_name VARCHAR,
+        size INTEGER,
+        manifest JSONB,
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        expires_at TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS IDX_takeouts_user_created ON takeouts (user_id, created_at);
     `);
     
     console.log('Database schema created successfully!');
@@ -2,7 +2,6 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const axios = require('axios');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -19,7 +18,8 @@ app.get('/api/status', (req, res) => {
   res.json({ 
     status: 'online', 
     timestamp: new Date().toISOString(),
-    hasOpenAiKey: !!process.env.OPENAI_API_KEY
+    // No AI here; see the AI endpoints below
+    ai: { provider: null, model: null, available: false }
   });
 });
 
@@ -73,12 +73,34 @@ let userData = {
   ]
 };
 
+// Fields a client may write on each mock resource
+const writableFields = {
+  preferences: ['theme', 'notifications', 'dataRetention'],
+  newDataSource: ['id', 'name', 'type', 'connected', 'lastSync'],
+  dataSource: ['name', 'type', 'connected', 'lastSync'],
+};
+
+// Middleware: reject a body containing anything outside the route's writable fields
+function allowFields(fields) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const errors = Object.keys(body)
+      .filter(field => !fields.includes(field))
+      .map(field => ({ field, message: 'Field is not writable' }));
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid request body', errors });
+    }
+    next();
+  };
+}
+
 // User preferences endpoints
 app.get('/api/preferences', (req, res) => {
   res.json(userData.preferences);
 });
 
-app.post('/api/preferences', (req, res) => {
+app.post('/api/preferences', allowFields(writableFields.preferences), (req, res) => {
   userData.preferences = { ...userData.preferences, ...req.body };
   res.json(userData.preferences);
 });
@@ -88,7 +110,7 @@ app.get('/api/data-sources', (req, res) => {
   res.json(userData.dataSources);
 });
 
-app.post('/api/data-sources', (req, res) => {
+app.post('/api/data-sources', allowFields(writableFields.newDataSource), (req, res) => {
   const { id } = req.body;
   
   // Check if source already exists
@@ -110,7 +132,7 @@ app.post('/api/data-sources', (req, res) => {
   res.status(201).json(newSource);
 });
 
-app.put('/api/data-sources/:id', (req, res) => {
+app.put('/api/data-sources/:id', allowFields(writableFields.dataSource), (req, res) => {
   const id = req.params.id;
   const index = userData.dataSources.findIndex(source => source.id === id);
   
@@ -172,27 +194,6 @@ app.get('/api/data-sources/:id/data', (req, res) => {
   }
 });
 
-// OAuth connection endpoint
-app.post('/api/oauth/connect', (req, res) => {
-  const { sourceId, redirectUrl } = req.body;
-  
-  const source = userData.dataSources.find(source => source.id === sourceId);
-  if (!source) {
-    return res.status(404).json({ error: 'Data source not found' });
-  }
-  
-  // In a real implementation, this would initiate the OAuth flow
-  // For now, simulate a successful connection
-  res.json({
-    status: 'connected',
-    token: {
-      access_token: `mock_access_token_${sourceId}`,
-      refresh_token: `mock_refresh_token_${sourceId}`,
-      expires_at: new Date(Date.now() + 3600 * 1000).toISOString()
-    }
-  });
-});
-
 // Helper function to generate mock data for testing
 function generateMockData(source, dataType, options = {}) {
   // This would be replaced with real data in a production environment
@@ -268,191 +269,14 @@ app.get('/api/insights/:id', (req, res) => {
   }
 });
 
-// OpenAI integration for template-based insights
-app.post('/api/generate-insight', async (req, res) => {
-  try {
-    const { systemPrompt, userPrompt, format = 'markdown' } = req.body;
-    
-    if (!systemPrompt || !userPrompt) {
-      return res.status(400).json({ error: 'System prompt and user prompt are required' });
-    }
-    
-    // Check if OpenAI API key is available
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: 'OpenAI API key is missing' });
-    }
-    
-    // Call OpenAI API
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4o', // the newest OpenAI model is "gpt-4o" which was released May 13, 2024. do not change this unless explicitly requested by the user
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 2000,
-        response_format: format === 'json' ? { type: 'json_object' } : undefined
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-        }
-      }
-    );
-    
-    // Extract a title from the content using a simple heuristic
-    let title = 'AI Generated Insight';
-    const content = response.data.choices[0].message.content;
-    
-    // Try to extract a title from markdown/text
-    const firstLineMatch = content.match(/^#\s+(.+)$/) || content.match(/^(.+?)\n/);
-    if (firstLineMatch) {
-      title = firstLineMatch[1].trim().replace(/^#+\s+/, '');
-      // Limit title length
-      if (title.length > 50) {
-        title = title.substring(0, 47) + '...';
-      }
-    }
-    
-    // Save the generated insight
-    const newInsight = {
-      id: Date.now(),
-      title,
-      content,
-      timestamp: new Date().toISOString(),
-      source: 'ai-template',
-      type: 'generated'
-    };
-    
-    userData.insights.push(newInsight);
-    
-    // Return the result
-    res.json({
-      result: content,
-      insight: newInsight
-    });
-  } catch (error) {
-    console.error('Error generating insight:', error.response?.data || error.message);
-    res.status(500).json({ 
-      error: 'Failed to generate insight', 
-      details: error.response?.data?.error?.message || error.message 
-    });
-  }
-});
-
-// Chat API endpoint for conversational interface
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { messages, options = {} } = req.body;
-    
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ error: 'Messages array is required' });
-    }
-    
-    // Check if OpenAI API key is available
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: 'OpenAI API key is missing' });
-    }
-    
-    // Set up request parameters
-    const requestParams = {
-      model: 'gpt-4o', // the newest OpenAI model is "gpt-4o" which was released May 13, 2024. do not change this unless explicitly requested by the user
-      messages,
-      temperature: options.temperature || 0.7,
-      max_tokens: options.max_tokens || 800
-    };
-    
-    if (options.responseFormat) {
-      requestParams.response_format = options.responseFormat;
-    }
-    
-    // Call OpenAI API
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      requestParams,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-        }
-      }
-    );
-    
-    // Extract the response content
-    const assistantResponse = response.data.choices[0].message.content;
-    
-    // Log the conversation for debugging/analytics
-    if (messages.length >= 2) {
-      const userMessage = messages[messages.length - 1].content;
-      console.log(`Chat: User asked "${userMessage.substring(0, 50)}..." and received response.`);
-    }
-    
-    // Return the result
-    res.json({
-      response: assistantResponse,
-      model: response.data.model,
-      usage: response.data.usage
-    });
-  } catch (error) {
-    console.error('Error in chat endpoint:', error.response?.data || error.message);
-    res.status(500).json({ 
-      error: 'Failed to get chat response', 
-      details: error.response?.data?.error?.message || error.message 
-    });
-  }
-});
-
-// Multi-source insight generation
-app.post('/api/multi-source-insight', async (req, res) => {
-  try {
-    const { dataSources, templateId } = req.body;
-    
-    if (!dataSources || !templateId) {
-      return res.status(400).json({ error: 'Data sources and template ID are required' });
-    }
-    
-    // Fetch data from sources and format for the template
-    // This is a simplified implementation
-    const formattedData = {};
-    
-    // Format the data for the template
-    // In a real implementation, this would process the data from each source
-    Object.entries(dataSources).forEach(([key, value]) => {
-      formattedData[key] = value;
-    });
-    
-    // Use a placeholder for now
-    // In a real implementation, we would load the template and apply it
-    
-    const newInsight = {
-      id: Date.now(),
-      title: 'Multi-Source Insight',
-      content: `This insight was generated using template ${templateId} with data from ${Object.keys(dataSources).length} sources.`,
-      timestamp: new Date().toISOString(),
-      source: 'multi-source',
-      type: 'complex',
-      templateId
-    };
-    
-    userData.insights.push(newInsight);
-    
-    res.json(newInsight);
-  } catch (error) {
-    console.error('Error generating multi-source insight:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate multi-source insight', 
-      details: error.message 
-    });
-  }
+// AI endpoints are served by the database server (server/), which checks the
+// signed-in user's rate limits and monthly AI budget; this mock has no users
+// to check them against, so it doesn't call an AI provider at all
+app.post(['/api/generate-insight', '/api/multi-source-insight', '/api/chat', '/api/chat/stream'], (req, res) => {
+  res.status(501).json({
+    error: 'AI features need the database server',
+    details: 'Run the database server (npm run server) to use chat and insight generation'
+  });
 });
 
 // For all other routes, serve index.html
@@ -0,0 +1,179 @@
+import type { NextFunction, Response } from "express";
+import { storage, type AiUsageGroup } from "./storage";
+import {
+  resolveProvider,
+  resolveBudgetFallbackProvider,
+  estimateUsage,
+  estimateCostMicroUsd,
+} from "../llm";
+
+// AI usage accounting and monthly budgets. Every completion served to a user
+// is written to the ai_usage ledger; a user's preferences may cap the tokens
+// they use per calendar month (UTC), after which generation is either blocked
+// or degraded to the cheaper fallback model with shorter replies.
+
+// Reply length cap while a user is on the fallback model
+const DEGRADED_MAX_TOKENS = 400;
+
+export type AiBudget = {
+  monthlyTokenBudget: number | null; // null for no limit
+  action: string; // block, degrade
+  used: number;
+  remaining: number | null;
+  exceeded: boolean;
+};
+
+type Usage = { prompt_tokens?: number; completion_tokens?: number; total_tokens?: number } | null;
+
+type ChatMessage = { role: string; content: string };
+
+// The provider interface from llm/index.js
+export type LlmProvider = {
+  name: string;
+  complete(params: object): Promise<{ content: string; model: string; usage: Usage; finishReason: string | null }>;
+  stream(params: object, onToken: (text: string) => void): Promise<{ model: string; usage: Usage; finishReason: string | null }>;
+};
+
+type ProviderSelection = {
+  provider: LlmProvider;
+  model: string;
+  maxTokens: number;
+  degraded: boolean;
+};
+
+// Calendar month (UTC) given as YYYY-MM, or the current one
+export function usagePeriod(month?: string): { start: Date; end: Date } {
+  const now = new Date();
+  const [year, monthIndex] = month
+    ? [Number(month.slice(0, 4)), Number(month.slice(5, 7)) - 1]
+    : [now.getUTCFullYear(), now.getUTCMonth()];
+
+  return {
+    start: new Date(Date.UTC(year, monthIndex, 1)),
+    end: new Date(Date.UTC(year, monthIndex + 1, 1)),
+  };
+}
+
+export async function getAiBudget(userId: string): Promise<AiBudget> {
+  const preferences = await storage.getUserPreferences(userId);
+  const used = await storage.getAiTokensUsed(userId, usagePeriod().start);
+  const monthlyTokenBudget = preferences?.aiMonthlyTokenBudget ?? null;
+
+  return {
+    monthlyTokenBudget,
+    action: preferences?.aiBudgetAction || 'degrade',
+    used,
+    remaining: monthlyTokenBudget === null ? null : Math.max(monthlyTokenBudget - used, 0),
+    exceeded: monthlyTokenBudget !== null && used >= monthlyTokenBudget,
+  };
+}
+
+// Middleware: answer 402 once the user's budget is spent and set to block.
+// Otherwise the budget is left on req.aiBudget for selectProvider.
+export async function enforceAiBudget(req: any, res: Response, next: NextFunction) {
+  try {
+    const budget = await getAiBudget(req.user.claims.sub);
+    if (budget.exceeded && budget.action === 'block') {
+      return res.status(402).json({ message: "Monthly AI budget exceeded", budget });
+    }
+
+    req.aiBudget = budget;
+    next();
+  } catch (error) {
+    console.error("Error checking AI budget:", error);
+    res.status(500).json({ message: "Failed to check AI budget" });
+  }
+}
+
+// Provider, model and reply length for a request, switching to the fallback
+// model once the user's budget is spent
+export function selectProvider(req: any, selection: { provider?: string; model?: string }, maxTokens: number): ProviderSelection {
+  if (req.aiBudget?.exceeded) {
+    return {
+      ...(resolveBudgetFallbackProvider() as { provider: LlmProvider; model: string }),
+      maxTokens: Math.min(maxTokens, DEGRADED_MAX_TOKENS),
+      degraded: true,
+    };
+  }
+  return { ...(resolveProvider(selection) as { provider: LlmProvider; model: string }), maxTokens, degraded: false };
+}
+
+// Write a completion to the ledger. Usage the provider didn't report is counted
+// from the prompt and reply so the budget still sees it.
+export async function recordAiUsage(userId: string, entry: {
+  endpoint: string;
+  templateId?: string;
+  provider: string;
+  model: string;
+  usage: Usage;
+  messages: ChatMessage[];
+  content: string;
+  degraded: boolean;
+}) {
+  const usage: NonNullable<Usage> = entry.usage || estimateUsage(entry.messages, entry.content);
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  try {
+    await storage.recordAiUsage({
+      userId,
+      endpoint: entry.endpoint,
+      templateId: entry.templateId,
+      provider: entry.provider,
+      model: entry.model,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+      costMicroUsd: estimateCostMicroUsd(entry.provider, entry.model, usage),
+      estimated: !entry.usage,
+      degraded: entry.degraded,
+    });
+  } catch (error) {
+    // The reply has already been generated; don't fail the request over the ledger
+    console.error("Error recording AI usage:", error);
+  }
+}
+
+// Usage for a month, in total and broken down by endpoint, template and model
+export async function summarizeAiUsage(userId: string, month?: string) {
+  const period = usagePeriod(month);
+  const groups = await storage.getAiUsageGroups(userId, period.start, period.end);
+
+  return {
+    period: { start: period.start.toISOString(), end: period.end.toISOString() },
+    budget: await getAiBudget(userId),
+    totals: groups.reduce(addUsage, emptyUsage()),
+    byEndpoint: breakdown(groups, (group) => group.endpoint),
+    byTemplate: breakdown(groups.filter((group) => group.templateId), (group) => group.templateId as string),
+    byModel: breakdown(groups, (group) => group.model),
+  };
+}
+
+type UsageTotals = Pick<AiUsageGroup, 'requests' | 'promptTokens' | 'completionTokens' | 'totalTokens' | 'costMicroUsd'>;
+
+function emptyUsage(): UsageTotals {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costMicroUsd: 0 };
+}
+
+function addUsage(totals: UsageTotals, group: UsageTotals): UsageTotals {
+  return {
+    requests: totals.requests + group.requests,
+    promptTokens: totals.promptTokens + group.promptTokens,
+    completionTokens: totals.completionTokens + group.completionTokens,
+    totalTokens: totals.totalTokens + group.totalTokens,
+    costMicroUsd: totals.costMicroUsd + group.costMicroUsd,
+  };
+}
+
+// Combine groups sharing a key, largest token count first
+function breakdown(groups: AiUsageGroup[], keyOf: (group: AiUsageGroup) => string) {
+  const byKey = new Map<string, UsageTotals>();
+  for (const group of groups) {
+    const key = keyOf(group);
+    byKey.set(key, addUsage(byKey.get(key) || emptyUsage(), group));
+  }
+
+  return Array.from(byKey.entries())
+    .map(([key, totals]) => ({ key, ...totals }))
+    .sort((a, b) => b.totalTokens - a.totalTokens);
+}
@@ -0,0 +1,203 @@
+import { createHash } from "crypto";
+
+// Shapes of the records each dataType accepts through the ingest endpoint.
+// Fields not listed here are kept as-is; listed fields are type-checked.
+
+type FieldType = "string" | "number" | "boolean" | "object" | "date";
+
+type FieldSpec = {
+  type: FieldType;
+  required?: boolean;
+};
+
+export type DataTypeShape = {
+  fields: Record<string, FieldSpec>;
+  timeFields: string[]; // first present field becomes the record's recordedAt
+  identity: string[]; // fields that identify a record when deduplicating
+};
+
+export type RecordError = {
+  index: number;
+  field?: string;
+  message: string;
+};
+
+export const dataTypeShapes: Record<string, DataTypeShape> = {
+  activity: {
+    fields: {
+      timestamp: { type: "date", required: true },
+      type: { type: "string", required: true },
+      duration: { type: "number", required: true }, // minutes
+      distance: { type: "number" }, // km
+      calories: { type: "number" },
+    },
+    timeFields: ["timestamp"],
+    identity: ["timestamp", "type"],
+  },
+  sleep: {
+    fields: {
+      date: { type: "date", required: true },
+      duration: { type: "number", required: true }, // hours
+      quality: { type: "number" }, // 0-1
+      deepSleep: { type: "number" },
+      remSleep: { type: "number" },
+    },
+    timeFields: ["date"],
+    identity: ["date"],
+  },
+  vitals: {
+    fields: {
+      timestamp: { type: "date", required: true },
+      heartRate: { type: "number" },
+      bloodPressure: { type: "object" },
+      temperature: { type: "number" },
+    },
+    timeFields: ["timestamp"],
+    identity: ["timestamp"],
+  },
+  nutrition: {
+    fields: {
+      timestamp: { type: "date", required: true },
+      meal: { type: "string", required: true },
+      calories: { type: "number", required: true },
+      protein: { type: "number" },
+      carbs: { type: "number" },
+      fat: { type: "number" },
+    },
+    timeFields: ["timestamp"],
+    identity: ["timestamp", "meal"],
+  },
+  "listening-history": {
+    fields: {
+      timestamp: { type: "date", required: true },
+      track: { type: "string", required: true },
+      artist: { type: "string", required: true },
+      album: { type: "string" },
+      duration: { type: "number" }, // minutes
+    },
+    timeFields: ["timestamp"],
+    identity: ["timestamp", "track", "artist"],
+  },
+  favorites: {
+    fields: {
+      track: { type: "string", required: true },
+      artist: { type: "string", required: true },
+      album: { type: "string" },
+      addedAt: { type: "date", required: true },
+    },
+    timeFields: ["addedAt"],
+    identity: ["track", "artist"],
+  },
+  pages: {
+    fields: {
+      id: { type: "string", required: true },
+      title: { type: "string", required: true },
+      lastEdited: { type: "date", required: true },
+    },
+    timeFields: ["lastEdited"],
+    identity: ["id", "lastEdited"],
+  },
+  tasks: {
+    fields: {
+      id: { type: "string", required: true },
+      title: { type: "string", required: true },
+      status: { type: "string", required: true }, // not_started, in_progress, completed
+      dueDate: { type: "date" },
+      completedAt: { type: "date" },
+    },
+    timeFields: ["completedAt", "dueDate"],
+    identity: ["id", "status"],
+  },
+  tweets: {
+    fields: {
+      id: { type: "string", required: true },
+      text: { type: "string", required: true },
+      createdAt: { type: "date", required: true },
+      likes: { type: "number" },
+      retweets: { type: "number" },
+    },
+    timeFields: ["createdAt"],
+    identity: ["id"],
+  },
+  locations: {
+    fields: {
+      timestamp: { type: "date", required: true },
+      latitude: { type: "number", required: true },
+      longitude: { type: "number", required: true },
+      name: { type: "string" },
+      duration: { type: "number" }, // minutes
+    },
+    timeFields: ["timestamp"],
+    identity: ["timestamp", "latitude", "longitude"],
+  },
+};
+
+export function isSupportedDataType(dataType: string): boolean {
+  return Object.prototype.hasOwnProperty.call(dataTypeShapes, dataType);
+}
+
+// Check one record against its dataType shape, returning every problem found
+export function validateRecord(dataType: string, record: unknown, index: number): RecordError[] {
+  const shape = dataTypeShapes[dataType];
+
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return [{ index, message: "Record must be an object" }];
+  }
+
+  const errors: RecordError[] = [];
+  const values = record as Record<string, unknown>;
+
+  for (const [field, spec] of Object.entries(shape.fields)) {
+    const value = values[field];
+
+    if (value === undefined || value === null) {
+      if (spec.required) {
+        errors.push({ index, field, message: `${field} is required` });
+      }
+      continue;
+    }
+
+    if (!matchesType(value, spec.type)) {
+      errors.push({ index, field, message: `${field} must be a ${spec.type === "date" ? "valid date" : spec.type}` });
+    }
+  }
+
+  return errors;
+}
+
+// When the record happened; falls back to the ingest time for records without one
+export function recordedAtOf(dataType: string, record: Record<string, unknown>, fallback: Date): Date {
+  for (const field of dataTypeShapes[dataType].timeFields) {
+    if (record[field] !== undefined && record[field] !== null) {
+      return new Date(record[field] as string | number);
+    }
+  }
+  return fallback;
+}
+
+// Stable hash of a record's identity fields, used to skip records already stored
+export function recordHashOf(dataType: string, record: Record<string, unknown>): string {
+  const identity = dataTypeShapes[dataType].identity.map((field) => {
+    const value = record[field];
+    return dataTypeShapes[dataType].fields[field]?.type === "date" && value != null
+      ? new Date(value as string | number).toISOString()
+      : value ?? null;
+  });
+
+  return createHash("sha256")
+    .update(`${dataType}:${JSON.stringify(identity)}`)
+    .digest("hex");
+}
+
+function matchesType(value: unknown, type: FieldType): boolean {
+  switch (type) {
+    case "number":
+      return typeof value === "number" && isFinite(value);
+    case "date":
+      return (typeof value === "string" || typeof value === "number") && !isNaN(new Date(value).getTime());
+    case "object":
+      return typeof value === "object" && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
@@ -0,0 +1,72 @@
+import axios from "axios";
+import { withAccessToken } from "./token-provider";
+import type { DataSource } from "../shared/schema";
+
+// Server-side fetchers pull new records from a provider's API for the sync scheduler.
+// Sources without a fetcher (Apple Health, location history, custom sources) are
+// push-only and receive their records through the ingest endpoint instead.
+
+export type FetchedBatch = {
+  dataType: string;
+  records: Record<string, unknown>[];
+};
+
+export type SourceFetcher = (source: DataSource) => Promise<FetchedBatch[]>;
+
+const fetchers: { [sourceType: string]: SourceFetcher } = {
+  spotify: fetchSpotify,
+  twitter: fetchTwitter,
+};
+
+export function getFetcher(sourceType: string): SourceFetcher | undefined {
+  return fetchers[sourceType];
+}
+
+// Recently played tracks since the last sync
+async function fetchSpotify(source: DataSource): Promise<FetchedBatch[]> {
+  const response = await withAccessToken(source, (accessToken) =>
+    axios.get('https://api.spotify.com/v1/me/player/recently-played', {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      params: {
+        limit: 50,
+        after: source.lastSynced ? source.lastSynced.getTime() : undefined,
+      },
+    })
+  );
+
+  const records = response.data.items.map((item: any) => ({
+    timestamp: item.played_at,
+    track: item.track.name,
+    artist: item.track.artists.map((artist: any) => artist.name).join(', '),
+    album: item.track.album?.name,
+    duration: item.track.duration_ms / 60000,
+  }));
+
+  return [{ dataType: 'listening-history', records }];
+}
+
+// The user's own tweets since the last sync
+async function fetchTwitter(source: DataSource): Promise<FetchedBatch[]> {
+  const response = await withAccessToken(source, async (accessToken) => {
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    const me = await axios.get('https://api.twitter.com/2/users/me', { headers });
+    return await axios.get(`https://api.twitter.com/2/users/${me.data.data.id}/tweets`, {
+      headers,
+      params: {
+        max_results: 100,
+        'tweet.fields': 'created_at,public_metrics',
+        start_time: source.lastSynced ? source.lastSynced.toISOString() : undefined,
+      },
+    });
+  });
+
+  const records = (response.data.data || []).map((tweet: any) => ({
+    id: tweet.id,
+    text: tweet.text,
+    createdAt: tweet.created_at,
+    likes: tweet.public_metrics?.like_count,
+    retweets: tweet.public_metrics?.retweet_count,
+  }));
+
+  return [{ dataType: 'tweets', records }];
+}
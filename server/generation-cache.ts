@@ -0,0 +1,74 @@
+import crypto from "crypto";
+
+// Cache of generated completions, so regenerating the same prompts with the same
+// model doesn't call (and bill) the provider again. Keyed by a hash of the user,
+// prompts, provider, model, format and reply length limit (a user is never
+// served another user's completion); entries expire after a TTL and the least
+// recently used ones are dropped once the cache is full. Held in this process.
+
+const GENERATION_CACHE_TTL_MS = parseInt(process.env.GENERATION_CACHE_TTL_MS || String(24 * 60 * 60 * 1000));
+const GENERATION_CACHE_MAX_ENTRIES = parseInt(process.env.GENERATION_CACHE_MAX_ENTRIES || '500');
+
+export type CachedCompletion = {
+  content: string;
+  model: string;
+  cachedAt: string;
+};
+
+type Entry = CachedCompletion & { expiresAt: number };
+
+// Map iteration order is insertion order, so re-inserting on read keeps the
+// least recently used entry first
+const entries = new Map<string, Entry>();
+
+export function generationCacheKey(parts: {
+  userId: string;
+  systemPrompt: string;
+  userPrompt: string;
+  provider: string;
+  model: string;
+  format: string;
+  maxTokens: number;
+}): string {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([parts.userId, parts.systemPrompt, parts.userPrompt, parts.provider, parts.model, parts.format, parts.maxTokens]))
+    .digest('hex');
+}
+
+export function getCachedCompletion(key: string): CachedCompletion | undefined {
+  const entry = entries.get(key);
+  if (!entry) {
+    return undefined;
+  }
+
+  entries.delete(key);
+  if (entry.expiresAt <= Date.now()) {
+    return undefined;
+  }
+  entries.set(key, entry);
+
+  const { expiresAt, ...completion } = entry;
+  return completion;
+}
+
+// Store a completion, returning it as it will be served from the cache.
+// A GENERATION_CACHE_MAX_ENTRIES of 0 turns caching off.
+export function cacheCompletion(key: string, completion: { content: string; model: string }): CachedCompletion {
+  const cachedCompletion = {
+    content: completion.content,
+    model: completion.model,
+    cachedAt: new Date().toISOString(),
+  };
+  if (GENERATION_CACHE_MAX_ENTRIES <= 0) {
+    return cachedCompletion;
+  }
+
+  entries.delete(key);
+  entries.set(key, { ...cachedCompletion, expiresAt: Date.now() + GENERATION_CACHE_TTL_MS });
+
+  while (entries.size > GENERATION_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value as string);
+  }
+  return cachedCompletion;
+}
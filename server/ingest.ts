@@ -0,0 +1,53 @@
+import { storage } from "./storage";
+import { recordedAtOf, recordHashOf } from "./data-types";
+import type { DataSource, InsertDataPoint } from "../shared/schema";
+
+// Largest number of records accepted by a single ingest request
+export const MAX_INGEST_BATCH = 1000;
+
+export type IngestResult = {
+  received: number;
+  inserted: number;
+  duplicates: number;
+  source: DataSource;
+};
+
+// Store already-validated records for a source and update its size and freshness.
+// Used by the ingest endpoint and by the sync scheduler's fetchers.
+export async function ingestRecords(
+  source: DataSource,
+  dataType: string,
+  records: Record<string, unknown>[]
+): Promise<IngestResult> {
+  // Collapse duplicates within the batch; the unique index handles ones already stored
+  const now = new Date();
+  const batch = new Map<string, InsertDataPoint>();
+  for (const record of records) {
+    const recordHash = recordHashOf(dataType, record);
+    if (!batch.has(recordHash)) {
+      batch.set(recordHash, {
+        dataSourceId: source.id,
+        userId: source.userId,
+        dataType,
+        recordedAt: recordedAtOf(dataType, record, now),
+        payload: record,
+        recordHash,
+      });
+    }
+  }
+
+  const inserted = await storage.addDataPoints(Array.from(batch.values()));
+  const insertedBytes = inserted.reduce(
+    (total, point) => total + Buffer.byteLength(JSON.stringify(point.payload)),
+    0
+  );
+
+  const updatedSource = await storage.recordDataSourceIngest(source.id, insertedBytes, now);
+
+  return {
+    received: records.length,
+    inserted: inserted.length,
+    duplicates: records.length - inserted.length,
+    source: updatedSource,
+  };
+}
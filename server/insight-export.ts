@@ -0,0 +1,382 @@
+import { insightExportFormats, type Insight } from "../shared/schema";
+import type { OutputSection } from "./structured-output";
+import type { describeProvenance } from "./insight-provenance";
+import { renderPdf, type PdfBlock } from "./pdf";
+
+// Insight exports. An insight is rendered as Markdown, self-contained HTML
+// (styles inline, charts as inline SVG), PDF or JSON. Each format is built
+// from the same outline: the insight's text or structured sections, its chart
+// data if it has any, and details of how it was generated (template, window,
+// sources, model, scores). File names depend only on the insight's id and
+// title, so exporting the same insight again gives the same name.
+
+export type ExportFormat = typeof insightExportFormats[number];
+
+const FORMAT_FILES: Record<ExportFormat, { extension: string; contentType: string }> = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+// JSON exports are marked so other tools can recognise them
+const JSON_EXPORT_FORMAT = 'solstice-insight';
+const JSON_EXPORT_FORMAT_VERSION = 1;
+
+// Longest title slug kept in file names
+const MAX_SLUG_LENGTH = 60;
+
+// Structured output fields already shown as the title
+const HEADER_FIELDS = ['title'];
+
+export type RenderedExport = {
+  filename: string;
+  contentType: string;
+  body: string | Buffer;
+};
+
+type Provenance = ReturnType<typeof describeProvenance>;
+
+// A section of the insight: running text (Markdown), or a list of items
+type Section = { title: string | null; text?: string; items?: string[] };
+
+type Outline = {
+  title: string;
+  meta: string[]; // type, category and date
+  sections: Section[];
+  chart: { label: string; value: number }[];
+  details: { label: string; value: string }[];
+};
+
+// A block of Markdown text, as far as exports need to understand it
+type TextBlock =
+  | { kind: 'heading' | 'paragraph'; text: string }
+  | { kind: 'item'; text: string; ordered: boolean };
+
+// e.g. solstice-insight-42-morning-energy-patterns.md
+export function exportFileName(insight: Insight, format: ExportFormat): string {
+  const slug = insight.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+  return `solstice-insight-${insight.id}${slug ? `-${slug}` : ''}.${FORMAT_FILES[format].extension}`;
+}
+
+export function renderInsightExport(insight: Insight, format: ExportFormat, provenance: Provenance): RenderedExport {
+  const outline = insightOutline(insight, provenance);
+  const renderers: Record<ExportFormat, () => string | Buffer> = {
+    markdown: () => renderMarkdown(outline),
+    html: () => renderHtml(outline),
+    pdf: () => renderPdf(pdfBlocks(outline), outline.title),
+    json: () => JSON.stringify({
+      format: JSON_EXPORT_FORMAT,
+      formatVersion: JSON_EXPORT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      insight,
+      provenance,
+    }, null, 2),
+  };
+
+  return {
+    filename: exportFileName(insight, format),
+    contentType: FORMAT_FILES[format].contentType,
+    body: renderers[format](),
+  };
+}
+
+function insightOutline(insight: Insight, provenance: Provenance): Outline {
+  const details = (insight.details || {}) as Record<string, any>;
+
+  const meta = [insight.type, insight.category, insight.createdAt ? formatDate(insight.createdAt) : null]
+    .filter((part): part is string => !!part)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1));
+
+  const sections: Section[] = details.output && typeof details.output === 'object'
+    ? outputSectionsOf(details.output, details.outputSections || [])
+    : [{ title: null, text: insight.summary }];
+
+  return {
+    title: insight.title,
+    meta,
+    sections,
+    chart: chartData(details.chartData),
+    details: detailRows(insight, details, provenance),
+  };
+}
+
+// The structured output's fields in schema order, then any others
+function outputSectionsOf(output: Record<string, unknown>, listed: OutputSection[]): Section[] {
+  const fields = listed.map((section) => section.field);
+  const extra = Object.keys(output)
+    .filter((field) => !fields.includes(field))
+    .map((field) => ({ field, title: fieldTitle(field) }));
+
+  return listed.concat(extra)
+    .filter(({ field }) => !HEADER_FIELDS.includes(field) && output[field] !== undefined && output[field] !== null)
+    .map(({ field, title }) => {
+      const value = output[field];
+      if (Array.isArray(value)) {
+        return { title, items: value.map(describeValue) };
+      }
+      if (value && typeof value === 'object') {
+        return { title, items: Object.keys(value).map((key) => `${fieldTitle(key)}: ${describeValue((value as any)[key])}`) };
+      }
+      return { title, text: String(value) };
+    });
+}
+
+// Chart data kept in details.chartData: numbers, or { label, value } points
+function chartData(data: unknown): { label: string; value: number }[] {
+  if (!Array.isArray(data)) {
+    return [];
+  }
+  return data
+    .map((point, index) => typeof point === 'number'
+      ? { label: String(index + 1), value: point }
+      : { label: String(point && point.label !== undefined ? point.label : index + 1), value: Number(point && point.value) })
+    .filter((point) => isFinite(point.value));
+}
+
+function detailRows(insight: Insight, details: Record<string, any>, provenance: Provenance) {
+  const rows: { label: string; value: string }[] = [];
+  const add = (label: string, value: string | null | undefined) => {
+    if (value) rows.push({ label, value });
+  };
+
+  if (provenance && provenance.template) {
+    const { name, version, revision } = provenance.template;
+    add('Template', `${name} v${version}${revision ? `, revision ${revision}` : ''}`);
+  } else {
+    add('Template', details.templateName || details.templateId);
+  }
+  if (provenance && provenance.window) {
+    add('Window', `${formatDate(provenance.window.startDate)} to ${formatDate(provenance.window.endDate)}`);
+  }
+  if (provenance) {
+    add('Based on', provenance.sources.length === 0
+      ? 'Data entered when the insight was generated'
+      : provenance.sources
+        .map((source) => `${source.name || 'Deleted source'} (${source.dataTypes.join(', ')}, ${source.recordCount} ${source.recordCount === 1 ? 'record' : 'records'})`)
+        .join('; '));
+  }
+  add('Confidence', insight.confidence === null ? null : `${insight.confidence}%`);
+  add('Relevance', insight.relevanceScore === null ? null : `${insight.relevanceScore}%`);
+  if (details.scores) {
+    add('Signals', Object.keys(details.scores)
+      .filter((signal) => details.scores[signal] !== null)
+      .map((signal) => `${signal} ${details.scores[signal]}`)
+      .join(', '));
+  }
+  add('Model', details.model);
+  add('Generated', insight.createdAt ? new Date(insight.createdAt).toISOString() : null);
+  return rows;
+}
+
+function renderMarkdown(outline: Outline): string {
+  const parts = [`# ${outline.title}`, `*${outline.meta.join(' · ')}*`];
+
+  outline.sections.forEach((section) => {
+    if (section.title) parts.push(`## ${section.title}`);
+    if (section.text) parts.push(section.text.trim());
+    if (section.items) parts.push(section.items.map((item) => `- ${item}`).join('\n'));
+  });
+
+  if (outline.chart.length > 0) {
+    parts.push('## Chart', ['| Label | Value |', '| --- | --- |']
+      .concat(outline.chart.map((point) => `| ${point.label.replace(/\|/g, '\\|')} | ${point.value} |`))
+      .join('\n'));
+  }
+
+  parts.push('## Details', outline.details.map((row) => `- **${row.label}:** ${row.value}`).join('\n'));
+  return `${parts.join('\n\n')}\n`;
+}
+
+function renderHtml(outline: Outline): string {
+  const body: string[] = [
+    `<h1>${escapeHtml(outline.title)}</h1>`,
+    `<p class="meta">${escapeHtml(outline.meta.join(' · '))}</p>`,
+  ];
+
+  outline.sections.forEach((section) => {
+    if (section.title) body.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    if (section.text) body.push(textBlocksHtml(parseText(section.text)));
+    if (section.items) body.push(`<ul>${section.items.map((item) => `<li>${inlineHtml(item)}</li>`).join('')}</ul>`);
+  });
+
+  if (outline.chart.length > 0) {
+    body.push('<h2>Chart</h2>', chartSvg(outline.chart));
+  }
+
+  body.push('<h2>Details</h2>', `<dl>${outline.details
+    .map((row) => `<dt>${escapeHtml(row.label)}</dt><dd>${escapeHtml(row.value)}</dd>`)
+    .join('')}</dl>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(outline.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 720px; margin: 40px auto; padding: 0 20px; color: #1d1b2e; line-height: 1.55; }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 28px; font-size: 1.15em; }
+  .meta { color: #6b6880; margin-top: 0; }
+  code { background: #f1eefc; padding: 1px 4px; border-radius: 3px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; font-size: 0.9em; }
+  dt { color: #6b6880; }
+  dd { margin: 0; }
+  svg text { font-size: 12px; fill: #1d1b2e; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Horizontal bars, one per point, scaled to the largest value
+function chartSvg(chart: { label: string; value: number }[]): string {
+  const rowHeight = 24;
+  const labelWidth = 160;
+  const barWidth = 440;
+  const max = Math.max(...chart.map((point) => Math.abs(point.value)), 0) || 1;
+
+  const rows = chart.map((point, index) => {
+    const y = index * rowHeight;
+    const width = (Math.abs(point.value) / max) * barWidth;
+    return `<text x="0" y="${y + 16}">${escapeHtml(point.label)}</text>`
+      + `<rect x="${labelWidth}" y="${y + 5}" width="${width.toFixed(1)}" height="14" rx="3" fill="#a388ff"/>`
+      + `<text x="${(labelWidth + width + 6).toFixed(1)}" y="${y + 16}">${point.value}</text>`;
+  });
+  const width = labelWidth + barWidth + 60;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 ${width} ${chart.length * rowHeight}" role="img">${rows.join('')}</svg>`;
+}
+
+function pdfBlocks(outline: Outline): PdfBlock[] {
+  const blocks: PdfBlock[] = [
+    { kind: 'title', text: outline.title },
+    { kind: 'muted', text: outline.meta.join(' · ') },
+    { kind: 'space' },
+  ];
+
+  outline.sections.forEach((section) => {
+    if (section.title) blocks.push({ kind: 'heading', text: section.title });
+    if (section.text) {
+      parseText(section.text).forEach((block) => {
+        const text = plainText(block.text);
+        blocks.push(block.kind === 'item' ? { kind: 'bullet', text } : { kind: block.kind, text });
+      });
+    }
+    if (section.items) section.items.forEach((item) => blocks.push({ kind: 'bullet', text: plainText(item) }));
+  });
+
+  if (outline.chart.length > 0) {
+    blocks.push({ kind: 'heading', text: 'Chart' }, { kind: 'bars', bars: outline.chart });
+  }
+
+  blocks.push({ kind: 'heading', text: 'Details' });
+  outline.details.forEach((row) => blocks.push({ kind: 'muted', text: `${row.label}: ${row.value}` }));
+  return blocks;
+}
+
+// Headings, list items and paragraphs of Markdown text; inline markup is left
+// for the renderer
+function parseText(text: string): TextBlock[] {
+  const blocks: TextBlock[] = [];
+  let paragraph: string[] = [];
+  const endParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ kind: 'paragraph', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+
+  text.split('\n').forEach((line) => {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+    if (heading) {
+      endParagraph();
+      blocks.push({ kind: 'heading', text: heading[1] });
+    } else if (item) {
+      endParagraph();
+      blocks.push({ kind: 'item', text: item[2], ordered: !item[1] });
+    } else if (line.trim()) {
+      paragraph.push(line.trim());
+    } else {
+      endParagraph();
+    }
+  });
+  endParagraph();
+  return blocks;
+}
+
+function textBlocksHtml(blocks: TextBlock[]): string {
+  const html: string[] = [];
+  let list: { ordered: boolean; items: string[] } | null = null;
+  const endList = () => {
+    if (list) {
+      const tag = list.ordered ? 'ol' : 'ul';
+      html.push(`<${tag}>${list.items.join('')}</${tag}>`);
+      list = null;
+    }
+  };
+
+  blocks.forEach((block) => {
+    if (block.kind === 'item') {
+      if (!list || list.ordered !== block.ordered) {
+        endList();
+        list = { ordered: block.ordered, items: [] };
+      }
+      list.items.push(`<li>${inlineHtml(block.text)}</li>`);
+      return;
+    }
+    endList();
+    html.push(block.kind === 'heading'
+      ? `<h3>${inlineHtml(block.text)}</h3>`
+      : `<p>${inlineHtml(block.text).replace(/\n/g, '<br>')}</p>`);
+  });
+  endList();
+  return html.join('\n');
+}
+
+// Bold, italic and code spans
+function inlineHtml(text: string): string {
+  return escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>')
+    .replace(/`(.+?)`/g, '<code>$1</code>');
+}
+
+function plainText(text: string): string {
+  return text.replace(/\*\*(.+?)\*\*/g, '$1').replace(/\*(.+?)\*/g, '$1').replace(/`(.+?)`/g, '$1');
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function describeValue(value: unknown): string {
+  if (value && typeof value === 'object') {
+    return Array.isArray(value)
+      ? value.map(describeValue).join(', ')
+      : Object.keys(value).map((key) => `${fieldTitle(key)}: ${describeValue((value as any)[key])}`).join(', ');
+  }
+  return String(value);
+}
+
+// e.g. keyFindings -> Key findings
+function fieldTitle(field: string): string {
+  const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function formatDate(date: Date | string): string {
+  return new Date(date).toISOString().slice(0, 10);
+}
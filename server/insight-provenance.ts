@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import { storage } from "./storage";
+import type { DataPoint, DataSource, Insight, Template } from "../shared/schema";
+
+// Provenance of generated insights: what fed each generation, kept in the
+// insight's details so "what data made it say that?" can be answered later.
+// That is the template and the revision of it that was used, the time window,
+// the records given to the prompt (by id and record hash, grouped by source),
+// and a hash of the prompts sent. Records are referenced rather than copied, so
+// a source deleted since takes its records with it; the provenance still says
+// what was used.
+
+// A stored record, as data_points.id and data_points.record_hash
+export type RecordRef = { id: number; hash: string };
+
+export type SourceProvenance = {
+  dataSourceId: number;
+  dataTypes: string[];
+  records: RecordRef[];
+};
+
+export type TemplateProvenance = {
+  id: string;
+  name: string;
+  version: string;
+  revision: number | null; // the template's revision when the insight was generated
+};
+
+export type InsightProvenance = {
+  template: TemplateProvenance | null; // null when the prompts didn't come from a stored template
+  window: { startDate: string; endDate: string } | null;
+  sources: SourceProvenance[];
+  promptHash: string; // sha256 of the system and user prompts first sent
+};
+
+// A source as the provenance endpoint returns it, with its current name and
+// sourceType; both are null for a source deleted since
+export type DescribedSource = SourceProvenance & {
+  name: string | null;
+  sourceType: string | null;
+  recordCount: number;
+};
+
+export async function templateProvenance(template: Template): Promise<TemplateProvenance> {
+  const [latest] = await storage.getTemplateVersions(template.id);
+  return {
+    id: template.templateId,
+    name: template.name,
+    version: template.version,
+    revision: latest ? latest.revision : null,
+  };
+}
+
+// The records given to the prompt, grouped by the source they came from
+export function sourceProvenance(records: DataPoint[]): SourceProvenance[] {
+  const bySource = new Map<number, SourceProvenance>();
+  records.forEach((record) => {
+    let source = bySource.get(record.dataSourceId);
+    if (!source) {
+      source = { dataSourceId: record.dataSourceId, dataTypes: [], records: [] };
+      bySource.set(record.dataSourceId, source);
+    }
+    if (!source.dataTypes.includes(record.dataType)) {
+      source.dataTypes.push(record.dataType);
+    }
+    source.records.push({ id: record.id, hash: record.recordHash });
+  });
+  return Array.from(bySource.values());
+}
+
+export function promptHash(messages: { role: string; content: string }[]): string {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(messages.map((message) => [message.role, message.content])))
+    .digest('hex');
+}
+
+// An insight's provenance with its sources described from the user's current
+// sources, or null for insights generated before provenance was kept
+export function describeProvenance(insight: Insight, userSources: DataSource[]) {
+  const details = (insight.details || {}) as { provenance?: InsightProvenance };
+  const provenance = details.provenance;
+  if (!provenance) {
+    return null;
+  }
+
+  const sources: DescribedSource[] = provenance.sources.map((source) => {
+    const current = userSources.find((userSource) => userSource.id === source.dataSourceId);
+    return {
+      ...source,
+      name: current ? current.name : null,
+      sourceType: current ? current.sourceType : null,
+      recordCount: source.records.length,
+    };
+  });
+
+  return {
+    insightId: insight.id,
+    generatedAt: insight.createdAt,
+    template: provenance.template,
+    window: provenance.window,
+    sources,
+    promptHash: provenance.promptHash,
+  };
+}
@@ -0,0 +1,150 @@
+import { storage, computeNextSyncDue } from "./storage";
+import type { DataSource, Insight } from "../shared/schema";
+import type { DataCoverage } from "./multi-source-insight";
+
+// Confidence and relevance scores for generated insights, from 0 to 100.
+// Confidence is how far the insight can be trusted: how much of the data the
+// template asks for was there, how fresh its sources are, and how certain the
+// model said it was. Relevance is how much the user is likely to care: their
+// engagement with earlier insights from the same template, and the confidence.
+// Signals that aren't known for an insight are left out and the weights of the
+// rest rescaled; with none known, the score is null.
+
+const CONFIDENCE_WEIGHTS = { coverage: 0.5, freshness: 0.2, certainty: 0.3 };
+const RELEVANCE_WEIGHTS = { engagement: 0.6, confidence: 0.4 };
+
+// A source is fully fresh within one sync interval of its last sync, and
+// counts as stale after this many
+const STALE_SYNC_INTERVALS = 4;
+
+// Earlier insights from the template looked at for engagement
+const ENGAGEMENT_HISTORY = 20;
+
+// Each signal from 0 to 1, or null when it isn't known
+export type ScoreSignals = {
+  coverage: number | null;
+  freshness: number | null;
+  certainty: number | null;
+  engagement: number | null;
+};
+
+export type InsightScores = {
+  confidence: number | null;
+  relevanceScore: number | null;
+  signals: ScoreSignals;
+};
+
+export async function scoreInsight(userId: string, inputs: {
+  templateId?: string;
+  coverage?: DataCoverage;
+  sources?: DataSource[]; // the sources the insight drew on
+  content: string;
+  output?: Record<string, unknown> | null;
+  now?: Date;
+}): Promise<InsightScores> {
+  const history = inputs.templateId
+    ? await storage.getTemplateInsights(userId, inputs.templateId, ENGAGEMENT_HISTORY)
+    : [];
+
+  const signals: ScoreSignals = {
+    coverage: inputs.coverage ? dataCoverage(inputs.coverage) : null,
+    freshness: inputs.sources && inputs.sources.length > 0 ? sourceFreshness(inputs.sources, inputs.now || new Date()) : null,
+    certainty: modelCertainty(inputs.content, inputs.output),
+    engagement: engagement(history),
+  };
+
+  const confidence = weighted({
+    coverage: signals.coverage,
+    freshness: signals.freshness,
+    certainty: signals.certainty,
+  }, CONFIDENCE_WEIGHTS);
+  const relevance = weighted({
+    engagement: signals.engagement,
+    confidence: confidence === null ? null : confidence / 100,
+  }, RELEVANCE_WEIGHTS);
+
+  return {
+    confidence,
+    relevanceScore: relevance,
+    signals: {
+      coverage: round(signals.coverage),
+      freshness: round(signals.freshness),
+      certainty: round(signals.certainty),
+      engagement: round(signals.engagement),
+    },
+  };
+}
+
+// Half for the required fields that were filled, half for the days of the
+// window that had data
+function dataCoverage(coverage: DataCoverage): number {
+  const fields = coverage.requiredFields > 0 ? coverage.filledRequiredFields / coverage.requiredFields : 1;
+  const days = Math.min(coverage.daysWithData / coverage.days, 1);
+  return (fields + days) / 2;
+}
+
+// Average over the sources: 1 within a sync interval of the last sync, falling
+// to 0 at STALE_SYNC_INTERVALS; never synced counts as 0
+function sourceFreshness(sources: DataSource[], now: Date): number {
+  const scores = sources.map((source) => {
+    if (!source.lastSynced) {
+      return 0;
+    }
+    const interval = computeNextSyncDue(source.syncFrequency, source.lastSynced).getTime() - source.lastSynced.getTime();
+    const intervals = (now.getTime() - source.lastSynced.getTime()) / interval;
+    return intervals <= 1 ? 1 : Math.max(0, 1 - (intervals - 1) / (STALE_SYNC_INTERVALS - 1));
+  });
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+// The certainty the model reported: a confidence or certainty field of the
+// structured output, or a "Confidence: 80%" line in the text. Output values
+// above 1 are read as percentages; values in the text always are.
+function modelCertainty(content: string, output?: Record<string, unknown> | null): number | null {
+  let value: number | null = null;
+  const reported = output ? (output.confidence ?? output.certainty) : undefined;
+  if (typeof reported === 'number') {
+    value = reported > 1 ? reported / 100 : reported;
+  } else {
+    const match = content.match(/\b(?:confidence|certainty)\s*(?:level)?\s*[:=]\s*(\d{1,3}(?:\.\d+)?)\s*%/i);
+    value = match ? Number(match[1]) / 100 : null;
+  }
+
+  if (value === null || !isFinite(value) || value < 0) {
+    return null;
+  }
+  return Math.min(value, 1);
+}
+
+// From 0.5, towards 1 the more earlier insights were starred or exported and
+// towards 0 the more were archived without either; null with no history
+function engagement(history: Insight[]): number | null {
+  if (history.length === 0) {
+    return null;
+  }
+  const total = history.reduce((sum, insight) => {
+    const exported = Array.isArray(insight.exportHistory) && insight.exportHistory.length > 0;
+    if (insight.isStarred || exported) return sum + 1;
+    if (insight.isArchived) return sum - 1;
+    return sum;
+  }, 0);
+  return 0.5 + total / history.length / 2;
+}
+
+// Weighted average of the known signals as 0-100, or null if none are known
+function weighted<K extends string>(signals: Record<K, number | null>, weights: Record<K, number>): number | null {
+  let sum = 0;
+  let weight = 0;
+  (Object.keys(signals) as K[]).forEach((name) => {
+    const value = signals[name];
+    if (value !== null) {
+      sum += value * weights[name];
+      weight += weights[name];
+    }
+  });
+  return weight > 0 ? Math.round((sum / weight) * 100) : null;
+}
+
+function round(value: number | null): number | null {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
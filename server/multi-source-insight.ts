@@ -0,0 +1,191 @@
+import { storage } from "./storage";
+import type { DataPoint, DataSource } from "../shared/schema";
+import type { TemplateDocument } from "./templates";
+
+// Filling an insight template from the user's stored data. Each field the
+// template's prompt reads is mapped to the data types that supply it; records
+// of those types in the time window, across the chosen sources, become the
+// field's value. Fields no data type supplies (mood, notes, goals...) come from
+// values the caller provides.
+
+// Window used when the request doesn't give one
+const DEFAULT_WINDOW_DAYS = 7;
+
+// Most recent records given to the prompt per field, to keep prompts bounded
+const MAX_RECORDS_PER_FIELD = 50;
+
+// Most recent records read per source and data type. Coverage and the
+// per-field record counts only see these.
+const MAX_RECORDS_PER_READ = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+type FieldSource = {
+  dataTypes: string[];
+  where?: (record: Record<string, unknown>) => boolean;
+};
+
+// Keyed by field names the template supplies, so a Map rather than an object
+// (a {{constructor}} placeholder mustn't find Object.prototype)
+const fieldSources = new Map<string, FieldSource>([
+  ['activities', { dataTypes: ['activity'] }],
+  ['exercise', { dataTypes: ['activity'] }],
+  ['sleep', { dataTypes: ['sleep'] }],
+  ['vitals', { dataTypes: ['vitals'] }],
+  ['nutrition', { dataTypes: ['nutrition'] }],
+  ['tasksCompleted', { dataTypes: ['tasks'], where: (record) => record.status === 'completed' }],
+  ['workSessions', { dataTypes: ['pages'] }],
+  ['communications', { dataTypes: ['tweets'] }],
+  ['socialEvents', { dataTypes: ['locations'] }],
+]);
+
+// How each field of the prompt was filled, kept on the saved insight
+export type FieldFill =
+  | { from: 'data'; dataTypes: string[]; records: number }
+  | { from: 'request' }
+  | { from: 'none' };
+
+// How much of what the template asks for was available, for scoring
+export type DataCoverage = {
+  requiredFields: number; // the prompt's fields when the template requires none
+  filledRequiredFields: number;
+  days: number; // whole days in the window
+  daysWithData: number; // calendar days (UTC) with at least one matching record
+};
+
+export type TemplateInput = {
+  prompt: string;
+  missingFields: string[];
+  sourceIds: number[]; // sources that contributed at least one record
+  records: DataPoint[]; // the records given to the prompt, for provenance
+  fields: Record<string, FieldFill>;
+  coverage: DataCoverage;
+};
+
+// The window given as ISO dates, or the last DEFAULT_WINDOW_DAYS days.
+// Null when the start isn't before the end.
+export function insightWindow(startDate?: string, endDate?: string): { startDate: Date; endDate: Date } | null {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate
+    ? new Date(startDate)
+    : new Date(end.getTime() - DEFAULT_WINDOW_DAYS * DAY_MS);
+
+  return start < end ? { startDate: start, endDate: end } : null;
+}
+
+// Fields the template's prompt reads, in order of first appearance
+export function promptFields(promptTemplate: string): string[] {
+  const fields: string[] = [];
+  const placeholder = /\{\{(\w+)\}\}/g;
+  let match;
+  while ((match = placeholder.exec(promptTemplate)) !== null) {
+    if (!fields.includes(match[1])) {
+      fields.push(match[1]);
+    }
+  }
+  return fields;
+}
+
+// Fill the template's prompt from the sources' records in the window and the
+// values the caller provided, which win over stored data
+export async function buildTemplateInput(
+  template: TemplateDocument,
+  sources: DataSource[],
+  window: { startDate: Date; endDate: Date },
+  provided: Record<string, unknown>,
+): Promise<TemplateInput> {
+  const { promptTemplate, requiredDataFields = [] } = template.template;
+  const fieldNames = promptFields(promptTemplate);
+  requiredDataFields.forEach((field) => {
+    if (!fieldNames.includes(field)) fieldNames.push(field);
+  });
+
+  const neededTypes = new Set<string>();
+  fieldNames.forEach((field) => {
+    fieldSources.get(field)?.dataTypes.forEach((dataType) => neededTypes.add(dataType));
+  });
+  const points = await loadDataPoints(sources, Array.from(neededTypes), window);
+
+  const values = new Map<string, unknown>();
+  const fields: Record<string, FieldFill> = {};
+  const sourceIds = new Set<number>();
+  const records = new Map<number, DataPoint>();
+  const daysWithData = new Set<string>();
+
+  for (const field of fieldNames) {
+    if (Object.prototype.hasOwnProperty.call(provided, field) && hasValue(provided[field])) {
+      values.set(field, provided[field]);
+      fields[field] = { from: 'request' };
+      continue;
+    }
+
+    const fieldSource = fieldSources.get(field);
+    const matching = fieldSource
+      ? points.filter((point) =>
+          fieldSource.dataTypes.includes(point.dataType)
+          && (!fieldSource.where || fieldSource.where(point.payload as Record<string, unknown>)))
+      : [];
+
+    if (!fieldSource || matching.length === 0) {
+      fields[field] = { from: 'none' };
+      continue;
+    }
+
+    matching.forEach((point) => {
+      sourceIds.add(point.dataSourceId);
+      daysWithData.add(point.recordedAt.toISOString().slice(0, 10));
+    });
+    const given = matching.slice(-MAX_RECORDS_PER_FIELD);
+    given.forEach((point) => records.set(point.id, point));
+    values.set(field, given
+      .map((point) => ({ ...(point.payload as Record<string, unknown>), recordedAt: point.recordedAt.toISOString() })));
+    fields[field] = { from: 'data', dataTypes: fieldSource.dataTypes, records: matching.length };
+  }
+
+  const scoredFields = requiredDataFields.length > 0 ? requiredDataFields : fieldNames;
+
+  return {
+    prompt: promptTemplate.replace(/\{\{(\w+)\}\}/g, (placeholder, field) =>
+      values.has(field) ? formatValue(values.get(field)) : 'No data'),
+    missingFields: requiredDataFields.filter((field) => fields[field].from === 'none'),
+    sourceIds: Array.from(sourceIds),
+    records: Array.from(records.values()),
+    fields,
+    coverage: {
+      requiredFields: scoredFields.length,
+      filledRequiredFields: scoredFields.filter((field) => fields[field].from !== 'none').length,
+      days: Math.max(1, Math.ceil((window.endDate.getTime() - window.startDate.getTime()) / DAY_MS)),
+      daysWithData: daysWithData.size,
+    },
+  };
+}
+
+// The most recent records of the given types from every source, oldest first
+async function loadDataPoints(
+  sources: DataSource[],
+  dataTypes: string[],
+  window: { startDate: Date; endDate: Date },
+): Promise<DataPoint[]> {
+  const reads: Promise<DataPoint[]>[] = [];
+  sources.forEach((source) => {
+    dataTypes.forEach((dataType) => reads.push(storage.getDataPoints(source.id, {
+      dataType,
+      ...window,
+      limit: MAX_RECORDS_PER_READ,
+      newestFirst: true,
+    })));
+  });
+
+  const batches = await Promise.all(reads);
+  return batches
+    .reduce((all, batch) => all.concat(batch), [] as DataPoint[])
+    .sort((a, b) => a.recordedAt.getTime() - b.recordedAt.getTime());
+}
+
+function hasValue(value: unknown): boolean {
+  return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+}
+
+function formatValue(value: unknown): string {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
@@ -1,7 +1,20 @@
 import { Request, Response } from 'express';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
 import { storage } from './storage';
+import type { OAuthState } from '../shared/schema';
 import axios from 'axios';
 
+// How long a user has to finish the provider's consent screen
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Payload carried in the signed `state` parameter
+type StatePayload = {
+  provider: string;
+  userId: string;
+  nonce: string;
+  exp: number;
+};
+
 // Define the types for our OAuth configuration
 type OAuthProviderConfig = {
   authorizeUrl: string;
@@ -45,26 +58,66 @@ const oauthConfigs: OAuthConfigs = {
   // Add more providers as needed
 };
 
-// Generate OAuth authorization URL
-export function getAuthorizationUrl(provider: string, userId: string, redirectUri: string): string {
+export function isOAuthProvider(provider: string): boolean {
+  return Object.prototype.hasOwnProperty.call(oauthConfigs, provider);
+}
+
+// Generate OAuth authorization URL with PKCE and a signed, single-use state.
+// The state's nonce doubles as the authorization's id, for checking on it
+// with describeAuthorization.
+export async function getAuthorizationUrl(
+  provider: string,
+  userId: string,
+  redirectUri: string,
+): Promise<{ authUrl: string; authorizationId: string }> {
   const config = oauthConfigs[provider];
   if (!config || !config.clientId) {
     throw new Error(`Provider '${provider}' not configured or missing client ID`);
   }
 
+  const nonce = base64Url(randomBytes(16));
+  const codeVerifier = base64Url(randomBytes(32));
+  const expiresAt = new Date(Date.now() + STATE_TTL_MS);
+
+  // The verifier and redirect URI stay server-side until the callback consumes the nonce
+  await storage.saveOAuthState({
+    nonce,
+    userId,
+    provider,
+    codeVerifier,
+    redirectUri,
+    expiresAt,
+  });
+
   const params = new URLSearchParams({
     client_id: config.clientId,
     redirect_uri: redirectUri,
     response_type: 'code',
     scope: config.scopes.join(' '),
-    state: Buffer.from(JSON.stringify({ provider, userId })).toString('base64'),
+    state: signState({ provider, userId, nonce, exp: expiresAt.getTime() }),
+    code_challenge: base64Url(createHash('sha256').update(codeVerifier).digest()),
+    code_challenge_method: 'S256',
   });
 
-  return `${config.authorizeUrl}?${params.toString()}`;
+  return { authUrl: `${config.authorizeUrl}?${params.toString()}`, authorizationId: nonce };
+}
+
+// An authorization as the API returns it: still pending (or expired, if the
+// user never finished), connecting while the callback runs, then connected
+// with its data source, or failed
+export function describeAuthorization(state: OAuthState) {
+  const expired = state.status === 'pending' && state.expiresAt.getTime() < Date.now();
+  return {
+    id: state.nonce,
+    provider: state.provider,
+    status: expired ? 'expired' : state.status,
+    dataSourceId: state.dataSourceId,
+  };
 }
 
 // Handle OAuth callback
 export async function handleOAuthCallback(req: Request, res: Response): Promise<void> {
+  let consumedNonce: string | undefined;
   try {
     const { code, state } = req.query;
     
@@ -72,10 +125,26 @@ export async function handleOAuthCallback(req: Request, res: Response): Promise<
       throw new Error('Missing code or state parameter');
     }
     
-    // Decode state
-    const stateData = JSON.parse(Buffer.from(state.toString(), 'base64').toString());
+    // Verify the state was issued by us and hasn't expired
+    const stateData = verifyState(state.toString());
+    if (!stateData) {
+      throw new Error('Invalid or expired state parameter');
+    }
     const { provider, userId } = stateData;
     
+    // A signed-in browser must belong to the user who started the flow
+    const sessionUser = (req as any).user;
+    if (sessionUser?.claims?.sub && sessionUser.claims.sub !== userId) {
+      throw new Error('State was issued to a different user');
+    }
+    
+    // Single use: a replayed state has already been consumed
+    const pending = await storage.consumeOAuthState(stateData.nonce);
+    if (!pending || pending.userId !== userId || pending.provider !== provider) {
+      throw new Error('OAuth state already used or unknown');
+    }
+    consumedNonce = pending.nonce;
+    
     // Get provider config
     const config = oauthConfigs[provider];
     if (!config) {
@@ -86,7 +155,8 @@ export async function handleOAuthCallback(req: Request, res: Response): Promise<
     const params = new URLSearchParams();
     params.append('grant_type', 'authorization_code');
     params.append('code', code.toString());
-    params.append('redirect_uri', `${req.protocol}://${req.get('host')}/api/oauth/callback`);
+    params.append('redirect_uri', pending.redirectUri);
+    params.append('code_verifier', pending.codeVerifier);
     if (config.clientId) params.append('client_id', config.clientId);
     if (config.clientSecret) params.append('client_secret', config.clientSecret);
     
@@ -129,19 +199,7 @@ export async function handleOAuthCallback(req: Request, res: Response): Promise<
         displayName = 'Connected Account';
     }
     
-    // Create or update data source
-    const dataSource = await storage.addDataSource({
-      userId,
-      sourceType: provider,
-      sourceId,
-      displayName,
-      connected: true,
-      lastSynced: new Date()
-    });
-    
-    // Save OAuth token
-    await storage.saveOAuthToken({
-      dataSourceId: dataSource.id,
+    const tokenFields = {
       accessToken: tokenResponse.data.access_token,
       refreshToken: tokenResponse.data.refresh_token,
       tokenType: tokenResponse.data.token_type || 'Bearer',
@@ -149,17 +207,61 @@ export async function handleOAuthCallback(req: Request, res: Response): Promise<
       expiresAt: tokenResponse.data.expires_in 
         ? new Date(Date.now() + tokenResponse.data.expires_in * 1000) 
         : undefined
-    });
+    };
+    
+    // Reconnecting an account reuses its data source instead of adding a second one
+    const existingSources = await storage.getDataSourcesByType(userId, provider);
+    const existingSource = existingSources.find(
+      source => (source.config as { accountId?: string } | null)?.accountId === sourceId
+    );
+    
+    const sourceFields = {
+      name: displayName,
+      status: 'connected',
+      errorMessage: null,
+      lastSynced: new Date(),
+      config: { accountId: sourceId },
+      permissionScope: tokenResponse.data.scope ? tokenResponse.data.scope.split(/[\s,]+/) : config.scopes,
+    };
+    
+    let dataSource;
+    if (existingSource) {
+      dataSource = await storage.updateDataSource(existingSource.id, sourceFields);
+      
+      const existingToken = await storage.getOAuthToken(existingSource.id);
+      if (existingToken) {
+        await storage.updateOAuthToken(existingToken.id, {
+          ...tokenFields,
+          // Providers only send a refresh token on first consent
+          refreshToken: tokenFields.refreshToken || existingToken.refreshToken,
+        });
+      } else {
+        await storage.saveOAuthToken({ dataSourceId: dataSource.id, ...tokenFields });
+      }
+    } else {
+      dataSource = await storage.addDataSource({
+        userId,
+        sourceType: provider,
+        ...sourceFields,
+      });
+      await storage.saveOAuthToken({ dataSourceId: dataSource.id, ...tokenFields });
+    }
+    await storage.finishOAuthState(pending.nonce, { status: 'connected', dataSourceId: dataSource.id });
     
     // Redirect to success page
-    res.redirect(`/data-connection?success=true&provider=${provider}`);
+    res.redirect(`/data-connection?success=true&provider=${provider}&sourceId=${dataSource.id}`);
   } catch (error) {
     console.error('OAuth callback error:', error);
+    if (consumedNonce) {
+      await storage.finishOAuthState(consumedNonce, { status: 'failed' })
+        .catch((updateError) => console.error('Error recording OAuth failure:', updateError));
+    }
     res.redirect('/data-connection?error=auth_failed');
   }
 }
 
-// Refresh an expired token
+// Refresh an expired token. Call through token-provider.ts, which decides when
+// to refresh and keeps concurrent refreshes for a source from racing each other.
 export async function refreshToken(dataSourceId: number): Promise<string> {
   try {
     // Get the stored token
@@ -169,7 +271,7 @@ export async function refreshToken(dataSourceId: number): Promise<string> {
     }
     
     // Get the data source
-    const [dataSource] = await storage.getUserDataSources(dataSourceId.toString());
+    const dataSource = await storage.getDataSourceById(dataSourceId);
     if (!dataSource) {
       throw new Error('Data source not found');
     }
@@ -211,4 +313,43 @@ export async function refreshToken(dataSourceId: number): Promise<string> {
     console.error('Token refresh error:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// Sign a state payload: base64url(JSON) + "." + HMAC-SHA256 of that string
+function signState(payload: StatePayload): string {
+  const body = base64Url(Buffer.from(JSON.stringify(payload)));
+  return `${body}.${stateSignature(body)}`;
+}
+
+// Returns the payload only if the signature matches and it hasn't expired
+function verifyState(state: string): StatePayload | null {
+  const [body, signature] = state.split('.');
+  if (!body || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(stateSignature(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload: StatePayload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function stateSignature(body: string): string {
+  const secret = process.env.OAUTH_STATE_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('OAUTH_STATE_SECRET or SESSION_SECRET must be set to sign OAuth state');
+  }
+  return base64Url(createHmac('sha256', secret).update(body).digest());
+}
+
+function base64Url(buffer: Buffer): string {
+  return buffer.toString('base64url');
+}
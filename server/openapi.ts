@@ -0,0 +1,504 @@
+import type { Express, Request, Response } from "express";
+import { z, type ZodTypeAny } from "zod";
+import { zodToJsonSchema, ignoreOverride } from "zod-to-json-schema";
+import { createSelectSchema } from "drizzle-zod";
+import * as schema from "../shared/schema";
+import { isAuthenticated } from "./replitAuth";
+import { dataTypeShapes } from "./data-types";
+import { MAX_INGEST_BATCH } from "./ingest";
+import { enforceAiBudget } from "./ai-usage";
+
+// OpenAPI 3 description of the API, built from the routes registered on the app.
+// Paths, methods, auth and request bodies come from each route's middleware
+// (isAuthenticated, authorize, validateBody, rateLimit); the table below adds what the
+// middleware can't tell us: an operation id, a summary, query params and the
+// response shape. Served at /api/openapi.json, with docs at /api/docs.
+
+type Operation = {
+  operationId: string;
+  summary: string;
+  query?: z.AnyZodObject;
+  body?: string; // component name, for bodies a route validates itself
+  returns?: string; // component name, "Name[]" for arrays
+  headers?: { [name: string]: string }; // response headers and what they carry
+  status?: string; // success status, when it isn't 200
+  errors?: { [status: string]: string }; // error statuses the route itself returns, and when
+  redirect?: boolean; // browser redirect target rather than a JSON endpoint
+  eventStream?: boolean; // answers with Server-Sent Events rather than JSON
+  download?: string[]; // answers with a file to save, in one of these content types, rather than JSON
+};
+
+const dataRangeQuery = z.object({
+  dataType: z.string().optional(),
+  startDate: z.string().datetime().optional(),
+  endDate: z.string().datetime().optional(),
+});
+
+const operations: { [route: string]: Operation } = {
+  'GET /api/auth/user': { operationId: 'getCurrentUser', summary: "Get the signed-in user", returns: 'User' },
+  'GET /api/preferences': { operationId: 'getPreferences', summary: "Get user preferences", returns: 'UserPreference' },
+  'POST /api/preferences': { operationId: 'updatePreferences', summary: "Update user preferences", returns: 'UserPreference' },
+  'GET /api/data-sources': { operationId: 'listDataSources', summary: "List data sources", returns: 'DataSource[]' },
+  'POST /api/data-sources': { operationId: 'createDataSource', summary: "Add a data source", returns: 'DataSource' },
+  'PUT /api/data-sources/{id}': { operationId: 'updateDataSource', summary: "Update a data source", returns: 'DataSource' },
+  'DELETE /api/data-sources/{id}': { operationId: 'removeDataSource', summary: "Remove a data source", returns: 'Success' },
+  'GET /api/data-sources/{id}': { operationId: 'getDataSource', summary: "Get a data source", returns: 'DataSource' },
+  'POST /api/data-sources/{id}/refresh': { operationId: 'refreshDataSource', summary: "Trigger a sync", returns: 'DataSource' },
+  'POST /api/data-sources/{id}/schedule': { operationId: 'scheduleDataSourceSync', summary: "Set the sync frequency", returns: 'DataSource' },
+  'GET /api/data-sources/{id}/data': {
+    operationId: 'getDataSourceData',
+    summary: "Get stored records",
+    query: dataRangeQuery,
+    returns: 'DataRecords',
+  },
+  'POST /api/data-sources/{id}/ingest': {
+    operationId: 'ingestRecords',
+    summary: "Store a batch of records, skipping ones already stored",
+    body: 'IngestBody',
+    returns: 'IngestResult',
+  },
+  'DELETE /api/data-sources/{id}/data': {
+    operationId: 'removeDataSourceData',
+    summary: "Delete stored records",
+    query: dataRangeQuery,
+    returns: 'RemovedRecords',
+  },
+  'GET /api/data-sources/type/{type}': { operationId: 'listDataSourcesByType', summary: "List data sources of a type", returns: 'DataSource[]' },
+  'GET /api/oauth/{provider}/authorize': {
+    operationId: 'authorizeOAuth',
+    summary: "Start an OAuth connection",
+    query: z.object({ redirect: z.enum(['true', 'false']).optional() }),
+    returns: 'OAuthAuthorization',
+  },
+  'GET /api/oauth/authorizations/{authorizationId}': {
+    operationId: 'getOAuthAuthorization',
+    summary: "Check on an OAuth connection",
+    returns: 'OAuthAuthorizationStatus',
+    errors: { '404': "The user started no authorization with this id" },
+  },
+  'GET /api/oauth/callback': { operationId: 'oauthCallback', summary: "Provider redirect target", redirect: true },
+  'GET /api/insights': {
+    operationId: 'listInsights',
+    summary: "List a page of insights",
+    query: z.object({
+      category: z.string().optional(),
+      type: z.string().optional(),
+      starred: z.enum(['true', 'false']).optional(),
+      archived: z.enum(['true', 'false']).optional(),
+      q: z.string().optional(),
+      sortBy: z.enum(['createdAt', 'relevanceScore', 'confidence']).optional(),
+      order: z.enum(['asc', 'desc']).optional(),
+      limit: z.number().int().min(1).max(100).optional(),
+      cursor: z.string().optional(),
+    }),
+    returns: 'Insight[]',
+    headers: { 'X-Next-Cursor': "Cursor for the next page; absent on the last page" },
+  },
+  'GET /api/insights/starred': { operationId: 'listStarredInsights', summary: "List starred insights", returns: 'Insight[]' },
+  'GET /api/insights/{id}': { operationId: 'getInsight', summary: "Get an insight", returns: 'Insight' },
+  'GET /api/insights/category/{category}': { operationId: 'listInsightsByCategory', summary: "List insights in a category", returns: 'Insight[]' },
+  'GET /api/insights/type/{type}': { operationId: 'listInsightsByType', summary: "List insights of a type", returns: 'Insight[]' },
+  'GET /api/insights/{id}/provenance': { operationId: 'getInsightProvenance', summary: "What an insight was generated from", returns: 'InsightProvenance' },
+  'GET /api/insights/{id}/export/{format}': {
+    operationId: 'downloadInsightExport',
+    summary: "Download an insight as markdown, html, pdf or json",
+    headers: { 'Content-Disposition': "attachment, with the export's file name" },
+    download: ['text/markdown', 'text/html', 'application/pdf', 'application/json'],
+  },
+  'POST /api/insights/{id}/star': { operationId: 'starInsight', summary: "Star or unstar an insight", returns: 'Insight' },
+  'POST /api/insights/{id}/archive': { operationId: 'archiveInsight', summary: "Archive or unarchive an insight", returns: 'Insight' },
+  'POST /api/insights/{id}/export': {
+    operationId: 'exportInsight',
+    summary: "Record an insight export, e.g. a download in a format",
+    returns: 'Insight',
+  },
+  'GET /api/conversations': { operationId: 'listConversations', summary: "List conversations, most recently active first", returns: 'Conversation[]' },
+  'POST /api/conversations': { operationId: 'createConversation', summary: "Start a conversation", returns: 'Conversation' },
+  'GET /api/conversations/{id}': { operationId: 'getConversation', summary: "Open a conversation with its messages", returns: 'ConversationWithMessages' },
+  'PUT /api/conversations/{id}': { operationId: 'renameConversation', summary: "Rename a conversation", returns: 'Conversation' },
+  'DELETE /api/conversations/{id}': { operationId: 'removeConversation', summary: "Delete a conversation and its messages", returns: 'Success' },
+  'POST /api/conversations/{id}/messages': { operationId: 'appendMessage', summary: "Add a message to a conversation", returns: 'Message' },
+  'GET /api/templates': { operationId: 'listTemplates', summary: "List templates, adding any bundled default the user doesn't have", returns: 'Template[]' },
+  'POST /api/templates': { operationId: 'createTemplate', summary: "Add a template", returns: 'Template' },
+  'GET /api/templates/{id}': { operationId: 'getTemplate', summary: "Get a template", returns: 'Template' },
+  'PUT /api/templates/{id}': { operationId: 'updateTemplate', summary: "Replace a template's document", returns: 'Template' },
+  'DELETE /api/templates/{id}': { operationId: 'removeTemplate', summary: "Delete a template you created", returns: 'Success' },
+  'GET /api/templates/{id}/versions': { operationId: 'listTemplateVersions', summary: "List a template's revisions, newest first", returns: 'TemplateVersion[]' },
+  'GET /api/templates/{id}/diff': {
+    operationId: 'diffTemplateVersions',
+    summary: "Fields changed between two revisions of a template",
+    query: z.object({ from: z.number().int(), to: z.number().int().optional() }),
+    returns: 'TemplateDiff',
+  },
+  'POST /api/templates/{id}/rollback': { operationId: 'rollbackTemplate', summary: "Restore an earlier revision of a template", returns: 'Template' },
+  'POST /api/chat': { operationId: 'sendChatMessage', summary: "Get a chat reply", returns: 'ChatReply' },
+  'POST /api/chat/stream': { operationId: 'streamChatMessage', summary: "Stream a chat reply as Server-Sent Events", eventStream: true },
+  'POST /api/generate-insight': { operationId: 'generateInsight', summary: "Generate and save an insight from template prompts", returns: 'GeneratedInsight' },
+  'POST /api/multi-source-insight': { operationId: 'generateMultiSourceInsight', summary: "Generate and save an insight from a template filled with stored data", returns: 'MultiSourceInsight' },
+  'POST /api/analyze-content': {
+    operationId: 'analyzeContent',
+    summary: "Analyze text for patterns",
+    returns: 'ContentAnalysis',
+    errors: { '502': "The model's reply wasn't a JSON object" },
+  },
+  'GET /api/ai/usage': {
+    operationId: 'getAiUsage',
+    summary: "AI usage for a month, and the monthly budget",
+    query: z.object({ month: z.string().regex(/^\d{4}-\d{2}$/).optional() }),
+    returns: 'AiUsageSummary',
+  },
+  'GET /api/takeouts': { operationId: 'listTakeouts', summary: "List data takeouts, newest first", returns: 'Takeout[]' },
+  'POST /api/takeouts': {
+    operationId: 'requestTakeout',
+    summary: "Start building a ZIP of all your data, or get the one being built",
+    returns: 'Takeout',
+    status: '202',
+  },
+  'GET /api/takeouts/{id}': { operationId: 'getTakeout', summary: "Check on a takeout", returns: 'Takeout' },
+  'GET /api/takeouts/{id}/download': {
+    operationId: 'downloadTakeout',
+    summary: "Download a finished takeout",
+    headers: { 'Content-Disposition': "attachment, with the archive's file name" },
+    download: ['application/zip'],
+    errors: { '409': "The archive is still being built, or failed", '410': "The archive has expired" },
+  },
+  'GET /api/status': { operationId: 'getStatus', summary: "Server status", returns: 'Status' },
+};
+
+const tokenUsage = z.object({
+  prompt_tokens: z.number().int(),
+  completion_tokens: z.number().int(),
+  total_tokens: z.number().int(),
+}).nullable();
+
+const usageTotals = {
+  requests: z.number().int(),
+  promptTokens: z.number().int(),
+  completionTokens: z.number().int(),
+  totalTokens: z.number().int(),
+  costMicroUsd: z.number().int(),
+};
+
+const usageBreakdown = z.array(z.object({ key: z.string(), ...usageTotals }));
+
+// Everything else the operations above refer to by name
+const componentSchemas: { [name: string]: ZodTypeAny } = {
+  User: createSelectSchema(schema.users),
+  UserPreference: createSelectSchema(schema.userPreferences),
+  DataSource: createSelectSchema(schema.dataSources),
+  Insight: createSelectSchema(schema.insights),
+  Conversation: createSelectSchema(schema.conversations),
+  ConversationWithMessages: createSelectSchema(schema.conversations).extend({
+    messages: z.array(createSelectSchema(schema.messages)),
+  }),
+  Message: createSelectSchema(schema.messages),
+  Template: createSelectSchema(schema.templates),
+  TemplateVersion: createSelectSchema(schema.templateVersions),
+  TemplateDiff: z.object({
+    from: z.number().int(),
+    to: z.number().int(),
+    changes: z.array(z.object({ path: z.string(), before: z.unknown(), after: z.unknown() })),
+  }),
+  Success: z.object({ success: z.boolean() }),
+  DataRecords: z.object({
+    source: z.number().int(),
+    dataType: z.string().optional(),
+    timestamp: z.string().datetime(),
+    data: z.array(z.record(z.unknown())),
+  }),
+  IngestBody: z.object({
+    dataType: z.enum(Object.keys(dataTypeShapes) as [string, ...string[]]),
+    records: z.array(z.record(z.unknown())).min(1).max(MAX_INGEST_BATCH),
+  }),
+  IngestResult: z.object({
+    received: z.number().int(),
+    inserted: z.number().int(),
+    duplicates: z.number().int(),
+    source: createSelectSchema(schema.dataSources),
+  }),
+  RemovedRecords: z.object({ success: z.boolean(), removed: z.number().int() }),
+  OAuthAuthorization: z.object({ authUrl: z.string().url(), authorizationId: z.string() }),
+  OAuthAuthorizationStatus: z.object({
+    id: z.string(),
+    provider: z.string(),
+    status: z.enum(['pending', 'connecting', 'connected', 'failed', 'expired']),
+    dataSourceId: z.number().int().nullable(),
+  }),
+  ChatReply: z.object({ response: z.string(), model: z.string(), usage: tokenUsage, degraded: z.boolean() }),
+  GeneratedInsight: z.object({
+    result: z.string(),
+    output: z.record(z.unknown()).nullable(), // fields of the reply, for templates with an output schema
+    insight: createSelectSchema(schema.insights),
+    model: z.string(),
+    usage: tokenUsage,
+    degraded: z.boolean(),
+    cached: z.boolean(),
+  }),
+  MultiSourceInsight: z.object({
+    result: z.string(),
+    output: z.record(z.unknown()).nullable(),
+    insight: createSelectSchema(schema.insights),
+    model: z.string(),
+    usage: tokenUsage,
+    degraded: z.boolean(),
+  }),
+  InsightProvenance: z.object({
+    insightId: z.number().int(),
+    generatedAt: z.string().datetime(),
+    template: z.object({
+      id: z.string(),
+      name: z.string(),
+      version: z.string(),
+      revision: z.number().int().nullable(),
+    }).nullable(),
+    window: z.object({ startDate: z.string().datetime(), endDate: z.string().datetime() }).nullable(),
+    sources: z.array(z.object({
+      dataSourceId: z.number().int(),
+      name: z.string().nullable(), // null for a source deleted since
+      sourceType: z.string().nullable(),
+      dataTypes: z.array(z.string()),
+      recordCount: z.number().int(),
+      records: z.array(z.object({ id: z.number().int(), hash: z.string() })),
+    })),
+    promptHash: z.string(),
+  }),
+  ContentAnalysis: z.object({
+    summary: z.string(),
+    patterns: z.array(z.string()),
+    primaryTheme: z.string(),
+    recommendations: z.array(z.string()),
+  }),
+  AiUsageSummary: z.object({
+    period: z.object({ start: z.string().datetime(), end: z.string().datetime() }),
+    budget: z.object({
+      monthlyTokenBudget: z.number().int().nullable(),
+      action: z.enum(schema.aiBudgetActions),
+      used: z.number().int(),
+      remaining: z.number().int().nullable(),
+      exceeded: z.boolean(),
+    }),
+    totals: z.object(usageTotals),
+    byEndpoint: usageBreakdown,
+    byTemplate: usageBreakdown,
+    byModel: usageBreakdown,
+  }),
+  Takeout: createSelectSchema(schema.takeouts).extend({
+    downloadUrl: z.string().nullable(),
+  }),
+  Status: z.object({
+    status: z.string(),
+    message: z.string(),
+    version: z.string(),
+    ai: z.object({ provider: z.string(), model: z.string().nullable(), available: z.boolean() }),
+  }),
+  ErrorResponse: z.object({
+    message: z.string(),
+    errors: z.array(z.object({ field: z.string().optional(), message: z.string() })).optional(),
+  }),
+};
+
+// Routes that describe the API rather than belong to it
+const documentationRoutes = ['/api/openapi.json', '/api/docs'];
+
+export function registerApiDocs(app: Express) {
+  let document: object | undefined;
+
+  app.get('/api/openapi.json', (req: Request, res: Response) => {
+    // Built on first request, once every route has been registered
+    document = document || buildOpenApiDocument(app);
+    res.json(document);
+  });
+
+  app.get('/api/docs', (req: Request, res: Response) => {
+    res.type('html').send(docsPage);
+  });
+}
+
+export function buildOpenApiDocument(app: Express) {
+  const components: { [name: string]: object } = {};
+  const paths: { [path: string]: { [method: string]: object } } = {};
+
+  // Request body schemas are named after their export, e.g. createDataSourceBodySchema -> CreateDataSourceBody
+  const bodyNames = new Map<ZodTypeAny, string>();
+  for (const [exportName, value] of Object.entries(schema)) {
+    if (value instanceof z.ZodType && exportName.endsWith('BodySchema')) {
+      const name = exportName[0].toUpperCase() + exportName.slice(1, -'Schema'.length);
+      bodyNames.set(value, name);
+      components[name] = toJsonSchema(value);
+    }
+  }
+  for (const [name, value] of Object.entries(componentSchemas)) {
+    components[name] = toJsonSchema(value);
+  }
+
+  for (const layer of (app as any)._router.stack) {
+    const route = layer.route;
+    if (!route || !route.path.startsWith('/api/') || documentationRoutes.includes(route.path)) {
+      continue;
+    }
+
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    const handlers: any[] = route.stack.map((routeLayer: any) => routeLayer.handle);
+    const authenticated = handlers.includes(isAuthenticated);
+    const authorized = handlers.some((handler) => handler.resourceName);
+    const validator = handlers.find((handler) => handler.bodySchema);
+    const budgeted = handlers.includes(enforceAiBudget);
+    const rateLimited = handlers.some((handler) => handler.rateLimit);
+
+    for (const method of Object.keys(route.methods)) {
+      const operation = operations[`${method.toUpperCase()} ${path}`] || {
+        operationId: `${method}${path.replace(/[^a-zA-Z0-9]+(\w)?/g, (_: string, c?: string) => (c || '').toUpperCase())}`,
+        summary: `${method.toUpperCase()} ${path}`,
+      };
+      const bodyName = validator ? bodyNames.get(validator.bodySchema) : operation.body;
+
+      const responses: { [status: string]: object } = operation.redirect
+        ? { '302': { description: "Redirects back to the app" } }
+        : { [operation.status || '200']: { description: "OK", content: responseContent(operation), ...responseHeaders(operation.headers) } };
+      if (bodyName) {
+        responses['400'] = { description: "Invalid request body", content: jsonContent('ErrorResponse') };
+      }
+      if (authenticated) {
+        responses['401'] = { description: "Not signed in", content: jsonContent('ErrorResponse') };
+      }
+      if (budgeted) {
+        responses['402'] = { description: "Monthly AI budget spent, with the budget set to block", content: jsonContent('ErrorResponse') };
+      }
+      if (rateLimited) {
+        responses['429'] = {
+          description: "Too many requests from this user or IP address",
+          headers: { 'Retry-After': { description: "Seconds until a request will be accepted", schema: { type: 'integer' } } },
+          content: jsonContent('ErrorResponse'),
+        };
+      }
+      if (authorized) {
+        responses['404'] = { description: "Not found, or not owned by the signed-in user", content: jsonContent('ErrorResponse') };
+      }
+      Object.keys(operation.errors || {}).forEach((status) => {
+        responses[status] = { description: operation.errors![status], content: jsonContent('ErrorResponse') };
+      });
+
+      paths[path] = paths[path] || {};
+      paths[path][method] = {
+        operationId: operation.operationId,
+        summary: operation.summary,
+        tags: [path.split('/')[2]],
+        security: authenticated ? [{ session: [] }] : [],
+        parameters: [
+          ...(path.match(/\{\w+\}/g) || []).map((param: string) => ({
+            name: param.slice(1, -1),
+            in: 'path',
+            required: true,
+            schema: { type: param === '{id}' ? 'integer' : 'string' },
+          })),
+          ...queryParameters(operation.query),
+        ],
+        ...(bodyName && {
+          requestBody: { required: true, content: jsonContent(bodyName) },
+        }),
+        responses,
+        ...(operation.redirect && { 'x-redirect': true }),
+        ...(operation.eventStream && { 'x-event-stream': true }),
+        ...(operation.download && { 'x-download': true }),
+      };
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Solstice API',
+      version: '1.0.0',
+      description: "Data sources, stored records, insights, conversations and AI generation for the signed-in user.",
+    },
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        session: { type: 'apiKey', in: 'cookie', name: 'connect.sid' },
+      },
+    },
+  };
+}
+
+function toJsonSchema(zodSchema: ZodTypeAny): object {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(zodSchema, {
+    target: 'openApi3',
+    $refStrategy: 'none',
+    // jsonb columns are a recursive JSON schema; describe them as any value
+    override: (def: any) => (def.typeName === 'ZodLazy' ? {} : ignoreOverride),
+  }) as any;
+  return jsonSchema;
+}
+
+function jsonContent(componentName?: string) {
+  if (!componentName) {
+    return { 'application/json': { schema: { type: 'object' } } };
+  }
+  const isArray = componentName.endsWith('[]');
+  const ref = { $ref: `#/components/schemas/${componentName.replace('[]', '')}` };
+  return { 'application/json': { schema: isArray ? { type: 'array', items: ref } : ref } };
+}
+
+const eventStreamContent = { 'text/event-stream': { schema: { type: 'string' } } };
+
+// A file in any of the given content types: JSON, text, or otherwise binary
+function downloadContent(contentTypes: string[]) {
+  const content: { [contentType: string]: object } = {};
+  contentTypes.forEach((contentType) => {
+    content[contentType] = contentType === 'application/json'
+      ? { schema: { type: 'object' } }
+      : { schema: contentType.startsWith('text/') ? { type: 'string' } : { type: 'string', format: 'binary' } };
+  });
+  return content;
+}
+
+function responseContent(operation: Operation) {
+  if (operation.eventStream) {
+    return eventStreamContent;
+  }
+  return operation.download ? downloadContent(operation.download) : jsonContent(operation.returns);
+}
+
+function responseHeaders(headers?: { [name: string]: string }) {
+  if (!headers) {
+    return {};
+  }
+  const described: { [name: string]: object } = {};
+  for (const [name, description] of Object.entries(headers)) {
+    described[name] = { description, schema: { type: 'string' } };
+  }
+  return { headers: described };
+}
+
+function queryParameters(query?: z.AnyZodObject) {
+  if (!query) {
+    return [];
+  }
+  return Object.entries(query.shape).map(([name, value]) => {
+    const param = value as ZodTypeAny;
+    return {
+      name,
+      in: 'query',
+      required: !param.isOptional(),
+      schema: toJsonSchema(param instanceof z.ZodOptional ? param.unwrap() : param),
+    };
+  });
+}
+
+// Swagger UI, loaded from the CDN so the server doesn't need to bundle it
+const docsPage = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Solstice API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', withCredentials: true });
+  </script>
+</body>
+</html>`;
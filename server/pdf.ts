@@ -0,0 +1,212 @@
+// A small PDF writer for exports: flowing text (headings, paragraphs, bullets)
+// and horizontal bar charts on US Letter pages, in the standard Helvetica
+// fonts so nothing needs embedding. Text is WinAnsi encoded; characters
+// outside it are replaced. Lines are wrapped using Helvetica's glyph widths.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+const TEXT_STYLES = {
+  title: { font: 'F2', size: 20, leading: 26, gray: 0 },
+  heading: { font: 'F2', size: 13, leading: 20, gray: 0 },
+  paragraph: { font: 'F1', size: 11, leading: 15, gray: 0.1 },
+  muted: { font: 'F1', size: 9, leading: 13, gray: 0.45 },
+};
+
+const BULLET_INDENT = 14;
+const BAR_ROW_HEIGHT = 16;
+const BAR_LABEL_WIDTH = 150;
+const BAR_COLOR = '0.64 0.53 1'; // the app's accent, #a388ff
+
+// Helvetica advance widths (per 1000 em) for ASCII 32-126; Helvetica-Bold is
+// about 6% wider, which is close enough for wrapping
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const DEFAULT_WIDTH = 556;
+const BOLD_WIDTH_FACTOR = 1.06;
+
+// Characters outside Latin-1 that WinAnsi has, or that read fine replaced
+const WIN_ANSI_REPLACEMENTS: Record<string, string> = {
+  '‘': "'", '’': "'", '“': '"', '”': '"',
+  '–': '-', '—': '-', '…': '...', '•': '\x95', '−': '-',
+};
+
+export type PdfBlock =
+  | { kind: 'title' | 'heading' | 'paragraph' | 'muted'; text: string }
+  | { kind: 'bullet'; text: string }
+  | { kind: 'bars'; bars: { label: string; value: number }[] }
+  | { kind: 'space' };
+
+type TextStyle = typeof TEXT_STYLES[keyof typeof TEXT_STYLES];
+
+export function renderPdf(blocks: PdfBlock[], title: string): Buffer {
+  const pages: string[][] = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const ensureRoom = (height: number) => {
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+  };
+  const draw = (op: string) => pages[pages.length - 1].push(op);
+  const drawText = (text: string, x: number, style: TextStyle) => {
+    draw(`BT /${style.font} ${style.size} Tf ${style.gray} g ${x} ${fixed(y - style.size)} Td (${pdfString(text)}) Tj ET`);
+  };
+
+  blocks.forEach((block) => {
+    if (block.kind === 'space') {
+      y -= 8;
+      return;
+    }
+
+    if (block.kind === 'bars') {
+      const max = Math.max(...block.bars.map((bar) => Math.abs(bar.value)), 0) || 1;
+      const barWidth = CONTENT_WIDTH - BAR_LABEL_WIDTH - 50;
+      const style = TEXT_STYLES.muted;
+      block.bars.forEach((bar) => {
+        ensureRoom(BAR_ROW_HEIGHT);
+        const label = wrapText(bar.label, BAR_LABEL_WIDTH - 8, style)[0] || '';
+        drawText(label, MARGIN, style);
+        const width = (Math.abs(bar.value) / max) * barWidth;
+        draw(`${BAR_COLOR} rg ${MARGIN + BAR_LABEL_WIDTH} ${fixed(y - 11)} ${fixed(width)} 10 re f`);
+        drawText(formatNumber(bar.value), MARGIN + BAR_LABEL_WIDTH + width + 6, style);
+        y -= BAR_ROW_HEIGHT;
+      });
+      return;
+    }
+
+    const style = TEXT_STYLES[block.kind === 'bullet' ? 'paragraph' : block.kind];
+    const indent = block.kind === 'bullet' ? BULLET_INDENT : 0;
+    if (block.kind === 'heading') {
+      y -= 6;
+    }
+
+    block.text.split('\n').forEach((paragraph, index) => {
+      const lines = paragraph.trim() ? wrapText(paragraph, CONTENT_WIDTH - indent, style) : [''];
+      lines.forEach((line, lineIndex) => {
+        ensureRoom(style.leading);
+        if (block.kind === 'bullet' && index === 0 && lineIndex === 0) {
+          drawText('•', MARGIN, style);
+        }
+        drawText(line, MARGIN + indent, style);
+        y -= style.leading;
+      });
+    });
+    y -= block.kind === 'title' ? 6 : 4;
+  });
+
+  return writeDocument(pages.map((ops) => ops.join('\n')), title);
+}
+
+// Lay out the objects: catalog, page tree, fonts, info, then a page and its
+// content stream per page, followed by the cross-reference table
+function writeDocument(contents: string[], title: string): Buffer {
+  const objects: string[] = [];
+  const pageIds = contents.map((content, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  contents.forEach((content, index) => {
+    const pageId = pageIds[index];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+  const infoId = objects.length;
+  objects[infoId] = `<< /Title (${pdfString(title)}) /Producer (Solstice) >>`;
+
+  // Every character is a single byte (see pdfString), so lengths are offsets
+  let output = '%PDF-1.4\n';
+  const offsets: number[] = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = output.length;
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xref = output.length;
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+// Break text into lines no wider than width, splitting words too long for a line
+function wrapText(text: string, width: number, style: TextStyle): string[] {
+  const lines: string[] = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (textWidth(candidate, style) <= width) {
+      line = candidate;
+      return;
+    }
+    if (line) {
+      lines.push(line);
+    }
+    line = word;
+    while (textWidth(line, style) > width && line.length > 1) {
+      let fit = line.length - 1;
+      while (fit > 1 && textWidth(line.slice(0, fit), style) > width) fit--;
+      lines.push(line.slice(0, fit));
+      line = line.slice(fit);
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+function textWidth(text: string, style: TextStyle): number {
+  const factor = style.font === 'F2' ? BOLD_WIDTH_FACTOR : 1;
+  let units = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_WIDTH;
+  }
+  return (units * style.size * factor) / 1000;
+}
+
+// A PDF literal string in WinAnsi: one byte per character, with the
+// delimiters escaped and anything unencodable replaced by '?'
+function pdfString(text: string): string {
+  let encoded = '';
+  for (const char of text) {
+    const replaced = WIN_ANSI_REPLACEMENTS[char] !== undefined ? WIN_ANSI_REPLACEMENTS[char] : char;
+    for (const single of replaced) {
+      const code = single.charCodeAt(0);
+      if (single === '\\' || single === '(' || single === ')') {
+        encoded += `\\${single}`;
+      } else if ((code >= 32 && code <= 126) || (code >= 149 && code <= 255)) {
+        encoded += single;
+      } else if (code === 9) {
+        encoded += ' ';
+      } else {
+        encoded += '?';
+      }
+    }
+  }
+  return encoded;
+}
+
+function formatNumber(value: number): string {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+function fixed(value: number): string {
+  return value.toFixed(2);
+}
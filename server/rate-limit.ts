@@ -0,0 +1,120 @@
+import type { NextFunction, RequestHandler, Response } from "express";
+
+// Token-bucket rate limiting for the AI routes. Each limited route has a
+// bucket per signed-in user and a larger one per client IP (several users can
+// share an address); a request spends one token from both, and tokens refill
+// continuously up to the bucket's capacity. Buckets live in this process, so
+// with several server instances each one enforces the limit separately.
+
+export type RateLimit = {
+  capacity: number; // burst size
+  refillPerMinute: number;
+};
+
+// Defaults per limited route, overridable with RATE_LIMIT_<ROUTE>=capacity/refillPerMinute,
+// e.g. RATE_LIMIT_CHAT=20/10
+const defaultLimits: { [route: string]: RateLimit } = {
+  'chat': { capacity: 20, refillPerMinute: 10 },
+  'generate-insight': { capacity: 10, refillPerMinute: 5 },
+  'analyze-content': { capacity: 10, refillPerMinute: 5 },
+};
+
+// How many users' worth of requests one IP address may make
+const IP_LIMIT_FACTOR = parseInt(process.env.RATE_LIMIT_IP_FACTOR || '3');
+
+// Full buckets are dropped this often, since they behave like new ones
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+type Bucket = {
+  tokens: number;
+  updatedAt: number;
+  limit: RateLimit;
+};
+
+const buckets = new Map<string, Bucket>();
+let lastSweep = Date.now();
+
+function configuredLimit(route: string): RateLimit {
+  const configured = process.env[`RATE_LIMIT_${route.toUpperCase().replace(/-/g, '_')}`];
+  if (configured) {
+    const [capacity, refillPerMinute] = configured.split('/').map((value) => parseInt(value));
+    if (capacity > 0 && refillPerMinute > 0) {
+      return { capacity, refillPerMinute };
+    }
+    console.warn(`Ignoring invalid rate limit for ${route}: ${configured}`);
+  }
+  return defaultLimits[route];
+}
+
+// Middleware: spend a token from the user's and the IP's bucket for the route,
+// or answer 429 with Retry-After (in seconds) once either is empty. Routes that
+// share a name share buckets. The route name stays on the handler as rateLimit
+// so the OpenAPI document can describe the 429.
+export function rateLimit(route: string): RequestHandler & { rateLimit: string } {
+  if (!defaultLimits[route]) {
+    throw new Error(`No rate limit defined for ${route}`);
+  }
+
+  const userLimit = configuredLimit(route);
+  const ipLimit = {
+    capacity: userLimit.capacity * IP_LIMIT_FACTOR,
+    refillPerMinute: userLimit.refillPerMinute * IP_LIMIT_FACTOR,
+  };
+
+  const handler = (req: any, res: Response, next: NextFunction) => {
+    const now = Date.now();
+    sweep(now);
+
+    const userBucket = refill(`${route}:user:${req.user.claims.sub}`, userLimit, now);
+    const ipBucket = refill(`${route}:ip:${req.ip}`, ipLimit, now);
+
+    // Only spend when both allow the request, so a refusal costs nothing
+    const retryAfter = Math.max(secondsUntilToken(userBucket), secondsUntilToken(ipBucket));
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: "Too many requests. Please try again later.", retryAfter });
+    }
+
+    userBucket.tokens -= 1;
+    ipBucket.tokens -= 1;
+    next();
+  };
+  return Object.assign(handler, { rateLimit: route });
+}
+
+// Bring a bucket up to date, creating it full if it doesn't exist
+function refill(key: string, limit: RateLimit, now: number): Bucket {
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = { tokens: limit.capacity, updatedAt: now, limit };
+    buckets.set(key, bucket);
+    return bucket;
+  }
+
+  const refilled = ((now - bucket.updatedAt) / 60000) * limit.refillPerMinute;
+  bucket.tokens = Math.min(limit.capacity, bucket.tokens + refilled);
+  bucket.updatedAt = now;
+  return bucket;
+}
+
+// Whole seconds until the bucket holds a token again; 0 if it has one now
+function secondsUntilToken(bucket: Bucket): number {
+  if (bucket.tokens >= 1) {
+    return 0;
+  }
+  return Math.ceil(((1 - bucket.tokens) / bucket.limit.refillPerMinute) * 60);
+}
+
+function sweep(now: number) {
+  if (now - lastSweep < SWEEP_INTERVAL_MS) {
+    return;
+  }
+  lastSweep = now;
+
+  buckets.forEach((bucket, key) => {
+    const tokens = bucket.tokens + ((now - bucket.updatedAt) / 60000) * bucket.limit.refillPerMinute;
+    if (tokens >= bucket.limit.capacity) {
+      buckets.delete(key);
+    }
+  });
+}
@@ -0,0 +1,21 @@
+import { storage } from "./storage";
+import { pool } from "./db";
+import { currentKeyVersion } from "./token-crypto";
+
+// Re-wrap every OAuth token data key with the newest master key in
+// TOKEN_MASTER_KEYS, and encrypt any rows still stored in plaintext.
+// Run after adding a new key version; remove the old version once it finishes.
+async function rotateTokenKeys() {
+  try {
+    console.log(`Re-encrypting OAuth tokens with master key version ${currentKeyVersion()}...`);
+    const updated = await storage.reencryptOAuthTokens();
+    console.log(`Re-encrypted ${updated} OAuth token(s).`);
+  } finally {
+    await pool.end();
+  }
+}
+
+rotateTokenKeys().catch((err) => {
+  console.error('Failed to rotate token keys:', err);
+  process.exit(1);
+});
@@ -1,16 +1,81 @@
-const http = require('http');
-const path = require('path');
-const storage = require('./storage').storage;
-const auth = require('./replitAuth');
+import type { Express, Request, Response } from "express";
+import { createServer, type Server } from "http";
+import path from "path";
+import { storage, InvalidCursorError } from "./storage";
+import {
+  preferencesBodySchema,
+  createDataSourceBodySchema,
+  updateDataSourceBodySchema,
+  scheduleSyncBodySchema,
+  starInsightBodySchema,
+  archiveInsightBodySchema,
+  exportInsightBodySchema,
+  chatBodySchema,
+  chatStreamBodySchema,
+  generateInsightBodySchema,
+  analyzeContentBodySchema,
+  multiSourceInsightBodySchema,
+  createConversationBodySchema,
+  renameConversationBodySchema,
+  appendMessageBodySchema,
+  createTemplateBodySchema,
+  updateTemplateBodySchema,
+  rollbackTemplateBodySchema,
+  type Conversation,
+  type DataPoint,
+  type DataSource,
+  type Insight,
+  type Template,
+  insightExportFormats,
+} from "../shared/schema";
+import { dataTypeShapes, isSupportedDataType, validateRecord } from "./data-types";
+import { ingestRecords, MAX_INGEST_BATCH } from "./ingest";
+import { describeAuthorization, getAuthorizationUrl, handleOAuthCallback, isOAuthProvider } from "./oauth-service";
+import { setupAuth, isAuthenticated } from "./replitAuth";
+import { authorize } from "./authorization";
+import { validateBody } from "./validation";
+import { registerApiDocs } from "./openapi";
+import { enforceAiBudget, selectProvider, recordAiUsage, summarizeAiUsage } from "./ai-usage";
+import { describeDefaultProvider } from "../llm";
+import { rateLimit } from "./rate-limit";
+import { generationCacheKey, getCachedCompletion, cacheCompletion } from "./generation-cache";
+import { insightWindow, buildTemplateInput } from "./multi-source-insight";
+import { scoreInsight } from "./insight-scoring";
+import { templateProvenance, sourceProvenance, promptHash, describeProvenance } from "./insight-provenance";
+import { exportFileName, renderInsightExport, type ExportFormat } from "./insight-export";
+import { requestTakeout, currentTakeout, describeTakeout, takeoutFilePath } from "./takeout";
+import {
+  outputSchemaFor,
+  structuredSystemPrompt,
+  checkOutput,
+  completeStructured,
+  outputSections,
+  type JsonSchema,
+  type CheckedOutput,
+  type StructuredCompletion,
+} from "./structured-output";
+import {
+  ensureDefaultTemplates,
+  findUserTemplate,
+  templateDocument,
+  createUserTemplate,
+  editTemplate,
+  rollbackTemplate,
+  diffTemplateVersions,
+} from "./templates";
 
-async function registerRoutes(app) {
+// Insight list paging and sorting
+const MAX_INSIGHTS_PAGE = 100;
+const INSIGHT_SORT_FIELDS = ['createdAt', 'relevanceScore', 'confidence'];
+
+export async function registerRoutes(app: Express): Promise<Server> {
   // Auth middleware
-  await auth.setupAuth(app);
+  await setupAuth(app);
 
   // API Routes
   
   // Authentication routes
-  app.get('/api/auth/user', auth.isAuthenticated, async (req, res) => {
+  app.get('/api/auth/user', isAuthenticated, async (req: any, res: Response) => {
     try {
       const userId = req.user.claims.sub;
       const user = await storage.getUser(userId);
@@ -33,7 +98,7 @@ async function registerRoutes(app) {
     }
   });
 
-  app.post('/api/preferences', isAuthenticated, async (req: any, res: Response) => {
+  app.post('/api/preferences', isAuthenticated, validateBody(preferencesBodySchema), async (req: any, res: Response) => {
     try {
       const userId = req.user.claims.sub;
       const preferences = await storage.setUserPreferences({
@@ -59,7 +124,7 @@ async function registerRoutes(app) {
     }
   });
 
-  app.post('/api/data-sources', isAuthenticated, async (req: any, res: Response) => {
+  app.post('/api/data-sources', isAuthenticated, validateBody(createDataSourceBodySchema), async (req: any, res: Response) => {
     try {
       const userId = req.user.claims.sub;
       const source = await storage.addDataSource({
@@ -73,29 +138,22 @@ async function registerRoutes(app) {
     }
   });
 
-  app.put('/api/data-sources/:id', isAuthenticated, async (req: any, res: Response) => {
+  app.put('/api/data-sources/:id', isAuthenticated, authorize('dataSource'), validateBody(updateDataSourceBodySchema), async (req: any, res: Response) => {
     try {
-      const sourceId = parseInt(req.params.id);
-      const source = await storage.updateDataSource(sourceId, req.body);
-      res.json(source);
+      const source: DataSource = req.resource;
+      const updatedSource = await storage.updateDataSource(source.id, req.body);
+      res.json(updatedSource);
     } catch (error) {
       console.error("Error updating data source:", error);
       res.status(500).json({ message: "Failed to update data source" });
     }
   });
 
-  app.delete('/api/data-sources/:id', isAuthenticated, async (req: any, res: Response) => {
+  app.delete('/api/data-sources/:id', isAuthenticated, authorize('dataSource'), async (req: any, res: Response) => {
     try {
-      const userId = req.user.claims.sub;
-      const sourceId = parseInt(req.params.id);
+      const source: DataSource = req.resource;
       
-      // Verify ownership
-      const source = await storage.getDataSourceById(sourceId);
-      if (!source || source.userId !== userId) {
-        return res.status(404).json({ message: "Data source not found" });
-      }
-      
-      await storage.removeDataSource(sourceId);
+      await storage.removeDataSource(source.id);
       res.json({ success: true });
     } catch (error) {
       console.error("Error removing data source:", error);
@@ -104,19 +162,9 @@ async function registerRoutes(app) {
   });
   
   // Get data source by ID
-  app.get('/api/data-sources/:id', isAuthenticated, async (req: any, res: Response) => {
+  app.get('/api/data-sources/:id', isAuthenticated, authorize('dataSource'), async (req: any, res: Response) => {
     try {
-      const userId = req.user.claims.sub;
-      const sourceId = parseInt(req.params.id);
-      
-      // Get the data source
-      const source = await storage.getDataSourceById(sourceId);
-      
-      // Verify ownership
-      if (!source || source.userId !== userId) {
-        return res.status(404).json({ message: "Data source not found" });
-      }
-      
+      const source: DataSource = req.resource;
       res.json(source);
     } catch (error) {
       console.error("Error fetching data source:", error);
@@ -125,18 +173,11 @@ async function registerRoutes(app) {
   });
   
   // Refresh a data source (trigger a sync)
-  app.post('/api/data-sources/:id/refresh', isAuthenticated, async (req: any, res: Response) => {
+  app.post('/api/data-sources/:id/refresh', isAuthenticated, authorize('dataSource'), async (req: any, res: Response) => {
     try {
-      const userId = req.user.claims.sub;
-      const sourceId = parseInt(req.params.id);
-      
-      // Verify ownership
-      const source = await storage.getDataSourceById(sourceId);
-      if (!source || source.userId !== userId) {
-        return res.status(404).json({ message: "Data source not found" });
-      }
+      const source: DataSource = req.resource;
       
-      const refreshedSource = await storage.refreshDataSource(sourceId);
+      const refreshedSource = await storage.refreshDataSource(source.id);
       res.json(refreshedSource);
     } catch (error) {
       console.error("Error refreshing data source:", error);
@@ -145,27 +186,88 @@ async function registerRoutes(app) {
   });
   
   // Schedule data source sync
-  app.post('/api/data-sources/:id/schedule', isAuthenticated, async (req: any, res: Response) => {
+  app.post('/api/data-sources/:id/schedule', isAuthenticated, authorize('dataSource'), validateBody(scheduleSyncBodySchema), async (req: any, res: Response) => {
     try {
-      const userId = req.user.claims.sub;
-      const sourceId = parseInt(req.params.id);
+      const source: DataSource = req.resource;
       const { frequency } = req.body;
       
-      if (!frequency || !['hourly', 'daily', 'weekly', 'monthly'].includes(frequency)) {
-        return res.status(400).json({ message: "Invalid frequency. Must be one of: hourly, daily, weekly, monthly" });
+      const updatedSource = await storage.scheduleDataSourceSync(source.id, frequency);
+      res.json(updatedSource);
+    } catch (error) {
+      console.error("Error scheduling data source sync:", error);
+      res.status(500).json({ message: "Failed to schedule data source sync" });
+    }
+  });
+  
+  // Get stored records for a data source
+  app.get('/api/data-sources/:id/data', isAuthenticated, authorize('dataSource'), async (req: any, res: Response) => {
+    try {
+      const source: DataSource = req.resource;
+      const dataType = req.query.dataType ? String(req.query.dataType) : undefined;
+      
+      const range = parseDateRange(req.query.startDate, req.query.endDate);
+      if (!range) {
+        return res.status(400).json({ message: "startDate and endDate must be valid dates" });
       }
       
-      // Verify ownership
-      const source = await storage.getDataSourceById(sourceId);
-      if (!source || source.userId !== userId) {
-        return res.status(404).json({ message: "Data source not found" });
+      const points = await storage.getDataPoints(source.id, { dataType, ...range });
+      res.json({
+        source: source.id,
+        dataType,
+        timestamp: new Date().toISOString(),
+        data: points.map(toDataRecord),
+      });
+    } catch (error) {
+      console.error("Error fetching data source records:", error);
+      res.status(500).json({ message: "Failed to fetch data" });
+    }
+  });
+  
+  // Ingest a batch of records into a data source
+  app.post('/api/data-sources/:id/ingest', isAuthenticated, authorize('dataSource'), async (req: any, res: Response) => {
+    try {
+      const source: DataSource = req.resource;
+      const { dataType, records } = req.body;
+      
+      if (!dataType || !isSupportedDataType(dataType)) {
+        return res.status(400).json({
+          message: `Unsupported dataType. Must be one of: ${Object.keys(dataTypeShapes).join(', ')}`
+        });
       }
       
-      const updatedSource = await storage.scheduleDataSourceSync(sourceId, frequency);
-      res.json(updatedSource);
+      if (!Array.isArray(records) || records.length === 0 || records.length > MAX_INGEST_BATCH) {
+        return res.status(400).json({ message: `records must be an array of 1 to ${MAX_INGEST_BATCH} items` });
+      }
+      
+      const errors = records.flatMap((record: unknown, index: number) => validateRecord(dataType, record, index));
+      if (errors.length > 0) {
+        return res.status(400).json({ message: "Invalid records", errors });
+      }
+      
+      const result = await ingestRecords(source, dataType, records);
+      res.json(result);
     } catch (error) {
-      console.error("Error scheduling data source sync:", error);
-      res.status(500).json({ message: "Failed to schedule data source sync" });
+      console.error("Error ingesting data source records:", error);
+      res.status(500).json({ message: "Failed to ingest records" });
+    }
+  });
+  
+  // Delete stored records for a data source
+  app.delete('/api/data-sources/:id/data', isAuthenticated, authorize('dataSource'), async (req: any, res: Response) => {
+    try {
+      const source: DataSource = req.resource;
+      const dataType = req.query.dataType ? String(req.query.dataType) : undefined;
+      
+      const range = parseDateRange(req.query.startDate, req.query.endDate);
+      if (!range) {
+        return res.status(400).json({ message: "startDate and endDate must be valid dates" });
+      }
+      
+      const removed = await storage.removeDataPoints(source.id, { dataType, ...range });
+      res.json({ success: true, removed });
+    } catch (error) {
+      console.error("Error removing data source records:", error);
+      res.status(500).json({ message: "Failed to remove data" });
     }
   });
   
@@ -183,25 +285,112 @@ async function registerRoutes(app) {
     }
   });
 
+  // OAuth routes for third-party data connections
+  app.get('/api/oauth/:provider/authorize', isAuthenticated, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const { provider } = req.params;
+      
+      if (!isOAuthProvider(provider)) {
+        return res.status(400).json({ message: `Unsupported OAuth provider: ${provider}` });
+      }
+      
+      const redirectUri = process.env.OAUTH_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/oauth/callback`;
+      const { authUrl, authorizationId } = await getAuthorizationUrl(provider, userId, redirectUri);
+      
+      // Browsers can follow the redirect directly; the app asks for JSON, opens
+      // the URL itself and polls the authorization until the callback finishes it
+      if (req.query.redirect === 'true') {
+        return res.redirect(authUrl);
+      }
+      res.json({ authUrl, authorizationId });
+    } catch (error) {
+      console.error("Error generating OAuth authorization URL:", error);
+      res.status(500).json({ message: "Failed to start OAuth authorization" });
+    }
+  });
+  
+  // Authorizations are keyed by their state's nonce rather than a numeric id,
+  // so ownership is checked here instead of through authorize()
+  app.get('/api/oauth/authorizations/:authorizationId', isAuthenticated, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const state = await storage.getOAuthState(req.params.authorizationId);
+      if (!state || state.userId !== userId) {
+        return res.status(404).json({ message: "Authorization not found" });
+      }
+      
+      res.json(describeAuthorization(state));
+    } catch (error) {
+      console.error("Error fetching OAuth authorization:", error);
+      res.status(500).json({ message: "Failed to fetch authorization" });
+    }
+  });
+  
+  app.get('/api/oauth/callback', handleOAuthCallback);
+
   // Insights routes
+  // Query params: category, type, starred, archived, q (full-text search),
+  // sortBy (createdAt|relevanceScore|confidence), order (asc|desc), limit, cursor.
+  // The body is the page of insights; X-Next-Cursor carries the cursor for the next page.
   app.get('/api/insights', isAuthenticated, async (req: any, res: Response) => {
     try {
       const userId = req.user.claims.sub;
-      const insights = await storage.getUserInsights(userId);
-      res.json(insights);
+      const { category, type, starred, archived, q, sortBy, order, limit, cursor } = req.query;
+      
+      if (sortBy && !INSIGHT_SORT_FIELDS.includes(sortBy)) {
+        return res.status(400).json({ message: `Invalid sortBy. Must be one of: ${INSIGHT_SORT_FIELDS.join(', ')}` });
+      }
+      if (order && order !== 'asc' && order !== 'desc') {
+        return res.status(400).json({ message: "Invalid order. Must be one of: asc, desc" });
+      }
+      
+      const pageSize = limit ? parseInt(limit) : 20;
+      if (isNaN(pageSize) || pageSize < 1 || pageSize > MAX_INSIGHTS_PAGE) {
+        return res.status(400).json({ message: `limit must be between 1 and ${MAX_INSIGHTS_PAGE}` });
+      }
+      
+      const page = await storage.queryInsights(userId, {
+        category: category || undefined,
+        type: type || undefined,
+        starred: starred === undefined ? undefined : starred === 'true',
+        archived: archived === 'true',
+        search: q ? String(q).trim() || undefined : undefined,
+        sortBy,
+        order,
+        limit: pageSize,
+        cursor: cursor || undefined,
+      });
+      
+      if (page.nextCursor) {
+        res.set('X-Next-Cursor', page.nextCursor);
+      }
+      res.set('Access-Control-Expose-Headers', 'X-Next-Cursor');
+      res.json(page.items);
     } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return res.status(400).json({ message: error.message });
+      }
       console.error("Error fetching insights:", error);
       res.status(500).json({ message: "Failed to fetch insights" });
     }
   });
 
-  app.get('/api/insights/:id', isAuthenticated, async (req: any, res: Response) => {
+  // Get starred insights
+  app.get('/api/insights/starred', isAuthenticated, async (req: any, res: Response) => {
     try {
-      const insightId = parseInt(req.params.id);
-      const insight = await storage.getInsightById(insightId);
-      if (!insight) {
-        return res.status(404).json({ message: "Insight not found" });
-      }
+      const userId = req.user.claims.sub;
+      const insights = await storage.getStarredInsights(userId);
+      res.json(insights);
+    } catch (error) {
+      console.error("Error fetching starred insights:", error);
+      res.status(500).json({ message: "Failed to fetch insights" });
+    }
+  });
+  
+  app.get('/api/insights/:id', isAuthenticated, authorize('insight'), async (req: any, res: Response) => {
+    try {
+      const insight: Insight = req.resource;
       res.json(insight);
     } catch (error) {
       console.error("Error fetching insight:", error);
@@ -209,6 +398,23 @@ async function registerRoutes(app) {
     }
   });
   
+  // What an insight was generated from: template revision, window, sources and
+  // the records given to the prompt. 404 for insights generated before this was kept.
+  app.get('/api/insights/:id/provenance', isAuthenticated, authorize('insight'), async (req: any, res: Response) => {
+    try {
+      const insight: Insight = req.resource;
+      const provenance = describeProvenance(insight, await storage.getUserDataSources(insight.userId));
+      
+      if (!provenance) {
+        return res.status(404).json({ message: "No provenance was recorded for this insight" });
+      }
+      res.json(provenance);
+    } catch (error) {
+      console.error("Error fetching insight provenance:", error);
+      res.status(500).json({ message: "Failed to fetch insight provenance" });
+    }
+  });
+  
   // Get insights by category
   app.get('/api/insights/category/:category', isAuthenticated, async (req: any, res: Response) => {
     try {
@@ -235,32 +441,13 @@ async function registerRoutes(app) {
     }
   });
   
-  // Get starred insights
-  app.get('/api/insights/starred', isAuthenticated, async (req: any, res: Response) => {
-    try {
-      const userId = req.user.claims.sub;
-      const insights = await storage.getStarredInsights(userId);
-      res.json(insights);
-    } catch (error) {
-      console.error("Error fetching starred insights:", error);
-      res.status(500).json({ message: "Failed to fetch insights" });
-    }
-  });
-  
   // Star/unstar an insight
-  app.post('/api/insights/:id/star', isAuthenticated, async (req: any, res: Response) => {
+  app.post('/api/insights/:id/star', isAuthenticated, authorize('insight'), validateBody(starInsightBodySchema), async (req: any, res: Response) => {
     try {
-      const userId = req.user.claims.sub;
-      const insightId = parseInt(req.params.id);
+      const insight: Insight = req.resource;
       const { starred } = req.body;
       
-      // Verify the insight exists and belongs to the user
-      const insight = await storage.getInsightById(insightId);
-      if (!insight || insight.userId !== userId) {
-        return res.status(404).json({ message: "Insight not found" });
-      }
-      
-      const updatedInsight = await storage.starInsight(insightId, !!starred);
+      const updatedInsight = await storage.starInsight(insight.id, starred);
       res.json(updatedInsight);
     } catch (error) {
       console.error("Error starring/unstarring insight:", error);
@@ -269,19 +456,12 @@ async function registerRoutes(app) {
   });
   
   // Archive/unarchive an insight
-  app.post('/api/insights/:id/archive', isAuthenticated, async (req: any, res: Response) => {
+  app.post('/api/insights/:id/archive', isAuthenticated, authorize('insight'), validateBody(archiveInsightBodySchema), async (req: any, res: Response) => {
     try {
-      const userId = req.user.claims.sub;
-      const insightId = parseInt(req.params.id);
+      const insight: Insight = req.resource;
       const { archived } = req.body;
       
-      // Verify the insight exists and belongs to the user
-      const insight = await storage.getInsightById(insightId);
-      if (!insight || insight.userId !== userId) {
-        return res.status(404).json({ message: "Insight not found" });
-      }
-      
-      const updatedInsight = await storage.archiveInsight(insightId, !!archived);
+      const updatedInsight = await storage.archiveInsight(insight.id, archived);
       res.json(updatedInsight);
     } catch (error) {
       console.error("Error archiving/unarchiving insight:", error);
@@ -289,37 +469,725 @@ async function registerRoutes(app) {
     }
   });
   
-  // Track insight export
-  app.post('/api/insights/:id/export', isAuthenticated, async (req: any, res: Response) => {
+  // Track insight export, e.g. a file downloaded below then shared by the app
+  app.post('/api/insights/:id/export', isAuthenticated, authorize('insight'), validateBody(exportInsightBodySchema), async (req: any, res: Response) => {
+    try {
+      const insight: Insight = req.resource;
+      const { destination, format } = req.body;
+      
+      // An export of a server-rendered file is recorded under the name it downloads as
+      const filename = format ? exportFileName(insight, format) : undefined;
+      const updatedInsight = await storage.trackInsightExport(insight.id, { destination, format, filename });
+      res.json(updatedInsight);
+    } catch (error) {
+      console.error("Error exporting insight:", error);
+      res.status(500).json({ message: "Failed to export insight" });
+    }
+  });
+
+  // Download an insight rendered as markdown, html, pdf or json. Downloading
+  // changes nothing, so retries and prefetches are safe; the app records the
+  // export with POST /api/insights/:id/export. The file name depends only on
+  // the insight's id and title.
+  app.get('/api/insights/:id/export/:format', isAuthenticated, authorize('insight'), async (req: any, res: Response) => {
+    try {
+      const insight: Insight = req.resource;
+      const format = req.params.format as ExportFormat;
+      
+      if (!insightExportFormats.includes(format)) {
+        return res.status(400).json({ message: `Invalid format. Must be one of: ${insightExportFormats.join(', ')}` });
+      }
+      
+      const provenance = describeProvenance(insight, await storage.getUserDataSources(insight.userId));
+      const rendered = renderInsightExport(insight, format, provenance);
+      
+      res.set('Content-Type', rendered.contentType);
+      res.set('Content-Disposition', `attachment; filename="${rendered.filename}"`);
+      res.set('Access-Control-Expose-Headers', 'Content-Disposition');
+      res.send(rendered.body);
+    } catch (error) {
+      console.error("Error rendering insight export:", error);
+      res.status(500).json({ message: "Failed to export insight" });
+    }
+  });
+
+  // Conversation routes - saved chat history, most recently active first
+  app.get('/api/conversations', isAuthenticated, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const conversations = await storage.getUserConversations(userId);
+      res.json(conversations);
+    } catch (error) {
+      console.error("Error fetching conversations:", error);
+      res.status(500).json({ message: "Failed to fetch conversations" });
+    }
+  });
+
+  app.post('/api/conversations', isAuthenticated, validateBody(createConversationBodySchema), async (req: any, res: Response) => {
     try {
       const userId = req.user.claims.sub;
-      const insightId = parseInt(req.params.id);
-      const { destination } = req.body;
+      const conversation = await storage.createConversation({
+        userId,
+        title: req.body.title || 'New conversation',
+      });
+      res.json(conversation);
+    } catch (error) {
+      console.error("Error creating conversation:", error);
+      res.status(500).json({ message: "Failed to create conversation" });
+    }
+  });
+
+  // Open a conversation with all of its messages
+  app.get('/api/conversations/:id', isAuthenticated, authorize('conversation'), async (req: any, res: Response) => {
+    try {
+      const conversation: Conversation = req.resource;
+      const messages = await storage.getConversationMessages(conversation.id);
+      res.json({ ...conversation, messages });
+    } catch (error) {
+      console.error("Error fetching conversation:", error);
+      res.status(500).json({ message: "Failed to fetch conversation" });
+    }
+  });
+
+  app.put('/api/conversations/:id', isAuthenticated, authorize('conversation'), validateBody(renameConversationBodySchema), async (req: any, res: Response) => {
+    try {
+      const conversation: Conversation = req.resource;
+      const updatedConversation = await storage.renameConversation(conversation.id, req.body.title);
+      res.json(updatedConversation);
+    } catch (error) {
+      console.error("Error renaming conversation:", error);
+      res.status(500).json({ message: "Failed to rename conversation" });
+    }
+  });
+
+  app.delete('/api/conversations/:id', isAuthenticated, authorize('conversation'), async (req: any, res: Response) => {
+    try {
+      const conversation: Conversation = req.resource;
+      await storage.removeConversation(conversation.id);
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Error removing conversation:", error);
+      res.status(500).json({ message: "Failed to remove conversation" });
+    }
+  });
+
+  app.post('/api/conversations/:id/messages', isAuthenticated, authorize('conversation'), validateBody(appendMessageBodySchema), async (req: any, res: Response) => {
+    try {
+      const conversation: Conversation = req.resource;
+      const message = await storage.addMessage({
+        conversationId: conversation.id,
+        ...req.body,
+      });
+      res.json(message);
+    } catch (error) {
+      console.error("Error adding message:", error);
+      res.status(500).json({ message: "Failed to add message" });
+    }
+  });
+
+  // Template routes - each user's registry, including the bundled defaults
+  app.get('/api/templates', isAuthenticated, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      await ensureDefaultTemplates(userId);
+      const templates = await storage.getUserTemplates(userId);
+      res.json(templates);
+    } catch (error) {
+      console.error("Error fetching templates:", error);
+      res.status(500).json({ message: "Failed to fetch templates" });
+    }
+  });
+
+  app.post('/api/templates', isAuthenticated, validateBody(createTemplateBodySchema), async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      await ensureDefaultTemplates(userId);
       
-      if (!destination) {
-        return res.status(400).json({ message: "Destination is required" });
+      const template = await createUserTemplate(userId, req.body);
+      if (!template) {
+        return res.status(409).json({ message: "A template with this id already exists" });
+      }
+      res.json(template);
+    } catch (error) {
+      console.error("Error creating template:", error);
+      res.status(500).json({ message: "Failed to create template" });
+    }
+  });
+
+  app.get('/api/templates/:id', isAuthenticated, authorize('template'), async (req: any, res: Response) => {
+    try {
+      const template: Template = req.resource;
+      res.json(template);
+    } catch (error) {
+      console.error("Error fetching template:", error);
+      res.status(500).json({ message: "Failed to fetch template" });
+    }
+  });
+
+  // Replace a template's document; its id and type stay the same
+  app.put('/api/templates/:id', isAuthenticated, authorize('template'), validateBody(updateTemplateBodySchema), async (req: any, res: Response) => {
+    try {
+      const template: Template = req.resource;
+      const updatedTemplate = await editTemplate(template, req.body);
+      res.json(updatedTemplate);
+    } catch (error) {
+      console.error("Error updating template:", error);
+      res.status(500).json({ message: "Failed to update template" });
+    }
+  });
+
+  app.delete('/api/templates/:id', isAuthenticated, authorize('template'), async (req: any, res: Response) => {
+    try {
+      const template: Template = req.resource;
+      if (template.isDefault) {
+        return res.status(400).json({ message: "Cannot delete default templates" });
       }
       
-      // Verify the insight exists and belongs to the user
-      const insight = await storage.getInsightById(insightId);
-      if (!insight || insight.userId !== userId) {
-        return res.status(404).json({ message: "Insight not found" });
+      await storage.removeTemplate(template.id);
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Error removing template:", error);
+      res.status(500).json({ message: "Failed to remove template" });
+    }
+  });
+
+  // A template's revisions, newest first
+  app.get('/api/templates/:id/versions', isAuthenticated, authorize('template'), async (req: any, res: Response) => {
+    try {
+      const template: Template = req.resource;
+      const versions = await storage.getTemplateVersions(template.id);
+      res.json(versions);
+    } catch (error) {
+      console.error("Error fetching template versions:", error);
+      res.status(500).json({ message: "Failed to fetch template versions" });
+    }
+  });
+
+  // Fields changed between two revisions (?from=2&to=5; to defaults to the latest)
+  app.get('/api/templates/:id/diff', isAuthenticated, authorize('template'), async (req: any, res: Response) => {
+    try {
+      const template: Template = req.resource;
+      const from = Number(req.query.from);
+      const to = req.query.to === undefined ? undefined : Number(req.query.to);
+      if (!Number.isInteger(from) || (to !== undefined && !Number.isInteger(to))) {
+        return res.status(400).json({ message: "from and to must be revision numbers" });
       }
       
-      const updatedInsight = await storage.trackInsightExport(insightId, destination);
-      res.json(updatedInsight);
+      const fromVersion = await storage.getTemplateVersion(template.id, from);
+      const toVersion = to === undefined
+        ? (await storage.getTemplateVersions(template.id))[0]
+        : await storage.getTemplateVersion(template.id, to);
+      if (!fromVersion || !toVersion) {
+        return res.status(404).json({ message: "Template version not found" });
+      }
+      
+      res.json({
+        from: fromVersion.revision,
+        to: toVersion.revision,
+        changes: diffTemplateVersions(fromVersion, toVersion),
+      });
     } catch (error) {
-      console.error("Error exporting insight:", error);
-      res.status(500).json({ message: "Failed to export insight" });
+      console.error("Error comparing template versions:", error);
+      res.status(500).json({ message: "Failed to compare template versions" });
+    }
+  });
+
+  // Restore an earlier revision, recorded as a new one
+  app.post('/api/templates/:id/rollback', isAuthenticated, authorize('template'), validateBody(rollbackTemplateBodySchema), async (req: any, res: Response) => {
+    try {
+      const template: Template = req.resource;
+      const restoredTemplate = await rollbackTemplate(template, req.body.revision);
+      if (!restoredTemplate) {
+        return res.status(404).json({ message: "Template version not found" });
+      }
+      res.json(restoredTemplate);
+    } catch (error) {
+      console.error("Error rolling back template:", error);
+      res.status(500).json({ message: "Failed to roll back template" });
+    }
+  });
+
+  // AI routes - rate limited per user and IP (see rate-limit.ts), and every
+  // completion is charged to the user's monthly budget (see ai-usage.ts)
+  app.post('/api/chat', isAuthenticated, rateLimit('chat'), validateBody(chatBodySchema), enforceAiBudget, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const { messages, options = {} } = req.body;
+      const { provider, model, maxTokens, degraded } = selectProvider(req, options, options.max_tokens || 800);
+      
+      const completion = await provider.complete({
+        model,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        maxTokens,
+      });
+      
+      await recordAiUsage(userId, {
+        endpoint: 'chat',
+        provider: provider.name,
+        model: completion.model,
+        usage: completion.usage,
+        messages,
+        content: completion.content,
+        degraded,
+      });
+      
+      res.json({
+        response: completion.content,
+        model: completion.model,
+        usage: completion.usage,
+        degraded,
+      });
+    } catch (error: any) {
+      console.error("Error in chat:", error);
+      res.status(error.status || 500).json({ message: error.status ? error.message : "Failed to get chat response" });
     }
   });
 
+  // Streaming chat - Server-Sent Events:
+  //   event: token  data: { text }                      for each chunk of the reply
+  //   event: done   data: { model, usage, finishReason, degraded, context }
+  //   event: error  data: { message }                   if the completion fails mid-stream
+  app.post('/api/chat/stream', isAuthenticated, rateLimit('chat'), validateBody(chatStreamBodySchema), enforceAiBudget, async (req: any, res: Response) => {
+    const userId = req.user.claims.sub;
+    const { messages, options = {}, context = {} } = req.body;
+    
+    // Stop generating if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    
+    // Kept outside the try so a reply cut short by the client is still charged
+    let selection: ReturnType<typeof selectProvider> | undefined;
+    let content = '';
+    
+    try {
+      selection = selectProvider(req, options, options.max_tokens || 800);
+      const { provider, model, maxTokens, degraded } = selection;
+      
+      const startStream = () => {
+        if (res.headersSent) return;
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no',
+        });
+      };
+      
+      const result = await provider.stream({
+        model,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        maxTokens,
+        signal: controller.signal,
+      }, (text: string) => {
+        content += text;
+        startStream();
+        sendEvent(res, 'token', { text });
+      });
+      
+      await recordAiUsage(userId, {
+        endpoint: 'chat-stream',
+        provider: provider.name,
+        model: result.model,
+        usage: result.usage,
+        messages,
+        content,
+        degraded,
+      });
+      
+      startStream();
+      sendEvent(res, 'done', {
+        model: result.model,
+        usage: result.usage,
+        finishReason: result.finishReason,
+        degraded,
+        context: {
+          sources: context.sources || [],
+          messageCount: messages.length,
+        },
+      });
+      res.end();
+    } catch (error: any) {
+      if (controller.signal.aborted) {
+        if (selection && content) {
+          // usage is estimated from the text sent before the client left
+          await recordAiUsage(userId, {
+            endpoint: 'chat-stream',
+            provider: selection.provider.name,
+            model: selection.model,
+            usage: null,
+            messages,
+            content,
+            degraded: selection.degraded,
+          });
+        }
+        return;
+      }
+      
+      console.error("Error in chat stream:", error);
+      const message = error.status ? error.message : "Failed to get chat response";
+      
+      if (!res.headersSent) {
+        return res.status(error.status || 500).json({ message });
+      }
+      sendEvent(res, 'error', { message });
+      res.end();
+    }
+  });
+
+  // Generate an insight from a template's prompts and save it. usage is null when
+  // the completion came from the generation cache (cached: true). When templateId
+  // names one of the user's templates with an output schema, the reply is checked
+  // against it (and repaired) and its fields are returned as output.
+  app.post('/api/generate-insight', isAuthenticated, rateLimit('generate-insight'), validateBody(generateInsightBodySchema), enforceAiBudget, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const { userPrompt, format = 'markdown', templateId, cache } = req.body;
+      const { provider, model, maxTokens, degraded } = selectProvider(req, req.body, 2000);
+      
+      const template = templateId ? await findUserTemplate(userId, templateId) : undefined;
+      const schema = template && template.type === 'insight' ? outputSchemaFor(templateDocument(template)) : undefined;
+      const systemPrompt = schema ? structuredSystemPrompt(req.body.systemPrompt, schema) : req.body.systemPrompt;
+      
+      // A user's repeated prompts for the same model are answered from the cache, without
+      // calling or billing the provider, unless the caller asks to bypass it
+      const cacheKey = generationCacheKey({ userId, systemPrompt, userPrompt, provider: provider.name, model, format, maxTokens });
+      let completion = cache === 'bypass' ? undefined : getCachedCompletion(cacheKey);
+      const cached = !!completion;
+      let usage = null;
+      let structured: StructuredCompletion | undefined;
+      const messages = [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ];
+      
+      if (!completion) {
+        const record = (sent: typeof messages, generated: { model: string; usage: any; content: string }) => recordAiUsage(userId, {
+          endpoint: 'generate-insight',
+          templateId,
+          provider: provider.name,
+          model: generated.model,
+          usage: generated.usage,
+          messages: sent,
+          content: generated.content,
+          degraded,
+        });
+        
+        let generated;
+        if (schema) {
+          generated = structured = await completeStructured(provider, { model, messages, temperature: 0.7, maxTokens }, schema, record);
+        } else {
+          generated = await provider.complete({
+            model,
+            messages,
+            temperature: 0.7,
+            maxTokens,
+            responseFormat: format === 'json' ? 'json' : 'text',
+          });
+          await record(messages, generated);
+        }
+        
+        usage = generated.usage;
+        // Replies that never matched the schema, and the shorter replies given
+        // while over budget, aren't kept for next time
+        completion = degraded || (structured && !structured.output)
+          ? { content: generated.content, model: generated.model, cachedAt: new Date().toISOString() }
+          : cacheCompletion(cacheKey, generated);
+      }
+      
+      const output = schema ? (structured || checkOutput(completion.content, schema)) : undefined;
+      const scores = await scoreInsight(userId, {
+        templateId,
+        content: completion.content,
+        output: output ? output.output : null,
+      });
+      const insight = await storage.saveInsight({
+        userId,
+        type: 'generated',
+        ...insightText(completion.content, output ? output.output : null),
+        confidence: scores.confidence,
+        relevanceScore: scores.relevanceScore,
+        details: {
+          templateId,
+          format,
+          model: completion.model,
+          scores: scores.signals,
+          // The prompts were put together by the app, so no stored records are referenced
+          provenance: {
+            template: template ? await templateProvenance(template) : null,
+            window: null,
+            sources: [],
+            promptHash: promptHash(messages),
+          },
+          ...(schema && output ? structuredDetails(schema, output, structured ? structured.repairs : 0) : {}),
+        },
+      });
+      
+      res.json({
+        result: completion.content,
+        output: output ? output.output : null,
+        insight,
+        model: completion.model,
+        usage,
+        degraded,
+        cached,
+      });
+    } catch (error: any) {
+      console.error("Error generating insight:", error);
+      res.status(error.status || 500).json({ message: error.status ? error.message : "Failed to generate insight" });
+    }
+  });
+
+  // Generate and save an insight from a template, filled from the user's stored
+  // data over a time window. Shares the generate-insight rate limit.
+  app.post('/api/multi-source-insight', isAuthenticated, rateLimit('generate-insight'), validateBody(multiSourceInsightBodySchema), enforceAiBudget, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const { templateId, dataSourceIds, data = {} } = req.body;
+      
+      const stored = await findUserTemplate(userId, templateId);
+      if (!stored || stored.type !== 'insight') {
+        return res.status(404).json({ message: "Template not found" });
+      }
+      const template = templateDocument(stored);
+      if (typeof template.template?.promptTemplate !== 'string') {
+        return res.status(400).json({ message: "Template has no promptTemplate" });
+      }
+      const { requiredDataFields } = template.template;
+      if (requiredDataFields !== undefined && !(Array.isArray(requiredDataFields) && requiredDataFields.every((field) => typeof field === 'string'))) {
+        return res.status(400).json({ message: "Template requiredDataFields must be a list of field names" });
+      }
+      
+      const window = insightWindow(req.body.startDate, req.body.endDate);
+      if (!window) {
+        return res.status(400).json({ message: "startDate must be before endDate" });
+      }
+      
+      const userSources = await storage.getUserDataSources(userId);
+      const sources = dataSourceIds
+        ? userSources.filter((source) => dataSourceIds.includes(source.id))
+        : userSources.filter((source) => source.status === 'connected');
+      if (dataSourceIds && sources.length < new Set(dataSourceIds).size) {
+        return res.status(404).json({ message: "Data source not found" });
+      }
+      
+      const input = await buildTemplateInput(template, sources, window, data);
+      if (input.missingFields.length > 0) {
+        return res.status(400).json({
+          message: `Missing required data fields: ${input.missingFields.join(', ')}`,
+          missingFields: input.missingFields,
+        });
+      }
+      
+      const format = template.template.outputFormat || 'markdown';
+      const schema = outputSchemaFor(template);
+      const { provider, model, maxTokens, degraded } = selectProvider(req, req.body, 2000);
+      const messages = [
+        {
+          role: 'system',
+          content: schema ? structuredSystemPrompt(template.template.systemPrompt, schema) : template.template.systemPrompt,
+        },
+        { role: 'user', content: input.prompt },
+      ];
+      const record = (sent: typeof messages, generated: { model: string; usage: any; content: string }) => recordAiUsage(userId, {
+        endpoint: 'multi-source-insight',
+        templateId,
+        provider: provider.name,
+        model: generated.model,
+        usage: generated.usage,
+        messages: sent,
+        content: generated.content,
+        degraded,
+      });
+      
+      let completion;
+      let structured: StructuredCompletion | undefined;
+      if (schema) {
+        completion = structured = await completeStructured(provider, { model, messages, temperature: 0.7, maxTokens }, schema, record);
+      } else {
+        completion = await provider.complete({
+          model,
+          messages,
+          temperature: 0.7,
+          maxTokens,
+          responseFormat: format === 'json' ? 'json' : 'text',
+        });
+        await record(messages, completion);
+      }
+      
+      const scores = await scoreInsight(userId, {
+        templateId,
+        coverage: input.coverage,
+        sources: sources.filter((source) => input.sourceIds.includes(source.id)),
+        content: completion.content,
+        output: structured ? structured.output : null,
+      });
+      const insight = await storage.saveInsight({
+        userId,
+        type: 'complex',
+        ...insightText(completion.content, structured ? structured.output : null),
+        sources: input.sourceIds,
+        confidence: scores.confidence,
+        relevanceScore: scores.relevanceScore,
+        details: {
+          templateId,
+          templateName: template.name,
+          format,
+          model: completion.model,
+          fields: input.fields,
+          scores: scores.signals,
+          provenance: {
+            template: await templateProvenance(stored),
+            window: { startDate: window.startDate.toISOString(), endDate: window.endDate.toISOString() },
+            sources: sourceProvenance(input.records),
+            promptHash: promptHash(messages),
+          },
+          ...(schema && structured ? structuredDetails(schema, structured, structured.repairs) : {}),
+        },
+      });
+      
+      res.json({
+        result: completion.content,
+        output: structured ? structured.output : null,
+        insight,
+        model: completion.model,
+        usage: completion.usage,
+        degraded,
+      });
+    } catch (error: any) {
+      console.error("Error generating multi-source insight:", error);
+      res.status(error.status || 500).json({ message: error.status ? error.message : "Failed to generate multi-source insight" });
+    }
+  });
+
+  // Analyze free text for behavioral, creative or emotional patterns
+  app.post('/api/analyze-content', isAuthenticated, rateLimit('analyze-content'), validateBody(analyzeContentBodySchema), enforceAiBudget, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const { content, type = 'behavioral' } = req.body;
+      const { provider, model, maxTokens, degraded } = selectProvider(req, req.body, 1000);
+      
+      const messages = [
+        { role: 'system', content: analysisPrompt(type) },
+        { role: 'user', content },
+      ];
+      const completion = await provider.complete({
+        model,
+        messages,
+        temperature: 0.7,
+        maxTokens,
+        responseFormat: 'json',
+      });
+      
+      await recordAiUsage(userId, {
+        endpoint: 'analyze-content',
+        provider: provider.name,
+        model: completion.model,
+        usage: completion.usage,
+        messages,
+        content: completion.content,
+        degraded,
+      });
+      
+      // The analysis is passed on as the model gave it, so it must at least be a JSON object
+      const { output } = checkOutput(completion.content, { type: 'object' });
+      if (!output) {
+        return res.status(502).json({ message: "The AI model's analysis wasn't valid JSON. Please try again." });
+      }
+      res.json(output);
+    } catch (error: any) {
+      console.error("Error analyzing content:", error);
+      res.status(error.status || 500).json({ message: error.status ? error.message : "Failed to analyze content" });
+    }
+  });
+
+  // AI usage for a month (?month=YYYY-MM, default the current one) and the user's budget
+  app.get('/api/ai/usage', isAuthenticated, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const { month } = req.query;
+      
+      if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(String(month))) {
+        return res.status(400).json({ message: "month must be formatted YYYY-MM" });
+      }
+      
+      const summary = await summarizeAiUsage(userId, month ? String(month) : undefined);
+      res.json(summary);
+    } catch (error) {
+      console.error("Error fetching AI usage:", error);
+      res.status(500).json({ message: "Failed to fetch AI usage" });
+    }
+  });
+
+  // Takeout routes - a ZIP of all the user's data, built in the background.
+  // Requesting one while another is being built returns that one.
+  app.post('/api/takeouts', isAuthenticated, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const takeout = await requestTakeout(userId);
+      res.status(202).json(describeTakeout(takeout));
+    } catch (error) {
+      console.error("Error requesting takeout:", error);
+      res.status(500).json({ message: "Failed to request takeout" });
+    }
+  });
+
+  app.get('/api/takeouts', isAuthenticated, async (req: any, res: Response) => {
+    try {
+      const userId = req.user.claims.sub;
+      const takeouts = await Promise.all((await storage.getUserTakeouts(userId)).map(currentTakeout));
+      res.json(takeouts.map(describeTakeout));
+    } catch (error) {
+      console.error("Error fetching takeouts:", error);
+      res.status(500).json({ message: "Failed to fetch takeouts" });
+    }
+  });
+
+  app.get('/api/takeouts/:id', isAuthenticated, authorize('takeout'), async (req: any, res: Response) => {
+    try {
+      const takeout = await currentTakeout(req.resource);
+      res.json(describeTakeout(takeout));
+    } catch (error) {
+      console.error("Error fetching takeout:", error);
+      res.status(500).json({ message: "Failed to fetch takeout" });
+    }
+  });
+
+  app.get('/api/takeouts/:id/download', isAuthenticated, authorize('takeout'), async (req: any, res: Response) => {
+    try {
+      const takeout = await currentTakeout(req.resource);
+
+      if (takeout.status === 'expired') {
+        return res.status(410).json({ message: "This takeout has expired. Please request a new one." });
+      }
+      if (takeout.status !== 'ready') {
+        return res.status(409).json({ message: `This takeout is ${takeout.status}, not ready to download` });
+      }
+
+      res.set('Access-Control-Expose-Headers', 'Content-Disposition');
+      res.download(takeoutFilePath(takeout), takeout.fileName || `solstice-takeout-${takeout.id}.zip`, (error) => {
+        if (error && !res.headersSent) {
+          console.error("Error sending takeout:", error);
+          res.status(410).json({ message: "This takeout is no longer available. Please request a new one." });
+        }
+      });
+    } catch (error) {
+      console.error("Error downloading takeout:", error);
+      res.status(500).json({ message: "Failed to download takeout" });
+    }
+  });
+
+  // OpenAPI document and interactive docs
+  registerApiDocs(app);
+
   // Status endpoint
   app.get('/api/status', (req: Request, res: Response) => {
     res.json({ 
       status: 'ok', 
       message: 'Solstice API is running',
-      version: '1.0.0'
+      version: '1.0.0',
+      ai: describeDefaultProvider()
     });
   });
 
@@ -330,4 +1198,76 @@ async function registerRoutes(app) {
 
   const httpServer = createServer(app);
   return httpServer;
-}
\ No newline at end of file
+}
+
+// Parse optional startDate/endDate query params; returns null if either is not a date
+function parseDateRange(startDate: unknown, endDate: unknown): { startDate?: Date; endDate?: Date } | null {
+  const range: { startDate?: Date; endDate?: Date } = {};
+  
+  if (startDate) {
+    range.startDate = new Date(String(startDate));
+    if (isNaN(range.startDate.getTime())) return null;
+  }
+  if (endDate) {
+    range.endDate = new Date(String(endDate));
+    if (isNaN(range.endDate.getTime())) return null;
+  }
+  
+  return range;
+}
+
+// Flatten a stored data point into the record shape clients already consume
+function toDataRecord(point: DataPoint) {
+  return {
+    ...(point.payload as Record<string, unknown>),
+    id: point.id,
+    recordedAt: point.recordedAt.toISOString(),
+  };
+}
+
+// Title for a generated insight: its first heading or line, up to 50 characters
+function insightTitle(content: string): string {
+  const firstLine = content.match(/^#\s+(.+)$/m) || content.match(/^(.+?)\n/);
+  if (!firstLine) {
+    return 'AI Generated Insight';
+  }
+  const title = firstLine[1].trim().replace(/^#+\s+/, '');
+  return title.length > 50 ? title.substring(0, 47) + '...' : title;
+}
+
+// Title and summary for a saved insight: the structured output's title and
+// summary when it has them, otherwise taken from the reply text
+function insightText(content: string, output: Record<string, unknown> | null): { title: string; summary: string } {
+  const title = output && typeof output.title === 'string' && output.title.trim() ? output.title.trim() : '';
+  return {
+    title: title ? insightTitle(`# ${title}`) : insightTitle(content),
+    summary: output && typeof output.summary === 'string' ? output.summary : content,
+  };
+}
+
+// Insight details for structured output: the fields, the sections to show them
+// in, and what was wrong if the reply never matched the schema
+function structuredDetails(schema: JsonSchema, checked: CheckedOutput, repairs: number) {
+  return {
+    output: checked.output,
+    outputSections: outputSections(schema),
+    outputErrors: checked.output ? undefined : checked.outputErrors,
+    repairs,
+  };
+}
+
+// System prompt for /api/analyze-content, asking for a fixed JSON shape
+function analysisPrompt(type: string): string {
+  const focus: { [type: string]: string } = {
+    behavioral: 'Analyze the behavioral patterns in this text. Identify habits, routines, and decision-making patterns.',
+    creative: 'Analyze the creative themes and patterns in this text. Identify recurring motifs, interests, and creative approaches.',
+    emotional: 'Analyze the emotional patterns in this text. Identify mood fluctuations, emotional responses, and overall emotional tone.',
+  };
+  return (focus[type] || 'Analyze this text and provide meaningful insights about the patterns you observe.')
+    + ' Respond with a JSON object containing your analysis with these fields: {"summary": "Brief summary", "patterns": ["key pattern 1", "key pattern 2", "key pattern 3"], "primaryTheme": "main theme", "recommendations": ["suggestion 1", "suggestion 2"]}';
+}
+
+// Write one Server-Sent Event
+function sendEvent(res: Response, event: string, data: unknown) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -4,6 +4,7 @@ const cors = require('cors');
 const path = require('path');
 const routes = require('./routes');
 const db = require('./db');
+const { startSyncScheduler } = require('./sync-scheduler');
 
 // Initialize Express app
 const app = express();
@@ -28,6 +29,11 @@ async function startServer() {
       console.log(`Server running on port ${PORT}`);
       console.log(`Visit http://localhost:${PORT} to view the app`);
     });
+
+    // Pull due data sources in the background
+    if (process.env.SYNC_SCHEDULER_DISABLED !== 'true') {
+      startSyncScheduler();
+    }
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
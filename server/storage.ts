@@ -3,7 +3,15 @@ import {
   userPreferences,
   dataSources,
   oauthTokens,
+  oauthStates,
+  dataPoints,
   insights,
+  aiUsage,
+  conversations,
+  messages,
+  templates,
+  templateVersions,
+  takeouts,
   type User,
   type UpsertUser,
   type UserPreference,
@@ -12,11 +20,76 @@ import {
   type InsertDataSource,
   type OAuthToken,
   type InsertOAuthToken,
+  type OAuthState,
+  type InsertOAuthState,
+  type DataPoint,
+  type InsertDataPoint,
   type Insight,
-  type InsertInsight
+  type InsertInsight,
+  type AiUsage,
+  type InsertAiUsage,
+  type Conversation,
+  type InsertConversation,
+  type Message,
+  type InsertMessage,
+  type Template,
+  type InsertTemplate,
+  type TemplateVersion,
+  type Takeout,
+  type InsertTakeout
 } from "../shared/schema";
 import { db } from "./db";
-import { eq, desc } from "drizzle-orm";
+import { encryptTokens, decryptTokens, rewrapDataKey, currentKeyVersion } from "./token-crypto";
+import { eq, desc, asc, and, or, gt, gte, lte, lt, isNull, inArray, sql, type SQL } from "drizzle-orm";
+
+// Filters for reading or deleting the raw records of a data source
+export type DataPointQuery = {
+  dataType?: string;
+  startDate?: Date;
+  endDate?: Date;
+  limit?: number;
+  newestFirst?: boolean; // with limit, the latest records rather than the earliest
+};
+
+// Fields /api/insights can sort by
+export type InsightSortField = 'createdAt' | 'relevanceScore' | 'confidence';
+
+// Filters, search, sort and cursor for a page of insights
+export type InsightQuery = {
+  category?: string;
+  type?: string;
+  starred?: boolean;
+  archived?: boolean; // defaults to false
+  search?: string; // full-text search over title and summary
+  sortBy?: InsightSortField;
+  order?: 'asc' | 'desc';
+  limit?: number;
+  cursor?: string; // nextCursor from the previous page
+};
+
+export type InsightPage = {
+  items: Insight[];
+  nextCursor: string | null;
+};
+
+// An entry of an insight's export history; the timestamp is added when it's recorded
+export type InsightExport = {
+  destination: string; // download, or where the app sent it
+  format?: string; // markdown, html, pdf or json, when the server rendered it
+  filename?: string;
+};
+
+// AI usage totals for one endpoint, template and model combination
+export type AiUsageGroup = {
+  endpoint: string;
+  templateId: string | null;
+  model: string;
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  costMicroUsd: number;
+};
 
 // Interface for storage operations
 export interface IStorage {
@@ -36,25 +109,73 @@ export interface IStorage {
   updateDataSource(id: number, source: Partial<InsertDataSource>): Promise<DataSource>;
   removeDataSource(id: number): Promise<void>;
   refreshDataSource(id: number): Promise<DataSource>;
+  recordDataSourceIngest(id: number, insertedBytes: number, syncedAt: Date): Promise<DataSource>;
   scheduleDataSourceSync(id: number, frequency: string): Promise<DataSource>;
+  claimDueDataSources(limit: number, leaseMs: number): Promise<DataSource[]>;
   
   // OAuth tokens
   getOAuthToken(dataSourceId: number): Promise<OAuthToken | undefined>;
   saveOAuthToken(token: InsertOAuthToken): Promise<OAuthToken>;
   updateOAuthToken(id: number, token: Partial<InsertOAuthToken>): Promise<OAuthToken>;
+  reencryptOAuthTokens(): Promise<number>;
+  saveOAuthState(state: InsertOAuthState): Promise<OAuthState>;
+  consumeOAuthState(nonce: string): Promise<OAuthState | undefined>;
+  finishOAuthState(nonce: string, result: { status: string; dataSourceId?: number }): Promise<void>;
+  getOAuthState(nonce: string): Promise<OAuthState | undefined>;
+  
+  // Data points
+  addDataPoints(points: InsertDataPoint[]): Promise<DataPoint[]>;
+  getDataPoints(dataSourceId: number, query?: DataPointQuery): Promise<DataPoint[]>;
+  getDataPointsAfter(dataSourceId: number, afterId: number, limit: number): Promise<DataPoint[]>;
+  removeDataPoints(dataSourceId: number, query?: DataPointQuery): Promise<number>;
   
   // Insights
   getUserInsights(userId: string): Promise<Insight[]>;
+  getAllUserInsights(userId: string): Promise<Insight[]>;
+  queryInsights(userId: string, query: InsightQuery): Promise<InsightPage>;
   getUserInsightsByCategory(userId: string, category: string): Promise<Insight[]>;
   getUserInsightsByType(userId: string, type: string): Promise<Insight[]>;
   getStarredInsights(userId: string): Promise<Insight[]>;
+  getTemplateInsights(userId: string, templateId: string, limit: number): Promise<Insight[]>;
   getInsightById(id: number): Promise<Insight | undefined>;
   saveInsight(insight: InsertInsight): Promise<Insight>;
   updateInsight(id: number, insight: Partial<InsertInsight>): Promise<Insight>;
   starInsight(id: number, starred: boolean): Promise<Insight>;
   archiveInsight(id: number, archived: boolean): Promise<Insight>;
-  trackInsightExport(id: number, destination: string): Promise<Insight>;
+  trackInsightExport(id: number, entry: InsightExport): Promise<Insight>;
   removeInsight(id: number): Promise<void>;
+  
+  // Conversations
+  getUserConversations(userId: string): Promise<Conversation[]>;
+  getConversationById(id: number): Promise<Conversation | undefined>;
+  createConversation(conversation: InsertConversation): Promise<Conversation>;
+  renameConversation(id: number, title: string): Promise<Conversation>;
+  removeConversation(id: number): Promise<void>;
+  getConversationMessages(conversationId: number): Promise<Message[]>;
+  addMessage(message: InsertMessage): Promise<Message>;
+  
+  // Templates
+  getUserTemplates(userId: string): Promise<Template[]>;
+  getTemplateById(id: number): Promise<Template | undefined>;
+  getUserTemplate(userId: string, templateId: string): Promise<Template | undefined>;
+  addTemplates(templates: InsertTemplate[]): Promise<Template[]>;
+  createTemplate(template: InsertTemplate): Promise<Template | undefined>;
+  updateTemplate(id: number, template: Partial<InsertTemplate>): Promise<Template>;
+  removeTemplate(id: number): Promise<void>;
+  getTemplateVersions(templateRowId: number): Promise<TemplateVersion[]>;
+  getTemplateVersion(templateRowId: number, revision: number): Promise<TemplateVersion | undefined>;
+  addTemplateVersion(template: Template, source: string): Promise<TemplateVersion>;
+  
+  // AI usage
+  recordAiUsage(entry: InsertAiUsage): Promise<AiUsage>;
+  getAiTokensUsed(userId: string, since: Date): Promise<number>;
+  getAiUsageGroups(userId: string, since: Date, until: Date): Promise<AiUsageGroup[]>;
+  
+  // Takeouts
+  createTakeout(takeout: InsertTakeout): Promise<Takeout>;
+  updateTakeout(id: number, takeout: Partial<InsertTakeout>): Promise<Takeout>;
+  getTakeoutById(id: number): Promise<Takeout | undefined>;
+  getUserTakeouts(userId: string): Promise<Takeout[]>;
 }
 
 export class DatabaseStorage implements IStorage {
@@ -133,8 +254,7 @@ export class DatabaseStorage implements IStorage {
     return await db
       .select()
       .from(dataSources)
-      .where(eq(dataSources.userId, userId))
-      .where(eq(dataSources.sourceType, sourceType));
+      .where(and(eq(dataSources.userId, userId), eq(dataSources.sourceType, sourceType)));
   }
 
   async addDataSource(source: InsertDataSource): Promise<DataSource> {
@@ -183,6 +303,22 @@ export class DatabaseStorage implements IStorage {
       .where(eq(dataSources.id, id));
   }
 
+  // Add newly stored bytes to the source's size in the update itself, so
+  // concurrent ingests for the source don't overwrite each other's count
+  async recordDataSourceIngest(id: number, insertedBytes: number, syncedAt: Date): Promise<DataSource> {
+    const [updatedSource] = await db
+      .update(dataSources)
+      .set({
+        dataSize: sql`coalesce(${dataSources.dataSize}, 0) + ${insertedBytes}`,
+        lastSynced: syncedAt,
+        dataFreshness: 100,
+        updatedAt: new Date(),
+      })
+      .where(eq(dataSources.id, id))
+      .returning();
+    return updatedSource;
+  }
+
   async refreshDataSource(id: number): Promise<DataSource> {
     // This would trigger a data refresh for the source
     // In practice, it would call the appropriate API client based on sourceType
@@ -197,23 +333,7 @@ export class DatabaseStorage implements IStorage {
     }
 
     // Update the lastSynced timestamp and calculate next sync time
-    let nextSyncDue: Date;
-    switch (source.syncFrequency) {
-      case 'hourly':
-        nextSyncDue = new Date(now.getTime() + 60 * 60 * 1000);
-        break;
-      case 'daily':
-        nextSyncDue = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-        break;
-      case 'weekly':
-        nextSyncDue = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'monthly':
-        nextSyncDue = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        nextSyncDue = new Date(now.getTime() + 24 * 60 * 60 * 1000); // Default to daily
-    }
+    const nextSyncDue = computeNextSyncDue(source.syncFrequency, now);
 
     const [updatedSource] = await db
       .update(dataSources)
@@ -223,6 +343,7 @@ export class DatabaseStorage implements IStorage {
         dataFreshness: 100, // Reset freshness to 100% after sync
         status: 'connected',
         errorMessage: null,
+        syncLockedUntil: null,
         updatedAt: now,
       })
       .where(eq(dataSources.id, id))
@@ -233,25 +354,7 @@ export class DatabaseStorage implements IStorage {
 
   async scheduleDataSourceSync(id: number, frequency: string): Promise<DataSource> {
     const now = new Date();
-    let nextSyncDue: Date;
-    
-    // Calculate next sync time based on frequency
-    switch (frequency) {
-      case 'hourly':
-        nextSyncDue = new Date(now.getTime() + 60 * 60 * 1000);
-        break;
-      case 'daily':
-        nextSyncDue = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-        break;
-      case 'weekly':
-        nextSyncDue = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-        break;
-      case 'monthly':
-        nextSyncDue = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        nextSyncDue = new Date(now.getTime() + 24 * 60 * 60 * 1000); // Default to daily
-    }
+    const nextSyncDue = computeNextSyncDue(frequency, now);
 
     const [updatedSource] = await db
       .update(dataSources)
@@ -267,33 +370,205 @@ export class DatabaseStorage implements IStorage {
     return updatedSource;
   }
 
+  async claimDueDataSources(limit: number, leaseMs: number): Promise<DataSource[]> {
+    const now = new Date();
+
+    // Lock the due rows and skip any another instance is already claiming,
+    // then stamp a lease so they stay ours until the sync finishes or it expires
+    const due = db
+      .select({ id: dataSources.id })
+      .from(dataSources)
+      .where(and(
+        eq(dataSources.syncEnabled, true),
+        lte(dataSources.nextSyncDue, now),
+        or(isNull(dataSources.syncLockedUntil), lt(dataSources.syncLockedUntil, now)),
+      ))
+      .orderBy(asc(dataSources.nextSyncDue))
+      .limit(limit)
+      .for('update', { skipLocked: true });
+
+    return await db
+      .update(dataSources)
+      .set({ syncLockedUntil: new Date(now.getTime() + leaseMs) })
+      .where(inArray(dataSources.id, due))
+      .returning();
+  }
+
   // OAuth tokens
+  // Token columns are encrypted on write and decrypted on read, so callers
+  // only ever see plaintext tokens
   async getOAuthToken(dataSourceId: number): Promise<OAuthToken | undefined> {
     const [token] = await db
       .select()
       .from(oauthTokens)
       .where(eq(oauthTokens.dataSourceId, dataSourceId));
-    return token;
+    return token && { ...token, ...decryptTokens(token) };
   }
 
   async saveOAuthToken(token: InsertOAuthToken): Promise<OAuthToken> {
     const [newToken] = await db
       .insert(oauthTokens)
-      .values(token)
+      .values({
+        ...token,
+        ...encryptTokens({ accessToken: token.accessToken, refreshToken: token.refreshToken ?? null }),
+      })
       .returning();
-    return newToken;
+    return { ...newToken, ...decryptTokens(newToken) };
   }
 
   async updateOAuthToken(id: number, token: Partial<InsertOAuthToken>): Promise<OAuthToken> {
+    let encrypted = {};
+    if (token.accessToken !== undefined || token.refreshToken !== undefined) {
+      // Both columns share the row's data key, so re-encrypt them together
+      const [current] = await db
+        .select()
+        .from(oauthTokens)
+        .where(eq(oauthTokens.id, id));
+      if (!current) {
+        throw new Error(`OAuth token with id ${id} not found`);
+      }
+      const secrets = decryptTokens(current);
+      encrypted = encryptTokens({
+        accessToken: token.accessToken ?? secrets.accessToken,
+        refreshToken: token.refreshToken !== undefined ? token.refreshToken : secrets.refreshToken,
+      });
+    }
+
     const [updatedToken] = await db
       .update(oauthTokens)
       .set({
         ...token,
+        ...encrypted,
         updatedAt: new Date(),
       })
       .where(eq(oauthTokens.id, id))
       .returning();
-    return updatedToken;
+    return { ...updatedToken, ...decryptTokens(updatedToken) };
+  }
+
+  async reencryptOAuthTokens(): Promise<number> {
+    const keyVersion = currentKeyVersion();
+    const isStale = (token: OAuthToken) => !token.keyVersion || token.keyVersion < keyVersion;
+    const stale = await db
+      .select()
+      .from(oauthTokens)
+      .where(or(isNull(oauthTokens.keyVersion), lt(oauthTokens.keyVersion, keyVersion)));
+
+    let reencrypted = 0;
+    for (const row of stale) {
+      let token: OAuthToken | undefined = row;
+      while (token && isStale(token)) {
+        // Plaintext rows from before encryption get a data key; older rows only need re-wrapping
+        const update = token.dataKey && token.keyVersion
+          ? rewrapDataKey(token.dataKey, token.keyVersion)
+          : encryptTokens({ accessToken: token.accessToken, refreshToken: token.refreshToken });
+
+        // Only if the row is as it was read: a token refreshed in the meantime
+        // was sealed with a new data key, and is read again and retried
+        const updated = await db
+          .update(oauthTokens)
+          .set({ ...update, updatedAt: new Date() })
+          .where(and(
+            eq(oauthTokens.id, token.id),
+            token.dataKey === null ? isNull(oauthTokens.dataKey) : eq(oauthTokens.dataKey, token.dataKey),
+            eq(oauthTokens.accessToken, token.accessToken),
+          ))
+          .returning({ id: oauthTokens.id });
+        if (updated.length > 0) {
+          reencrypted++;
+          break;
+        }
+
+        [token] = await db
+          .select()
+          .from(oauthTokens)
+          .where(eq(oauthTokens.id, token.id));
+      }
+    }
+
+    return reencrypted;
+  }
+
+  async saveOAuthState(state: InsertOAuthState): Promise<OAuthState> {
+    // Clear out authorizations that were abandoned before the callback
+    await db
+      .delete(oauthStates)
+      .where(lt(oauthStates.expiresAt, new Date()));
+
+    const [newState] = await db
+      .insert(oauthStates)
+      .values(state)
+      .returning();
+    return newState;
+  }
+
+  async consumeOAuthState(nonce: string): Promise<OAuthState | undefined> {
+    // Only a pending state can move on, so a replayed callback finds nothing
+    const [state] = await db
+      .update(oauthStates)
+      .set({ status: 'connecting' })
+      .where(and(
+        eq(oauthStates.nonce, nonce),
+        eq(oauthStates.status, 'pending'),
+        gte(oauthStates.expiresAt, new Date()),
+      ))
+      .returning();
+    return state;
+  }
+
+  async finishOAuthState(nonce: string, result: { status: string; dataSourceId?: number }): Promise<void> {
+    await db
+      .update(oauthStates)
+      .set(result)
+      .where(eq(oauthStates.nonce, nonce));
+  }
+
+  async getOAuthState(nonce: string): Promise<OAuthState | undefined> {
+    const [state] = await db.select().from(oauthStates).where(eq(oauthStates.nonce, nonce));
+    return state;
+  }
+
+  // Data points
+  async addDataPoints(points: InsertDataPoint[]): Promise<DataPoint[]> {
+    if (points.length === 0) {
+      return [];
+    }
+
+    // Records already stored for the source are skipped, so only new rows come back
+    return await db
+      .insert(dataPoints)
+      .values(points)
+      .onConflictDoNothing({ target: [dataPoints.dataSourceId, dataPoints.recordHash] })
+      .returning();
+  }
+
+  async getDataPoints(dataSourceId: number, query: DataPointQuery = {}): Promise<DataPoint[]> {
+    const select = db
+      .select()
+      .from(dataPoints)
+      .where(dataPointConditions(dataSourceId, query))
+      .orderBy(query.newestFirst ? desc(dataPoints.recordedAt) : asc(dataPoints.recordedAt));
+
+    return query.limit ? await select.limit(query.limit) : await select;
+  }
+
+  // A batch of a source's records in id order, for reading them all without
+  // holding them all
+  async getDataPointsAfter(dataSourceId: number, afterId: number, limit: number): Promise<DataPoint[]> {
+    return await db
+      .select()
+      .from(dataPoints)
+      .where(and(eq(dataPoints.dataSourceId, dataSourceId), gt(dataPoints.id, afterId)))
+      .orderBy(asc(dataPoints.id))
+      .limit(limit);
+  }
+
+  async removeDataPoints(dataSourceId: number, query: DataPointQuery = {}): Promise<number> {
+    const removed = await db
+      .delete(dataPoints)
+      .where(dataPointConditions(dataSourceId, query))
+      .returning({ id: dataPoints.id });
+    return removed.length;
   }
 
   // Insights
@@ -306,6 +581,60 @@ export class DatabaseStorage implements IStorage {
       .orderBy(desc(insights.createdAt));
   }
 
+  async queryInsights(userId: string, query: InsightQuery): Promise<InsightPage> {
+    const sortBy = query.sortBy || 'createdAt';
+    const order = query.order || 'desc';
+    const limit = query.limit || 20;
+    const sortExpression = insightSortExpression(sortBy);
+
+    const conditions: SQL[] = [
+      eq(insights.userId, userId),
+      eq(insights.isArchived, query.archived ?? false),
+    ];
+    if (query.category) {
+      conditions.push(eq(insights.category, query.category));
+    }
+    if (query.type) {
+      conditions.push(eq(insights.type, query.type));
+    }
+    if (query.starred !== undefined) {
+      conditions.push(eq(insights.isStarred, query.starred));
+    }
+    if (query.search) {
+      conditions.push(sql`${insightSearchVector} @@ websearch_to_tsquery('english', ${query.search})`);
+    }
+    if (query.cursor) {
+      // Keyset pagination: continue strictly after the last row of the previous page,
+      // with the id as a tie-breaker so equal sort values never repeat or skip rows
+      const { value, id } = decodeInsightCursor(query.cursor);
+      const cursorValue = sortBy === 'createdAt' ? sql`cast(${value} as timestamp)` : sql`${value}`;
+      conditions.push(order === 'desc'
+        ? sql`(${sortExpression}, ${insights.id}) < (${cursorValue}, ${id})`
+        : sql`(${sortExpression}, ${insights.id}) > (${cursorValue}, ${id})`);
+    }
+
+    const direction = order === 'desc' ? desc : asc;
+    const rows = await db
+      .select({
+        insight: insights,
+        // createdAt as Postgres prints it: the Date in insight.createdAt drops
+        // the microseconds, and the cursor must compare equal to the stored value
+        createdAtText: sql<string>`${insights.createdAt}::text`,
+      })
+      .from(insights)
+      .where(and(...conditions))
+      .orderBy(direction(sortExpression), direction(insights.id))
+      .limit(limit + 1);
+
+    // The extra row only tells us whether another page exists
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      items: page.map((row) => row.insight),
+      nextCursor: rows.length > limit && last ? encodeInsightCursor(sortBy, last.insight, last.createdAtText) : null,
+    };
+  }
+
   async getUserInsightsByCategory(userId: string, category: string): Promise<Insight[]> {
     return await db
       .select()
@@ -326,6 +655,15 @@ export class DatabaseStorage implements IStorage {
       .orderBy(desc(insights.createdAt));
   }
 
+  // Every insight the user has, archived ones included, oldest first
+  async getAllUserInsights(userId: string): Promise<Insight[]> {
+    return await db
+      .select()
+      .from(insights)
+      .where(eq(insights.userId, userId))
+      .orderBy(asc(insights.createdAt), asc(insights.id));
+  }
+
   async getStarredInsights(userId: string): Promise<Insight[]> {
     return await db
       .select()
@@ -335,6 +673,19 @@ export class DatabaseStorage implements IStorage {
       .orderBy(desc(insights.createdAt));
   }
 
+  // The user's latest insights generated from a template, archived ones included
+  async getTemplateInsights(userId: string, templateId: string, limit: number): Promise<Insight[]> {
+    return await db
+      .select()
+      .from(insights)
+      .where(and(
+        eq(insights.userId, userId),
+        sql`${insights.details}->>'templateId' = ${templateId}`,
+      ))
+      .orderBy(desc(insights.createdAt))
+      .limit(limit);
+  }
+
   async getInsightById(id: number): Promise<Insight | undefined> {
     const [insight] = await db
       .select()
@@ -413,7 +764,7 @@ export class DatabaseStorage implements IStorage {
     return updatedInsight;
   }
 
-  async trackInsightExport(id: number, destination: string): Promise<Insight> {
+  async trackInsightExport(id: number, entry: InsightExport): Promise<Insight> {
     // Get the current insight first
     const [currentInsight] = await db
       .select()
@@ -440,7 +791,7 @@ export class DatabaseStorage implements IStorage {
     
     // Add new export record
     exportHistory.push({
-      destination,
+      ...entry,
       timestamp: new Date().toISOString()
     });
     
@@ -462,6 +813,318 @@ export class DatabaseStorage implements IStorage {
       .delete(insights)
       .where(eq(insights.id, id));
   }
+
+  // Conversations
+  async getUserConversations(userId: string): Promise<Conversation[]> {
+    return await db
+      .select()
+      .from(conversations)
+      .where(eq(conversations.userId, userId))
+      .orderBy(desc(conversations.updatedAt), desc(conversations.id));
+  }
+
+  async getConversationById(id: number): Promise<Conversation | undefined> {
+    const [conversation] = await db
+      .select()
+      .from(conversations)
+      .where(eq(conversations.id, id));
+    return conversation;
+  }
+
+  async createConversation(conversation: InsertConversation): Promise<Conversation> {
+    const [newConversation] = await db
+      .insert(conversations)
+      .values(conversation)
+      .returning();
+    return newConversation;
+  }
+
+  async renameConversation(id: number, title: string): Promise<Conversation> {
+    const [updatedConversation] = await db
+      .update(conversations)
+      .set({ title, updatedAt: new Date() })
+      .where(eq(conversations.id, id))
+      .returning();
+    return updatedConversation;
+  }
+
+  async removeConversation(id: number): Promise<void> {
+    await db
+      .delete(conversations)
+      .where(eq(conversations.id, id));
+  }
+
+  async getConversationMessages(conversationId: number): Promise<Message[]> {
+    return await db
+      .select()
+      .from(messages)
+      .where(eq(messages.conversationId, conversationId))
+      .orderBy(asc(messages.createdAt), asc(messages.id));
+  }
+
+  async addMessage(message: InsertMessage): Promise<Message> {
+    const [newMessage] = await db
+      .insert(messages)
+      .values(message)
+      .returning();
+
+    // Keep the conversation list ordered by latest activity
+    await db
+      .update(conversations)
+      .set({ updatedAt: new Date() })
+      .where(eq(conversations.id, message.conversationId));
+
+    return newMessage;
+  }
+
+  // Templates
+  async getUserTemplates(userId: string): Promise<Template[]> {
+    return await db
+      .select()
+      .from(templates)
+      .where(eq(templates.userId, userId))
+      .orderBy(desc(templates.isDefault), asc(templates.name));
+  }
+
+  async getTemplateById(id: number): Promise<Template | undefined> {
+    const [template] = await db
+      .select()
+      .from(templates)
+      .where(eq(templates.id, id));
+    return template;
+  }
+
+  async getUserTemplate(userId: string, templateId: string): Promise<Template | undefined> {
+    const [template] = await db
+      .select()
+      .from(templates)
+      .where(and(eq(templates.userId, userId), eq(templates.templateId, templateId)));
+    return template;
+  }
+
+  // Insert templates, skipping any the user already has; returns those inserted
+  async addTemplates(newTemplates: InsertTemplate[]): Promise<Template[]> {
+    if (newTemplates.length === 0) {
+      return [];
+    }
+    return await db
+      .insert(templates)
+      .values(newTemplates)
+      .onConflictDoNothing({ target: [templates.userId, templates.templateId] })
+      .returning();
+  }
+
+  // Undefined when the user already has a template with this id
+  async createTemplate(template: InsertTemplate): Promise<Template | undefined> {
+    const [newTemplate] = await db
+      .insert(templates)
+      .values(template)
+      .onConflictDoNothing({ target: [templates.userId, templates.templateId] })
+      .returning();
+    return newTemplate;
+  }
+
+  async updateTemplate(id: number, template: Partial<InsertTemplate>): Promise<Template> {
+    const [updatedTemplate] = await db
+      .update(templates)
+      .set({ ...template, updatedAt: new Date() })
+      .where(eq(templates.id, id))
+      .returning();
+    return updatedTemplate;
+  }
+
+  async removeTemplate(id: number): Promise<void> {
+    await db
+      .delete(templates)
+      .where(eq(templates.id, id));
+  }
+
+  async getTemplateVersions(templateRowId: number): Promise<TemplateVersion[]> {
+    return await db
+      .select()
+      .from(templateVersions)
+      .where(eq(templateVersions.templateRowId, templateRowId))
+      .orderBy(desc(templateVersions.revision));
+  }
+
+  async getTemplateVersion(templateRowId: number, revision: number): Promise<TemplateVersion | undefined> {
+    const [version] = await db
+      .select()
+      .from(templateVersions)
+      .where(and(eq(templateVersions.templateRowId, templateRowId), eq(templateVersions.revision, revision)));
+    return version;
+  }
+
+  // Snapshot a template's current state as its next revision
+  async addTemplateVersion(template: Template, source: string): Promise<TemplateVersion> {
+    // Lock the template's row while numbering, so concurrent writes to the
+    // same template take successive revisions instead of the same one
+    return await db.transaction(async (tx) => {
+      await tx
+        .select({ id: templates.id })
+        .from(templates)
+        .where(eq(templates.id, template.id))
+        .for('update');
+
+      const [{ latest }] = await tx
+        .select({ latest: sql<number>`coalesce(max(${templateVersions.revision}), 0)`.mapWith(Number) })
+        .from(templateVersions)
+        .where(eq(templateVersions.templateRowId, template.id));
+
+      const [version] = await tx
+        .insert(templateVersions)
+        .values({
+          templateRowId: template.id,
+          revision: latest + 1,
+          version: template.version,
+          name: template.name,
+          definition: template.definition,
+          forked: template.forked,
+          source,
+        })
+        .returning();
+      return version;
+    });
+  }
+
+  // AI usage
+  async recordAiUsage(entry: InsertAiUsage): Promise<AiUsage> {
+    const [recorded] = await db
+      .insert(aiUsage)
+      .values(entry)
+      .returning();
+    return recorded;
+  }
+
+  async getAiTokensUsed(userId: string, since: Date): Promise<number> {
+    const [result] = await db
+      .select({ totalTokens: sql<number>`coalesce(sum(${aiUsage.totalTokens}), 0)`.mapWith(Number) })
+      .from(aiUsage)
+      .where(and(eq(aiUsage.userId, userId), gte(aiUsage.createdAt, since)));
+    return result.totalTokens;
+  }
+
+  async getAiUsageGroups(userId: string, since: Date, until: Date): Promise<AiUsageGroup[]> {
+    return await db
+      .select({
+        endpoint: aiUsage.endpoint,
+        templateId: aiUsage.templateId,
+        model: aiUsage.model,
+        requests: sql<number>`count(*)`.mapWith(Number),
+        promptTokens: sql<number>`sum(${aiUsage.promptTokens})`.mapWith(Number),
+        completionTokens: sql<number>`sum(${aiUsage.completionTokens})`.mapWith(Number),
+        totalTokens: sql<number>`sum(${aiUsage.totalTokens})`.mapWith(Number),
+        costMicroUsd: sql<number>`sum(${aiUsage.costMicroUsd})`.mapWith(Number),
+      })
+      .from(aiUsage)
+      .where(and(
+        eq(aiUsage.userId, userId),
+        gte(aiUsage.createdAt, since),
+        lt(aiUsage.createdAt, until),
+      ))
+      .groupBy(aiUsage.endpoint, aiUsage.templateId, aiUsage.model);
+  }
+
+  // Takeouts
+  async createTakeout(takeout: InsertTakeout): Promise<Takeout> {
+    const [created] = await db
+      .insert(takeouts)
+      .values(takeout)
+      .returning();
+    return created;
+  }
+
+  async updateTakeout(id: number, takeout: Partial<InsertTakeout>): Promise<Takeout> {
+    const [updated] = await db
+      .update(takeouts)
+      .set(takeout)
+      .where(eq(takeouts.id, id))
+      .returning();
+    return updated;
+  }
+
+  async getTakeoutById(id: number): Promise<Takeout | undefined> {
+    const [takeout] = await db.select().from(takeouts).where(eq(takeouts.id, id));
+    return takeout;
+  }
+
+  async getUserTakeouts(userId: string): Promise<Takeout[]> {
+    return await db
+      .select()
+      .from(takeouts)
+      .where(eq(takeouts.userId, userId))
+      .orderBy(desc(takeouts.createdAt), desc(takeouts.id));
+  }
+}
+
+// Next sync time for a frequency (hourly, daily, weekly, monthly), counted from a given time
+export function computeNextSyncDue(frequency: string | null, from: Date = new Date()): Date {
+  switch (frequency) {
+    case 'hourly':
+      return new Date(from.getTime() + 60 * 60 * 1000);
+    case 'weekly':
+      return new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+    case 'monthly':
+      return new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+    case 'daily':
+    default:
+      return new Date(from.getTime() + 24 * 60 * 60 * 1000); // Default to daily
+  }
+}
+
+// Document searched by insight full-text search; matches the GIN index in push-schema.ts
+const insightSearchVector = sql`to_tsvector('english', ${insights.title} || ' ' || ${insights.summary})`;
+
+// Missing scores sort as -1 so they land after every scored insight in descending order
+function insightSortExpression(sortBy: InsightSortField): SQL {
+  switch (sortBy) {
+    case 'relevanceScore':
+      return sql`coalesce(${insights.relevanceScore}, -1)`;
+    case 'confidence':
+      return sql`coalesce(${insights.confidence}, -1)`;
+    default:
+      return sql`${insights.createdAt}`;
+  }
+}
+
+function encodeInsightCursor(sortBy: InsightSortField, insight: Insight, createdAtText: string): string {
+  const value = sortBy === 'createdAt' ? createdAtText : insight[sortBy] ?? -1;
+  return Buffer.from(JSON.stringify({ value, id: insight.id })).toString('base64url');
+}
+
+function decodeInsightCursor(cursor: string): { value: string | number; id: number } {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof decoded.id === 'number' && ['string', 'number'].includes(typeof decoded.value)) {
+      return decoded;
+    }
+  } catch (error) {
+    // fall through to the error below
+  }
+  throw new InvalidCursorError();
+}
+
+// Thrown for a cursor that wasn't produced by queryInsights
+export class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid pagination cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+// Build the WHERE clause shared by data point reads and deletes
+function dataPointConditions(dataSourceId: number, query: DataPointQuery): SQL | undefined {
+  const conditions: SQL[] = [eq(dataPoints.dataSourceId, dataSourceId)];
+  if (query.dataType) {
+    conditions.push(eq(dataPoints.dataType, query.dataType));
+  }
+  if (query.startDate) {
+    conditions.push(gte(dataPoints.recordedAt, query.startDate));
+  }
+  if (query.endDate) {
+    conditions.push(lte(dataPoints.recordedAt, query.endDate));
+  }
+  return and(...conditions);
 }
 
 export const storage = new DatabaseStorage();
\ No newline at end of file
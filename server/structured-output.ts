@@ -0,0 +1,236 @@
+import type { LlmProvider } from "./ai-usage";
+import type { TemplateDocument } from "./templates";
+
+// Structured insight output. A template whose outputFormat is json or
+// structured may give an outputSchema (a JSON Schema for an object); the
+// model is asked for JSON matching it, the reply is checked against it, and
+// when it doesn't match the model is asked to correct it, with the problems
+// found, up to INSIGHT_OUTPUT_REPAIRS more times.
+//
+// The schema keywords checked are type, properties, required,
+// additionalProperties, items, enum, minLength/maxLength, minItems/maxItems
+// and minimum/maximum; others are accepted and ignored.
+
+const MAX_OUTPUT_REPAIRS = repairLimit(process.env.INSIGHT_OUTPUT_REPAIRS, 2);
+
+// Problems listed back to the model per repair, to keep the prompt short
+const MAX_REPORTED_ERRORS = 10;
+
+export type JsonSchema = {
+  type?: string | string[];
+  title?: string;
+  description?: string;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean | JsonSchema;
+  items?: JsonSchema;
+  enum?: unknown[];
+  minLength?: number;
+  maxLength?: number;
+  minItems?: number;
+  maxItems?: number;
+  minimum?: number;
+  maximum?: number;
+  [keyword: string]: unknown;
+};
+
+type ChatMessage = { role: string; content: string };
+
+type Completion = Awaited<ReturnType<LlmProvider['complete']>>;
+
+export type CheckedOutput = {
+  output: Record<string, unknown> | null; // null when the reply doesn't match the schema
+  outputErrors: string[]; // what is wrong with the reply
+};
+
+export type StructuredCompletion = Completion & CheckedOutput & {
+  repairs: number; // follow-up requests made to fix the reply
+};
+
+// A section of structured output, in the schema's order, as the app shows it
+export type OutputSection = { field: string; title: string };
+
+// The template's output schema, if its output is meant to be JSON and it has one
+export function outputSchemaFor(template: TemplateDocument): JsonSchema | undefined {
+  const { outputFormat, outputSchema } = template.template;
+  if ((outputFormat !== 'json' && outputFormat !== 'structured') || !isObject(outputSchema)) {
+    return undefined;
+  }
+  return outputSchema as JsonSchema;
+}
+
+// System prompt asking for output matching the schema
+export function structuredSystemPrompt(systemPrompt: string, schema: JsonSchema): string {
+  return `${systemPrompt}\n\nRespond with only a JSON object, no other text, matching this JSON Schema:\n${JSON.stringify(schema)}`;
+}
+
+// Parse a reply and check it against the schema. Code fences around the JSON
+// are tolerated, since models add them even when asked not to.
+export function checkOutput(content: string, schema: JsonSchema): CheckedOutput {
+  const json = content.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+
+  let value: unknown;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { output: null, outputErrors: ['the reply is not valid JSON'] };
+  }
+
+  if (!isObject(value)) {
+    return { output: null, outputErrors: ['output must be a JSON object'] };
+  }
+
+  const errors = validateValue(value, schema, 'output');
+  return errors.length > 0 ? { output: null, outputErrors: errors } : { output: value as Record<string, unknown>, outputErrors: [] };
+}
+
+// Complete the messages, then re-prompt with the validation errors until the
+// reply matches the schema or the repairs run out. onCompletion sees every
+// request made, for usage accounting; the usage returned is their total.
+export async function completeStructured(
+  provider: LlmProvider,
+  params: { model: string; messages: ChatMessage[]; temperature: number; maxTokens: number },
+  schema: JsonSchema,
+  onCompletion: (messages: ChatMessage[], completion: Completion) => Promise<void>,
+): Promise<StructuredCompletion> {
+  let messages = params.messages;
+  let usage: Completion['usage'] = null;
+  let repairs = 0;
+
+  for (;;) {
+    const completion = await provider.complete({ ...params, messages, responseFormat: 'json' });
+    await onCompletion(messages, completion);
+    usage = addUsage(usage, completion.usage);
+
+    const { output, outputErrors } = checkOutput(completion.content, schema);
+    if (output || repairs >= MAX_OUTPUT_REPAIRS) {
+      return { ...completion, usage, output, outputErrors, repairs };
+    }
+
+    repairs += 1;
+    messages = messages.concat([
+      { role: 'assistant', content: completion.content },
+      { role: 'user', content: repairPrompt(outputErrors) },
+    ]);
+  }
+}
+
+// Sections of the output in the schema's property order, titled by the
+// schema's title or the field name. Kept with the output since stored JSON
+// doesn't keep key order.
+export function outputSections(schema: JsonSchema): OutputSection[] {
+  return Object.entries(schema.properties || {}).map(([field, property]) => ({
+    field,
+    title: property.title || field.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, (letter) => letter.toUpperCase()),
+  }));
+}
+
+// The repair limit from the environment; anything but a whole number of zero
+// or more (NaN would never end the repair loop) falls back to the default
+function repairLimit(value: string | undefined, fallback: number): number {
+  const limit = Number(value);
+  return value && value.trim() && Number.isInteger(limit) && limit >= 0 ? limit : fallback;
+}
+
+function repairPrompt(errors: string[]): string {
+  const listed = errors.slice(0, MAX_REPORTED_ERRORS).map((error) => `- ${error}`);
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    listed.push(`- and ${errors.length - MAX_REPORTED_ERRORS} more`);
+  }
+  return `That reply doesn't match the required JSON Schema:\n${listed.join('\n')}\n\nReply with only the corrected JSON object.`;
+}
+
+// Problems with a value against a schema, each prefixed with the value's path
+function validateValue(value: unknown, schema: JsonSchema, path: string): string[] {
+  if (!isObject(schema)) {
+    return [];
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => hasType(value, type))) {
+      return [`${path} must be ${types.join(' or ')}`];
+    }
+  }
+
+  const errors: string[] = [];
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateValue(item, schema.items as JsonSchema, `${path}[${index}]`)));
+    }
+  }
+
+  if (isObject(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((field) => {
+      if (value[field] === undefined) {
+        errors.push(`${path}.${field} is required`);
+      }
+    });
+    Object.keys(value).forEach((field) => {
+      if (properties[field]) {
+        errors.push(...validateValue(value[field], properties[field], `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field} is not allowed`);
+      } else if (isObject(schema.additionalProperties)) {
+        errors.push(...validateValue(value[field], schema.additionalProperties as JsonSchema, `${path}.${field}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+function hasType(value: unknown, type: string): boolean {
+  switch (type) {
+    case 'object': return isObject(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function addUsage(total: Completion['usage'], usage: Completion['usage']): Completion['usage'] {
+  if (!total || !usage) {
+    return total || usage;
+  }
+  return {
+    prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0),
+  };
+}
@@ -0,0 +1,83 @@
+import { storage, computeNextSyncDue } from "./storage";
+import { getFetcher } from "./fetchers";
+import { ingestRecords } from "./ingest";
+import { validateRecord, isSupportedDataType } from "./data-types";
+import type { DataSource } from "../shared/schema";
+
+// How often to look for due sources, how many to claim per tick, and how long a
+// claimed source stays locked to this instance if the sync never reports back
+const SYNC_INTERVAL_MS = parseInt(process.env.SYNC_INTERVAL_MS || '60000');
+const SYNC_BATCH_SIZE = parseInt(process.env.SYNC_BATCH_SIZE || '10');
+const SYNC_LEASE_MS = 10 * 60 * 1000;
+
+let running = false;
+
+// Start polling for due sources; returns a function that stops the scheduler
+export function startSyncScheduler(): () => void {
+  const timer = setInterval(() => {
+    runDueSyncs().catch((error) => console.error("Sync scheduler tick failed:", error));
+  }, SYNC_INTERVAL_MS);
+
+  console.log(`Sync scheduler running every ${SYNC_INTERVAL_MS / 1000}s`);
+  return () => clearInterval(timer);
+}
+
+// Claim and sync every source whose nextSyncDue has passed. Claiming takes a
+// lease on the rows, so other server instances skip sources this one is syncing.
+export async function runDueSyncs(): Promise<number> {
+  // A slow tick must not overlap the next one on the same instance
+  if (running) return 0;
+  running = true;
+
+  try {
+    const sources = await storage.claimDueDataSources(SYNC_BATCH_SIZE, SYNC_LEASE_MS);
+    for (const source of sources) {
+      await syncSource(source);
+    }
+    return sources.length;
+  } finally {
+    running = false;
+  }
+}
+
+async function syncSource(source: DataSource): Promise<void> {
+  const fetcher = getFetcher(source.sourceType);
+
+  // Push-only sources have nothing to pull; just move their schedule along
+  if (!fetcher) {
+    await storage.updateDataSource(source.id, {
+      nextSyncDue: computeNextSyncDue(source.syncFrequency),
+      syncLockedUntil: null,
+    });
+    return;
+  }
+
+  try {
+    const batches = await fetcher(source);
+
+    let current = source;
+    for (const { dataType, records } of batches) {
+      if (!isSupportedDataType(dataType)) continue;
+
+      // Drop records the provider returned in a shape we can't store
+      const valid = records.filter((record, index) => validateRecord(dataType, record, index).length === 0);
+      if (valid.length < records.length) {
+        console.warn(`Skipped ${records.length - valid.length} invalid ${dataType} records from source ${source.id}`);
+      }
+
+      if (valid.length > 0) {
+        current = (await ingestRecords(current, dataType, valid)).source;
+      }
+    }
+
+    await storage.refreshDataSource(source.id);
+  } catch (error) {
+    console.error(`Scheduled sync failed for data source ${source.id}:`, error);
+    await storage.updateDataSource(source.id, {
+      status: 'error',
+      errorMessage: error instanceof Error ? error.message : 'Sync failed',
+      nextSyncDue: computeNextSyncDue(source.syncFrequency),
+      syncLockedUntil: null,
+    }).catch((updateError) => console.error(`Error recording sync failure for data source ${source.id}:`, updateError));
+  }
+}
@@ -0,0 +1,331 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { storage } from "./storage";
+import type { DataSource, Takeout } from "../shared/schema";
+
+const archiver = require("archiver");
+
+// Takeouts: a ZIP of everything stored for a user - profile, preferences, data
+// sources, every ingested record, insights, conversations and templates - as
+// JSON, with CSV alongside for the tabular parts, and a README listing the
+// files. OAuth tokens, sessions and pending authorizations are never read.
+//
+// Archives are built in the background, one at a time per server, and written
+// to TAKEOUT_DIR on that server. Only a user's newest archive is kept, and it's
+// deleted once it expires.
+
+const TAKEOUT_DIR = process.env.TAKEOUT_DIR || path.join(os.tmpdir(), 'solstice-takeouts');
+const TAKEOUT_TTL_MS = parseInt(process.env.TAKEOUT_TTL_MS || String(7 * 24 * 60 * 60 * 1000));
+
+// A build still running this long after it started, or a takeout left waiting
+// this long with no server to build it, was cut short, e.g. by a restart
+const TAKEOUT_STALE_MS = 60 * 60 * 1000;
+
+// Records read per query while writing a source's records
+const RECORD_BATCH_SIZE = 1000;
+
+// Sync leases are server bookkeeping, not the user's data
+const OMITTED_SOURCE_FIELDS = ['syncLockedUntil'];
+
+// A file in the archive; rows is null for files holding a single object
+export type ManifestFile = { path: string; description: string; rows: number | null };
+
+export type TakeoutManifest = { createdAt: string; files: ManifestFile[] };
+
+// A file's text, or a generator writing it a piece at a time (and counting
+// its rows into the manifest entry as it goes)
+type FileContent = string | ((entry: ManifestFile) => AsyncGenerator<string>);
+
+// Builds waiting their turn, and the takeouts they're for
+let queue: Promise<void> = Promise.resolve();
+const queued = new Set<number>();
+
+// Start building a takeout for the user, or return the one already under way.
+// A new takeout replaces the user's previous archive.
+export async function requestTakeout(userId: string): Promise<Takeout> {
+  const existing = await Promise.all((await storage.getUserTakeouts(userId)).map(currentTakeout));
+  const active = existing.find((takeout) => takeout.status === 'pending' || takeout.status === 'building');
+  if (active) {
+    return active;
+  }
+
+  for (const takeout of existing.filter((takeout) => takeout.status === 'ready')) {
+    await expireTakeout(takeout);
+  }
+
+  const takeout = await storage.createTakeout({ userId, status: 'pending' });
+  queued.add(takeout.id);
+  queue = queue.then(() => buildTakeout(takeout));
+  return takeout;
+}
+
+// The takeout as it stands now: expired once past expiresAt (its file is
+// deleted), failed if its build never finished. A takeout waiting in this
+// server's queue isn't stale however long the builds ahead of it take.
+export async function currentTakeout(takeout: Takeout): Promise<Takeout> {
+  const building = takeout.status === 'building' && takeout.startedAt && isStale(takeout.startedAt);
+  const abandoned = takeout.status === 'pending' && !queued.has(takeout.id) && takeout.createdAt && isStale(takeout.createdAt);
+  if (building || abandoned) {
+    return await storage.updateTakeout(takeout.id, {
+      status: 'failed',
+      errorMessage: "The archive wasn't finished. Please request a new one.",
+    });
+  }
+  if (takeout.status === 'ready' && takeout.expiresAt && takeout.expiresAt.getTime() <= Date.now()) {
+    return await expireTakeout(takeout);
+  }
+  return takeout;
+}
+
+// The takeout as the API returns it, with a download link once it's ready
+export function describeTakeout(takeout: Takeout) {
+  return {
+    ...takeout,
+    downloadUrl: takeout.status === 'ready' ? `/api/takeouts/${takeout.id}/download` : null,
+  };
+}
+
+function isStale(since: Date): boolean {
+  return Date.now() - since.getTime() > TAKEOUT_STALE_MS;
+}
+
+export function takeoutFilePath(takeout: Takeout): string {
+  return path.join(TAKEOUT_DIR, `takeout-${takeout.id}.zip`);
+}
+
+async function expireTakeout(takeout: Takeout): Promise<Takeout> {
+  await fs.promises.rm(takeoutFilePath(takeout), { force: true });
+  return await storage.updateTakeout(takeout.id, { status: 'expired' });
+}
+
+// Build the takeout unless it was given up on (see currentTakeout) while it
+// waited its turn
+async function buildTakeout(takeout: Takeout): Promise<void> {
+  const file = takeoutFilePath(takeout);
+  try {
+    const current = await storage.getTakeoutById(takeout.id);
+    if (current?.status !== 'pending') {
+      return;
+    }
+    await storage.updateTakeout(takeout.id, { status: 'building', startedAt: new Date() });
+    await fs.promises.mkdir(TAKEOUT_DIR, { recursive: true });
+
+    const createdAt = new Date();
+    const manifest: TakeoutManifest = {
+      createdAt: createdAt.toISOString(),
+      files: await writeArchive(takeout.userId, file, createdAt),
+    };
+    const { size } = await fs.promises.stat(file);
+
+    await storage.updateTakeout(takeout.id, {
+      status: 'ready',
+      fileName: `solstice-takeout-${createdAt.toISOString().slice(0, 10)}.zip`,
+      size,
+      manifest,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + TAKEOUT_TTL_MS),
+    });
+  } catch (error) {
+    console.error(`Error building takeout ${takeout.id}:`, error);
+    await fs.promises.rm(file, { force: true }).catch(() => undefined);
+    await storage.updateTakeout(takeout.id, {
+      status: 'failed',
+      errorMessage: "The archive couldn't be built. Please try again.",
+      completedAt: new Date(),
+    }).catch((updateError) => console.error(`Error recording takeout ${takeout.id} failure:`, updateError));
+  } finally {
+    queued.delete(takeout.id);
+  }
+}
+
+// Write the archive and return its manifest. A source's records are read a
+// batch at a time as they're written; the README is added once every other
+// file is in the archive, so it has the final row counts.
+async function writeArchive(userId: string, file: string, createdAt: Date): Promise<ManifestFile[]> {
+  const output = fs.createWriteStream(file);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  let archived = 0;
+  archive.on('entry', () => archived++);
+  const written = new Promise<void>((resolve, reject) => {
+    output.on('close', () => resolve());
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.on('warning', reject);
+  });
+  archive.pipe(output);
+
+  const files: ManifestFile[] = [];
+  let readFailure: unknown;
+  const add = (name: string, description: string, content: FileContent, rows: number | null = null) => {
+    const entry: ManifestFile = { path: name, description, rows };
+    files.push(entry);
+
+    if (typeof content === 'string') {
+      archive.append(content, { name, date: createdAt });
+      return;
+    }
+    // archiver doesn't listen for errors on the streams it's given, so a failed
+    // read ends the file early and is rethrown once the archive is closed
+    const generate = content;
+    archive.append(Readable.from((async function* () {
+      try {
+        yield* generate(entry);
+      } catch (error) {
+        readFailure = error;
+      }
+    })()), { name, date: createdAt });
+  };
+
+  const user = await storage.getUser(userId);
+  const preferences = await storage.getUserPreferences(userId);
+  const sources = (await storage.getUserDataSources(userId)).map(exportedSource);
+
+  add('profile.json', "Your account", json(user || null));
+  add('preferences.json', "Your app and AI preferences", json(preferences || null));
+  add('data-sources.json', "Connected data sources and their sync settings (tokens excluded)", json(sources));
+  add('data-sources.csv', "The same, one row per source", csv(sources), sources.length);
+
+  for (const source of sources) {
+    const base = `records/${source.id}-${slug(source.name)}`;
+    add(`${base}.json`, `Every record ingested from ${source.name}`, (entry) => jsonArray(sourceRecords(source.id), entry), 0);
+    add(`${base}.csv`, "The same, one row per record; payloads are JSON", (entry) => csvRows(sourceRecords(source.id), entry), 0);
+  }
+
+  const insights = await storage.getAllUserInsights(userId);
+  add('insights.json', "Every insight, archived ones included", json(insights));
+  add('insights.csv', "The same, one row per insight; details are JSON", csv(insights), insights.length);
+
+  const conversations = [];
+  const messages: object[] = [];
+  for (const conversation of await storage.getUserConversations(userId)) {
+    const conversationMessages = await storage.getConversationMessages(conversation.id);
+    conversations.push({ ...conversation, messages: conversationMessages });
+    conversationMessages.forEach((message) => messages.push({ conversationTitle: conversation.title, ...message }));
+  }
+  add('conversations.json', "Chat conversations with their messages", json(conversations));
+  add('messages.csv', "Every chat message, one row per message", csv(messages), messages.length);
+
+  const templates = await storage.getUserTemplates(userId);
+  const withVersions = [];
+  for (const template of templates) {
+    withVersions.push({ ...template, versions: await storage.getTemplateVersions(template.id) });
+  }
+  add('templates.json', "Your templates with every saved revision", json(withVersions));
+  add('templates.csv', "The same, one row per template; definitions are JSON", csv(templates), templates.length);
+
+  const everyFileArchived = new Promise<void>((resolve) => {
+    const check = () => (archived === files.length ? resolve() : archive.once('entry', check));
+    check();
+  });
+  await Promise.race([everyFileArchived, written]);
+  add('README.md', "This file", readme(user ? user.email || user.id : userId, createdAt, files));
+
+  await archive.finalize();
+  await written;
+  if (readFailure) {
+    throw readFailure;
+  }
+  return files;
+}
+
+function exportedSource(source: DataSource) {
+  const exported: Record<string, unknown> = { ...source };
+  OMITTED_SOURCE_FIELDS.forEach((field) => delete exported[field]);
+  return exported as Omit<DataSource, 'syncLockedUntil'>;
+}
+
+async function* sourceRecords(dataSourceId: number) {
+  let afterId = 0;
+  for (;;) {
+    const batch = await storage.getDataPointsAfter(dataSourceId, afterId, RECORD_BATCH_SIZE);
+    for (const point of batch) {
+      yield {
+        id: point.id,
+        dataType: point.dataType,
+        recordedAt: point.recordedAt,
+        recordHash: point.recordHash,
+        payload: point.payload,
+        createdAt: point.createdAt,
+      };
+    }
+    if (batch.length < RECORD_BATCH_SIZE) {
+      return;
+    }
+    afterId = batch[batch.length - 1].id;
+  }
+}
+
+function readme(owner: string, createdAt: Date, files: ManifestFile[]): string {
+  const rows = files.map((file) => `| \`${file.path}\` | ${file.description} | ${file.rows === null ? '' : file.rows} |`);
+  return `# Solstice takeout
+
+Everything Solstice stored for ${owner}, as of ${createdAt.toISOString()}.
+
+| File | Contents | Rows |
+| --- | --- | --- |
+${rows.join('\n')}
+
+Times are UTC, in ISO 8601. CSV files start with a header row; nested values
+(record payloads, insight details, template definitions) are JSON within their
+cell.
+
+Not included: the OAuth tokens Solstice holds for your connected sources, and
+your sign-in sessions. Records deleted from a source before this archive was
+made aren't in it.
+`;
+}
+
+function json(value: unknown): string {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+// A JSON array written an element per line
+async function* jsonArray(items: AsyncIterable<object>, entry: ManifestFile) {
+  yield '[';
+  let count = 0;
+  for await (const item of items) {
+    yield `${count === 0 ? '' : ','}\n${JSON.stringify(item)}`;
+    entry.rows = ++count;
+  }
+  yield '\n]\n';
+}
+
+function csv(rows: object[]): string {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  return [columns.join(',')].concat(rows.map((row) => csvLine(row, columns))).join('\n') + '\n';
+}
+
+// CSV written a row at a time; the header comes from the first row, so a
+// file with no rows is empty
+async function* csvRows(rows: AsyncIterable<object>, entry: ManifestFile) {
+  let columns: string[] | null = null;
+  let count = 0;
+  for await (const row of rows) {
+    if (!columns) {
+      columns = Object.keys(row);
+      yield `${columns.join(',')}\n`;
+    }
+    yield `${csvLine(row, columns)}\n`;
+    entry.rows = ++count;
+  }
+}
+
+function csvLine(row: object, columns: string[]): string {
+  return columns.map((column) => csvValue((row as any)[column])).join(',');
+}
+
+function csvValue(value: unknown): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function slug(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'source';
+}
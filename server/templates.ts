@@ -0,0 +1,188 @@
+import { storage } from "./storage";
+import type { InsertTemplate, Template, TemplateVersion } from "../shared/schema";
+
+// Per-user template registry. Every user has the templates bundled with the app
+// (src/templates/insights/defaults.js), added to their registry the first time
+// it's read, alongside the templates they create. Rows keep the template's own
+// id, type, name and version as columns and the rest of the document as its
+// definition; templateDocument puts the document back together for the app.
+//
+// Every write records the template's new state as its next revision, so users
+// can compare and roll back versions. When the app ships a default with a higher
+// version, users' copies are upgraded the next time their registry is read,
+// unless they have edited (forked) that default.
+
+// Document fields that change without the template changing, left out of diffs
+const UNDIFFED_FIELDS = ['dateCreated', 'lastModified'];
+
+// A template document as the app edits it (see src/templates/templateSchema.js)
+export type TemplateDocument = {
+  id: string;
+  name: string;
+  description?: string;
+  type: string;
+  version?: string;
+  isDefault?: boolean;
+  lastModified?: string;
+  template: {
+    systemPrompt: string;
+    promptTemplate: string;
+    requiredDataFields?: string[];
+    outputFormat?: string;
+    [key: string]: unknown;
+  };
+  [key: string]: unknown;
+};
+
+const defaultTemplates: TemplateDocument[] = require("../src/templates/insights/defaults");
+
+export type TemplateChange = {
+  path: string; // e.g. template.systemPrompt
+  before: unknown; // undefined when the field was added
+  after: unknown; // undefined when the field was removed
+};
+
+// Add any bundled default the user doesn't have yet, and upgrade the defaults
+// they haven't forked to newer bundled versions
+export async function ensureDefaultTemplates(userId: string): Promise<void> {
+  const existing = new Map((await storage.getUserTemplates(userId)).map((template) => [template.templateId, template]));
+
+  const missing = defaultTemplates.filter((document) => !existing.has(document.id));
+  const added = await storage.addTemplates(missing.map((document) => templateRow(userId, document, true)));
+  for (const template of added) {
+    await storage.addTemplateVersion(template, 'default');
+  }
+
+  for (const document of defaultTemplates) {
+    const template = existing.get(document.id);
+    if (!template || !template.isDefault || template.forked || compareVersions(document.version || '1.0.0', template.version) <= 0) {
+      continue;
+    }
+
+    const { name, version, definition } = templateRow(userId, document, true);
+    const upgraded = await storage.updateTemplate(template.id, { name, version, definition });
+    await storage.addTemplateVersion(upgraded, 'upgrade');
+  }
+}
+
+// Undefined when the user already has a template with the document's id
+export async function createUserTemplate(userId: string, document: TemplateDocument): Promise<Template | undefined> {
+  const template = await storage.createTemplate(templateRow(userId, document, false));
+  if (template) {
+    await storage.addTemplateVersion(template, 'created');
+  }
+  return template;
+}
+
+// Replace a template's document, keeping its id and type. Editing a default
+// forks it, so bundled upgrades stop replacing the user's changes.
+export async function editTemplate(template: Template, document: Omit<TemplateDocument, 'id' | 'type'>): Promise<Template> {
+  const { name, version, definition } = templateRow(
+    template.userId,
+    { ...document, id: template.templateId, type: template.type } as TemplateDocument,
+    !!template.isDefault,
+  );
+
+  const updated = await storage.updateTemplate(template.id, {
+    name,
+    version,
+    definition,
+    forked: !!template.forked || !!template.isDefault,
+  });
+  await storage.addTemplateVersion(updated, 'edit');
+  return updated;
+}
+
+// Put a template back to an earlier revision, recorded as a new revision.
+// Rolling a forked default back to a bundled revision lets upgrades apply again.
+export async function rollbackTemplate(template: Template, revision: number): Promise<Template | undefined> {
+  const target = await storage.getTemplateVersion(template.id, revision);
+  if (!target) {
+    return undefined;
+  }
+
+  const restored = await storage.updateTemplate(template.id, {
+    name: target.name,
+    version: target.version,
+    definition: target.definition,
+    forked: !!target.forked,
+  });
+  await storage.addTemplateVersion(restored, 'rollback');
+  return restored;
+}
+
+// Fields that differ between two revisions, by dotted path
+export function diffTemplateVersions(from: TemplateVersion, to: TemplateVersion): TemplateChange[] {
+  const before = flattenDocument({ ...(from.definition as object), name: from.name, version: from.version });
+  const after = flattenDocument({ ...(to.definition as object), name: to.name, version: to.version });
+
+  const paths = Array.from(new Set(Object.keys(before).concat(Object.keys(after)))).sort();
+  return paths
+    .filter((path) => JSON.stringify(before[path]) !== JSON.stringify(after[path]))
+    .map((path) => ({ path, before: before[path], after: after[path] }));
+}
+
+// One of the user's templates by its own id, defaults included
+export async function findUserTemplate(userId: string, templateId: string): Promise<Template | undefined> {
+  await ensureDefaultTemplates(userId);
+  return storage.getUserTemplate(userId, templateId);
+}
+
+// Row fields for storing a template document
+export function templateRow(userId: string, document: TemplateDocument, isDefault: boolean): InsertTemplate {
+  // Whether a template is a default is the server's call, not the document's
+  const { id, isDefault: claimedDefault, ...definition } = document;
+  return {
+    userId,
+    templateId: id,
+    type: document.type,
+    name: document.name,
+    version: document.version || '1.0.0',
+    isDefault,
+    definition,
+  };
+}
+
+// The template document stored in a row; lastModified is the row's last update
+export function templateDocument(template: Template): TemplateDocument {
+  return {
+    ...(template.definition as TemplateDocument),
+    id: template.templateId,
+    type: template.type,
+    name: template.name,
+    version: template.version,
+    isDefault: !!template.isDefault,
+    lastModified: (template.updatedAt || new Date()).toISOString(),
+  };
+}
+
+// Compare dotted numeric versions such as 1.2.0; negative when a is older
+function compareVersions(a: string, b: string): number {
+  const aParts = a.split('.').map((part) => parseInt(part) || 0);
+  const bParts = b.split('.').map((part) => parseInt(part) || 0);
+
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const difference = (aParts[i] || 0) - (bParts[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+// Nested objects as { 'a.b': value }; arrays and other values are leaves
+function flattenDocument(value: object, prefix = ''): Record<string, unknown> {
+  const flat: Record<string, unknown> = {};
+  Object.entries(value).forEach(([key, field]) => {
+    const path = prefix + key;
+    if (!prefix && UNDIFFED_FIELDS.includes(key)) {
+      return;
+    }
+    if (field && typeof field === 'object' && !Array.isArray(field)) {
+      Object.assign(flat, flattenDocument(field, `${path}.`));
+    } else {
+      flat[path] = field;
+    }
+  });
+  return flat;
+}
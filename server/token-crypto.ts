@@ -0,0 +1,123 @@
+import { createCipheriv, createDecipheriv, randomBytes } from "crypto";
+
+// Envelope encryption for OAuth tokens. Each token row gets its own random data
+// key that encrypts the token columns; the data key itself is stored wrapped
+// (encrypted) with a server master key. Rotating the master key only re-wraps
+// data keys, so token ciphertext never has to change.
+//
+// Master keys come from TOKEN_MASTER_KEYS as "version:base64key" pairs, e.g.
+// "1:AbC...=,2:XyZ...=". New data keys are wrapped with the highest version;
+// older versions stay listed until the rotation command has re-wrapped them.
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+export type TokenSecrets = {
+  accessToken: string;
+  refreshToken: string | null;
+};
+
+export type EncryptedTokens = TokenSecrets & {
+  dataKey: string;
+  keyVersion: number;
+};
+
+type StoredTokens = {
+  accessToken: string;
+  refreshToken: string | null;
+  dataKey: string | null;
+  keyVersion: number | null;
+};
+
+function loadMasterKeys(): Map<number, Buffer> {
+  const keys = new Map<number, Buffer>();
+  const configured = process.env.TOKEN_MASTER_KEYS || "";
+
+  for (const entry of configured.split(",").map((part) => part.trim()).filter(Boolean)) {
+    const [version, encoded] = entry.split(":");
+    const key = Buffer.from(encoded || "", "base64");
+    if (!parseInt(version) || key.length !== 32) {
+      throw new Error("TOKEN_MASTER_KEYS entries must be version:base64 with a 32-byte key");
+    }
+    keys.set(parseInt(version), key);
+  }
+
+  if (keys.size === 0) {
+    throw new Error("TOKEN_MASTER_KEYS must be set to store OAuth tokens");
+  }
+  return keys;
+}
+
+export function currentKeyVersion(): number {
+  return Math.max(...Array.from(loadMasterKeys().keys()));
+}
+
+function masterKey(version: number): Buffer {
+  const key = loadMasterKeys().get(version);
+  if (!key) {
+    throw new Error(`Master key version ${version} is not configured in TOKEN_MASTER_KEYS`);
+  }
+  return key;
+}
+
+// Encrypt both token columns under a fresh data key wrapped with the current master key
+export function encryptTokens(tokens: TokenSecrets): EncryptedTokens {
+  const keyVersion = currentKeyVersion();
+  const dataKey = randomBytes(32);
+
+  return {
+    accessToken: seal(dataKey, tokens.accessToken, "access_token"),
+    refreshToken: tokens.refreshToken ? seal(dataKey, tokens.refreshToken, "refresh_token") : null,
+    dataKey: seal(masterKey(keyVersion), dataKey.toString("base64"), "data_key"),
+    keyVersion,
+  };
+}
+
+// Rows written before encryption existed have no data key and are returned as-is
+export function decryptTokens(stored: StoredTokens): TokenSecrets {
+  if (!stored.dataKey || !stored.keyVersion) {
+    return { accessToken: stored.accessToken, refreshToken: stored.refreshToken };
+  }
+
+  const dataKey = unwrapDataKey(stored.dataKey, stored.keyVersion);
+  return {
+    accessToken: open(dataKey, stored.accessToken, "access_token"),
+    refreshToken: stored.refreshToken ? open(dataKey, stored.refreshToken, "refresh_token") : null,
+  };
+}
+
+// Re-wrap a row's data key with the current master key, leaving the tokens untouched
+export function rewrapDataKey(dataKey: string, keyVersion: number): { dataKey: string; keyVersion: number } {
+  const currentVersion = currentKeyVersion();
+  const rawKey = unwrapDataKey(dataKey, keyVersion);
+  return {
+    dataKey: seal(masterKey(currentVersion), rawKey.toString("base64"), "data_key"),
+    keyVersion: currentVersion,
+  };
+}
+
+function unwrapDataKey(dataKey: string, keyVersion: number): Buffer {
+  return Buffer.from(open(masterKey(keyVersion), dataKey, "data_key"), "base64");
+}
+
+// Output is base64(iv | auth tag | ciphertext); the column name is bound in as
+// associated data so an access token can't be swapped into the refresh column
+function seal(key: Buffer, plaintext: string, field: string): string {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(field));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+function open(key: Buffer, sealed: string, field: string): string {
+  const raw = Buffer.from(sealed, "base64");
+  const decipher = createDecipheriv(ALGORITHM, key, raw.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(field));
+  decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([
+    decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]).toString("utf8");
+}
@@ -0,0 +1,86 @@
+import axios from "axios";
+import { storage } from "./storage";
+import { refreshToken } from "./oauth-service";
+import type { DataSource } from "../shared/schema";
+
+// Every provider API call goes through here so access tokens are refreshed
+// before they expire, and a revoked grant turns into a reconnect prompt.
+
+// Refresh this long before the provider's expiry to absorb clock skew and slow requests
+const REFRESH_AHEAD_MS = 5 * 60 * 1000;
+
+// Refreshes in flight per data source, so concurrent callers share one request
+const inflightRefreshes = new Map<number, Promise<string>>();
+
+// Thrown when the provider no longer accepts our refresh token
+export class ReconnectRequiredError extends Error {
+  constructor(source: DataSource) {
+    super(`Access to ${source.name} was revoked or has expired. Reconnect ${source.name} to resume syncing.`);
+    this.name = 'ReconnectRequiredError';
+  }
+}
+
+// Returns a usable access token for the source, refreshing it first if it's about to expire
+export async function getAccessToken(source: DataSource): Promise<string> {
+  const token = await storage.getOAuthToken(source.id);
+  if (!token) {
+    throw new Error(`No OAuth token stored for ${source.name}`);
+  }
+
+  const expiresSoon = token.expiresAt && token.expiresAt.getTime() - Date.now() < REFRESH_AHEAD_MS;
+  if (!expiresSoon) {
+    return token.accessToken;
+  }
+
+  return await refreshAccessToken(source);
+}
+
+// Run a provider call with a valid access token. If the provider still answers
+// 401 (token revoked early, clock skew), refresh once and retry.
+export async function withAccessToken<T>(source: DataSource, call: (accessToken: string) => Promise<T>): Promise<T> {
+  const accessToken = await getAccessToken(source);
+
+  try {
+    return await call(accessToken);
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response?.status === 401) {
+      return await call(await refreshAccessToken(source));
+    }
+    throw error;
+  }
+}
+
+function refreshAccessToken(source: DataSource): Promise<string> {
+  const inflight = inflightRefreshes.get(source.id);
+  if (inflight) {
+    return inflight;
+  }
+
+  const refresh = refreshToken(source.id)
+    .catch(async (error) => {
+      if (isRevokedGrant(error)) {
+        await storage.updateDataSource(source.id, {
+          status: 'error',
+          errorMessage: new ReconnectRequiredError(source).message,
+        });
+        throw new ReconnectRequiredError(source);
+      }
+      throw error;
+    })
+    .finally(() => inflightRefreshes.delete(source.id));
+
+  inflightRefreshes.set(source.id, refresh);
+  return refresh;
+}
+
+// OAuth servers answer a revoked or expired refresh token with invalid_grant (RFC 6749 §5.2)
+function isRevokedGrant(error: unknown): boolean {
+  if (error instanceof Error && error.message === 'No refresh token available') {
+    return true;
+  }
+  if (!axios.isAxiosError(error)) {
+    return false;
+  }
+  return error.response?.status === 401
+    || (error.response?.status === 400 && error.response.data?.error === 'invalid_grant');
+}
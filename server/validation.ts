@@ -0,0 +1,39 @@
+import type { RequestHandler } from "express";
+import type { ZodError, ZodTypeAny } from "zod";
+
+// Request body validation. Each route names the schema for its body (see the
+// request body schemas in shared/schema.ts); anything outside that allow-list
+// or of the wrong type is rejected before the handler runs.
+
+export type FieldError = {
+  field?: string;
+  message: string;
+};
+
+// Middleware: replace req.body with the parsed body, or answer 400 listing every invalid field.
+// The schema stays on the handler as bodySchema so the OpenAPI document can describe the body.
+export function validateBody(schema: ZodTypeAny): RequestHandler & { bodySchema: ZodTypeAny } {
+  const handler: RequestHandler = (req, res, next) => {
+    const result = schema.safeParse(req.body ?? {});
+    if (!result.success) {
+      return res.status(400).json({ message: "Invalid request body", errors: fieldErrors(result.error) });
+    }
+
+    req.body = result.data;
+    next();
+  };
+  return Object.assign(handler, { bodySchema: schema });
+}
+
+export function fieldErrors(error: ZodError): FieldError[] {
+  return error.issues.flatMap((issue): FieldError[] => {
+    // Fields the route doesn't allow a client to write are reported one by one
+    if (issue.code === "unrecognized_keys") {
+      return issue.keys.map((key) => ({ field: key, message: "Field is not writable" }));
+    }
+    return [{
+      field: issue.path.length > 0 ? issue.path.join(".") : undefined,
+      message: issue.message,
+    }];
+  });
+}
@@ -5,11 +5,14 @@ import {
   timestamp,
   jsonb,
   index,
+  uniqueIndex,
   boolean,
   integer,
   serial,
 } from "drizzle-orm/pg-core";
 import { relations } from "drizzle-orm";
+import { createInsertSchema } from "drizzle-zod";
+import { z } from "zod";
 
 // Session storage table for Replit Auth
 export const sessions = pgTable(
@@ -42,6 +45,8 @@ export const userPreferences = pgTable("user_preferences", {
   notificationsEnabled: boolean("notifications_enabled").default(true),
   dataProcessingEnabled: boolean("data_processing_enabled").default(true),
   enhancedProfilingEnabled: boolean("enhanced_profiling_enabled").default(false),
+  aiMonthlyTokenBudget: integer("ai_monthly_token_budget"), // null for no limit
+  aiBudgetAction: varchar("ai_budget_action").default("degrade"), // block, degrade - what happens once the budget is spent
   createdAt: timestamp("created_at").defaultNow(),
   updatedAt: timestamp("updated_at").defaultNow(),
 });
@@ -62,6 +67,7 @@ export const dataSources = pgTable("data_sources", {
   config: jsonb("config"), // source-specific configuration
   permissionScope: jsonb("permission_scope"), // scopes/permissions granted for this source
   errorMessage: text("error_message"), // last error if status is 'error'
+  syncLockedUntil: timestamp("sync_locked_until"), // lease held by the server instance running a scheduled sync
   createdAt: timestamp("created_at").defaultNow(),
   updatedAt: timestamp("updated_at").defaultNow(),
 });
@@ -70,8 +76,10 @@ export const dataSources = pgTable("data_sources", {
 export const oauthTokens = pgTable("oauth_tokens", {
   id: serial("id").primaryKey(),
   dataSourceId: integer("data_source_id").notNull().unique().references(() => dataSources.id, { onDelete: "cascade" }),
-  accessToken: text("access_token").notNull(),
-  refreshToken: text("refresh_token"),
+  accessToken: text("access_token").notNull(), // encrypted with the row's data key
+  refreshToken: text("refresh_token"), // encrypted with the row's data key
+  dataKey: text("data_key"), // per-row data key, wrapped with the master key of keyVersion
+  keyVersion: integer("key_version"), // master key version that wrapped dataKey
   expiresAt: timestamp("expires_at"),
   tokenType: varchar("token_type").default("Bearer"),
   scope: varchar("scope"),
@@ -79,6 +87,35 @@ export const oauthTokens = pgTable("oauth_tokens", {
   updatedAt: timestamp("updated_at").defaultNow(),
 });
 
+// OAuth authorizations - one row per issued state, consumed by the callback,
+// which records how the connection went until the row expires
+export const oauthStates = pgTable("oauth_states", {
+  nonce: varchar("nonce").primaryKey(),
+  userId: varchar("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+  provider: varchar("provider").notNull(),
+  codeVerifier: varchar("code_verifier").notNull(), // PKCE verifier, never sent to the browser
+  redirectUri: varchar("redirect_uri").notNull(),
+  status: varchar("status").notNull().default("pending"), // pending, connecting, connected, failed
+  dataSourceId: integer("data_source_id").references(() => dataSources.id, { onDelete: "set null" }), // the source it connected
+  expiresAt: timestamp("expires_at").notNull(),
+  createdAt: timestamp("created_at").defaultNow(),
+});
+
+// Data points table - raw records ingested from a data source
+export const dataPoints = pgTable("data_points", {
+  id: serial("id").primaryKey(),
+  dataSourceId: integer("data_source_id").notNull().references(() => dataSources.id, { onDelete: "cascade" }),
+  userId: varchar("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+  dataType: varchar("data_type").notNull(), // activity, sleep, vitals, listening-history, etc.
+  recordedAt: timestamp("recorded_at").notNull(), // when the record happened, not when it was stored
+  payload: jsonb("payload").notNull(), // the record as reported by the source
+  recordHash: varchar("record_hash").notNull(), // hash of the record's identity fields, for dedupe
+  createdAt: timestamp("created_at").defaultNow(),
+}, (table) => ({
+  sourceTypeRecordedIdx: index("IDX_data_points_source_type_recorded").on(table.dataSourceId, table.dataType, table.recordedAt),
+  sourceRecordHashIdx: uniqueIndex("IDX_data_points_source_record_hash").on(table.dataSourceId, table.recordHash),
+}));
+
 // Insights table
 export const insights = pgTable("insights", {
   id: serial("id").primaryKey(),
@@ -98,11 +135,107 @@ export const insights = pgTable("insights", {
   updatedAt: timestamp("updated_at").defaultNow(),
 });
 
+// Chat conversations
+export const conversations = pgTable("conversations", {
+  id: serial("id").primaryKey(),
+  userId: varchar("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+  title: varchar("title").notNull(),
+  createdAt: timestamp("created_at").defaultNow(),
+  updatedAt: timestamp("updated_at").defaultNow(), // bumped by every new message
+}, (table) => ({
+  userUpdatedIdx: index("IDX_conversations_user_updated").on(table.userId, table.updatedAt),
+}));
+
+// Messages in a conversation, oldest first
+export const messages = pgTable("messages", {
+  id: serial("id").primaryKey(),
+  conversationId: integer("conversation_id").notNull().references(() => conversations.id, { onDelete: "cascade" }),
+  role: varchar("role").notNull(), // user, assistant
+  content: text("content").notNull(),
+  contextData: jsonb("context_data"), // ids of the data sources an assistant reply drew on
+  model: varchar("model"), // model that wrote an assistant reply
+  createdAt: timestamp("created_at").defaultNow(),
+}, (table) => ({
+  conversationCreatedIdx: index("IDX_messages_conversation_created").on(table.conversationId, table.createdAt),
+}));
+
+// Templates - each user's registry, holding the bundled defaults and their own
+export const templates = pgTable("templates", {
+  id: serial("id").primaryKey(),
+  userId: varchar("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+  templateId: varchar("template_id").notNull(), // the template's own id, e.g. daily-reflection
+  type: varchar("type").notNull(), // insight, visualization, theme, dataSource, notification
+  name: varchar("name").notNull(),
+  version: varchar("version").notNull().default("1.0.0"),
+  isDefault: boolean("is_default").default(false), // bundled with the app rather than created by the user
+  forked: boolean("forked").default(false), // a default the user has edited; bundled upgrades skip it
+  definition: jsonb("definition").notNull(), // the rest of the template document: prompts, fields, rendering
+  createdAt: timestamp("created_at").defaultNow(),
+  updatedAt: timestamp("updated_at").defaultNow(),
+}, (table) => ({
+  userTemplateIdx: uniqueIndex("IDX_templates_user_template").on(table.userId, table.templateId),
+}));
+
+// Template versions - each state a template has been in, numbered by revision
+export const templateVersions = pgTable("template_versions", {
+  id: serial("id").primaryKey(),
+  templateRowId: integer("template_row_id").notNull().references(() => templates.id, { onDelete: "cascade" }),
+  revision: integer("revision").notNull(), // 1 for the first state, counting up
+  version: varchar("version").notNull(),
+  name: varchar("name").notNull(),
+  definition: jsonb("definition").notNull(),
+  forked: boolean("forked").default(false),
+  source: varchar("source").notNull(), // created, default, edit, upgrade, rollback
+  createdAt: timestamp("created_at").defaultNow(),
+}, (table) => ({
+  templateRevisionIdx: uniqueIndex("IDX_template_versions_template_revision").on(table.templateRowId, table.revision),
+}));
+
+// AI usage ledger - one row per completion served to a user
+export const aiUsage = pgTable("ai_usage", {
+  id: serial("id").primaryKey(),
+  userId: varchar("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+  endpoint: varchar("endpoint").notNull(), // chat, chat-stream, generate-insight, analyze-content
+  templateId: varchar("template_id"), // insight template that built the prompt, if any
+  provider: varchar("provider").notNull(),
+  model: varchar("model").notNull(),
+  promptTokens: integer("prompt_tokens").notNull().default(0),
+  completionTokens: integer("completion_tokens").notNull().default(0),
+  totalTokens: integer("total_tokens").notNull().default(0),
+  costMicroUsd: integer("cost_micro_usd").notNull().default(0), // estimated, in millionths of a dollar
+  estimated: boolean("estimated").default(false), // provider didn't report usage, so tokens were counted locally
+  degraded: boolean("degraded").default(false), // served by the budget fallback model
+  createdAt: timestamp("created_at").defaultNow(),
+}, (table) => ({
+  userCreatedIdx: index("IDX_ai_usage_user_created").on(table.userId, table.createdAt),
+}));
+
+// Takeouts - ZIP archives of everything stored for a user, built in the background
+export const takeouts = pgTable("takeouts", {
+  id: serial("id").primaryKey(),
+  userId: varchar("user_id").notNull().references(() => users.id, { onDelete: "cascade" }),
+  status: varchar("status").notNull().default("pending"), // pending, building, ready, failed, expired
+  fileName: varchar("file_name"), // name the archive downloads as, once ready
+  size: integer("size"), // bytes
+  manifest: jsonb("manifest"), // the files in the archive and how many rows each holds
+  errorMessage: text("error_message"), // why the build failed, if it did
+  createdAt: timestamp("created_at").defaultNow(),
+  startedAt: timestamp("started_at"), // when its build began
+  completedAt: timestamp("completed_at"),
+  expiresAt: timestamp("expires_at"), // the archive is deleted after this
+}, (table) => ({
+  userCreatedIdx: index("IDX_takeouts_user_created").on(table.userId, table.createdAt),
+}));
+
 // Define relations
 export const usersRelations = relations(users, ({ many }) => ({
   preferences: many(userPreferences),
   dataSources: many(dataSources),
   insights: many(insights),
+  aiUsage: many(aiUsage),
+  conversations: many(conversations),
+  templates: many(templates),
+  takeouts: many(takeouts),
 }));
 
 export const userPreferencesRelations = relations(userPreferences, ({ one }) => ({
@@ -112,11 +245,23 @@ export const userPreferencesRelations = relations(userPreferences, ({ one }) =>
   }),
 }));
 
-export const dataSourcesRelations = relations(dataSources, ({ one }) => ({
+export const dataSourcesRelations = relations(dataSources, ({ one, many }) => ({
   user: one(users, {
     fields: [dataSources.userId],
     references: [users.id],
   }),
+  dataPoints: many(dataPoints),
+}));
+
+export const dataPointsRelations = relations(dataPoints, ({ one }) => ({
+  dataSource: one(dataSources, {
+    fields: [dataPoints.dataSourceId],
+    references: [dataSources.id],
+  }),
+  user: one(users, {
+    fields: [dataPoints.userId],
+    references: [users.id],
+  }),
 }));
 
 export const oauthTokensRelations = relations(oauthTokens, ({ one }) => ({
@@ -133,6 +278,50 @@ export const insightsRelations = relations(insights, ({ one }) => ({
   }),
 }));
 
+export const conversationsRelations = relations(conversations, ({ one, many }) => ({
+  user: one(users, {
+    fields: [conversations.userId],
+    references: [users.id],
+  }),
+  messages: many(messages),
+}));
+
+export const messagesRelations = relations(messages, ({ one }) => ({
+  conversation: one(conversations, {
+    fields: [messages.conversationId],
+    references: [conversations.id],
+  }),
+}));
+
+export const templatesRelations = relations(templates, ({ one, many }) => ({
+  user: one(users, {
+    fields: [templates.userId],
+    references: [users.id],
+  }),
+  versions: many(templateVersions),
+}));
+
+export const templateVersionsRelations = relations(templateVersions, ({ one }) => ({
+  template: one(templates, {
+    fields: [templateVersions.templateRowId],
+    references: [templates.id],
+  }),
+}));
+
+export const aiUsageRelations = relations(aiUsage, ({ one }) => ({
+  user: one(users, {
+    fields: [aiUsage.userId],
+    references: [users.id],
+  }),
+}));
+
+export const takeoutsRelations = relations(takeouts, ({ one }) => ({
+  user: one(users, {
+    fields: [takeouts.userId],
+    references: [users.id],
+  }),
+}));
+
 // Type exports
 export type User = typeof users.$inferSelect;
 export type UpsertUser = typeof users.$inferInsert;
@@ -146,5 +335,188 @@ export type InsertDataSource = typeof dataSources.$inferInsert;
 export type OAuthToken = typeof oauthTokens.$inferSelect;
 export type InsertOAuthToken = typeof oauthTokens.$inferInsert;
 
+export type OAuthState = typeof oauthStates.$inferSelect;
+export type InsertOAuthState = typeof oauthStates.$inferInsert;
+
+export type DataPoint = typeof dataPoints.$inferSelect;
+export type InsertDataPoint = typeof dataPoints.$inferInsert;
+
 export type Insight = typeof insights.$inferSelect;
-export type InsertInsight = typeof insights.$inferInsert;
\ No newline at end of file
+export type InsertInsight = typeof insights.$inferInsert;
+
+export type Conversation = typeof conversations.$inferSelect;
+export type InsertConversation = typeof conversations.$inferInsert;
+
+export type Message = typeof messages.$inferSelect;
+export type InsertMessage = typeof messages.$inferInsert;
+
+export type Template = typeof templates.$inferSelect;
+export type InsertTemplate = typeof templates.$inferInsert;
+
+export type TemplateVersion = typeof templateVersions.$inferSelect;
+export type InsertTemplateVersion = typeof templateVersions.$inferInsert;
+
+export type AiUsage = typeof aiUsage.$inferSelect;
+export type InsertAiUsage = typeof aiUsage.$inferInsert;
+
+export type Takeout = typeof takeouts.$inferSelect;
+export type InsertTakeout = typeof takeouts.$inferInsert;
+
+// Request body schemas - the fields a client may write on each route.
+// Ownership, connection status and sync bookkeeping are only set by the server.
+export const syncFrequencies = ['hourly', 'daily', 'weekly', 'monthly'] as const;
+export const aiBudgetActions = ['block', 'degrade'] as const;
+export const insightExportFormats = ['markdown', 'html', 'pdf', 'json'] as const;
+
+export const preferencesBodySchema = createInsertSchema(userPreferences, {
+  aiMonthlyTokenBudget: z.number().int().min(0).nullable(),
+  aiBudgetAction: z.enum(aiBudgetActions),
+}).pick({
+  theme: true,
+  communicationStyle: true,
+  notificationsEnabled: true,
+  dataProcessingEnabled: true,
+  enhancedProfilingEnabled: true,
+  aiMonthlyTokenBudget: true,
+  aiBudgetAction: true,
+}).strict();
+
+export const createDataSourceBodySchema = createInsertSchema(dataSources, {
+  name: (schema) => schema.name.min(1),
+  sourceType: (schema) => schema.sourceType.min(1),
+  syncFrequency: z.enum(syncFrequencies),
+  config: z.record(z.unknown()),
+}).pick({
+  name: true,
+  sourceType: true,
+  syncFrequency: true,
+  syncEnabled: true,
+  config: true,
+}).strict();
+
+// The source type is fixed once a source exists
+export const updateDataSourceBodySchema = createDataSourceBodySchema.omit({ sourceType: true }).partial();
+
+export const scheduleSyncBodySchema = z.object({
+  frequency: z.enum(syncFrequencies),
+}).strict();
+
+export const starInsightBodySchema = z.object({
+  starred: z.boolean(),
+}).strict();
+
+export const archiveInsightBodySchema = z.object({
+  archived: z.boolean(),
+}).strict();
+
+export const exportInsightBodySchema = z.object({
+  destination: z.string().min(1),
+  format: z.enum(insightExportFormats).optional(), // the format sent, if it was rendered by the server
+}).strict();
+
+export const createConversationBodySchema = z.object({
+  title: z.string().trim().min(1).max(200).optional(),
+}).strict();
+
+export const renameConversationBodySchema = z.object({
+  title: z.string().trim().min(1).max(200),
+}).strict();
+
+export const appendMessageBodySchema = createInsertSchema(messages, {
+  role: z.enum(['user', 'assistant']),
+  content: (schema) => schema.content.min(1),
+  contextData: z.array(z.string()),
+}).pick({
+  role: true,
+  content: true,
+  contextData: true,
+  model: true,
+}).strict();
+
+export const templateTypes = ['insight', 'visualization', 'theme', 'dataSource', 'notification'] as const;
+
+export const insightOutputFormats = ['markdown', 'json', 'structured'] as const;
+
+// The body of a template document: its prompts and how its output is read.
+// Other fields (renderingStyle...) are the app's and kept as given.
+const templateBodySchema = z.object({
+  systemPrompt: z.string(),
+  promptTemplate: z.string(),
+  requiredDataFields: z.array(z.string()).optional(),
+  outputFormat: z.enum(insightOutputFormats).optional(),
+  outputSchema: z.record(z.unknown()).optional(),
+}).passthrough();
+
+// A template document as the app edits it (see src/templates/templateSchema.js).
+// Whether a template is a default is decided by the server, not the client.
+export const createTemplateBodySchema = z.object({
+  id: z.string().trim().min(1).max(100),
+  name: z.string().trim().min(1).max(200),
+  description: z.string(),
+  type: z.enum(templateTypes),
+  tags: z.array(z.string()).optional(),
+  author: z.string().optional(),
+  version: z.string().min(1).optional(),
+  dateCreated: z.string().optional(),
+  lastModified: z.string().optional(),
+  icon: z.string().optional(),
+  previewImage: z.string().optional(),
+  template: templateBodySchema,
+}).strict();
+
+// A template keeps its id and type once created
+export const updateTemplateBodySchema = createTemplateBodySchema.omit({ id: true, type: true });
+
+export const rollbackTemplateBodySchema = z.object({
+  revision: z.number().int().min(1),
+}).strict();
+
+// Provider and model a client may ask for; the server decides whether to allow them
+const aiSelection = {
+  provider: z.string().min(1).optional(),
+  model: z.string().min(1).optional(),
+};
+
+const chatMessage = z.object({
+  role: z.enum(['system', 'user', 'assistant']),
+  content: z.string(),
+});
+
+export const chatBodySchema = z.object({
+  messages: z.array(chatMessage).min(1),
+  options: z.object({
+    ...aiSelection,
+    temperature: z.number().min(0).max(2).optional(),
+    max_tokens: z.number().int().min(1).max(4000).optional(),
+  }).strict().optional(),
+}).strict();
+
+export const chatStreamBodySchema = chatBodySchema.extend({
+  context: z.object({
+    sources: z.array(z.string()).optional(),
+  }).strict().optional(),
+});
+
+export const generateInsightBodySchema = z.object({
+  systemPrompt: z.string().min(1),
+  userPrompt: z.string().min(1),
+  format: z.enum(insightOutputFormats).optional(),
+  templateId: z.string().min(1).optional(),
+  cache: z.enum(['default', 'bypass']).optional(), // bypass skips the cached completion and replaces it
+  ...aiSelection,
+}).strict();
+
+export const multiSourceInsightBodySchema = z.object({
+  templateId: z.string().min(1),
+  dataSourceIds: z.array(z.number().int()).min(1).optional(), // default every connected source
+  startDate: z.string().datetime().optional(), // default a week before endDate
+  endDate: z.string().datetime().optional(), // default now
+  data: z.record(z.unknown()).optional(), // values for template fields, overriding stored data
+  ...aiSelection,
+}).strict();
+
+export const analyzeContentBodySchema = z.object({
+  content: z.string().min(1),
+  type: z.enum(['behavioral', 'creative', 'emotional', 'general']).optional(),
+  ...aiSelection,
+}).strict();
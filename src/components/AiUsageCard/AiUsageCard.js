@@ -0,0 +1,329 @@
+/**
+ * AI Usage Card component
+ * Shows this month's AI token usage and estimated spend, and lets the user
+ * set a monthly token budget and what happens once it is spent
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Switch,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import GlassmorphicCard from '../GlassmorphicCard';
+import theme from '../../theme';
+import { getAiUsage, updatePreferences } from '../../services/apiClient';
+
+// Monthly token budgets offered in the picker; null means no limit
+const BUDGET_OPTIONS = [null, 100000, 500000, 1000000, 5000000];
+
+// Endpoint names from the usage ledger, as shown to the user
+const ENDPOINT_LABELS = {
+  'chat': 'Chat',
+  'chat-stream': 'Chat',
+  'generate-insight': 'Insights',
+  'multi-source-insight': 'Insights',
+  'analyze-content': 'Content analysis',
+};
+
+/**
+ * Format a token count compactly, e.g. 1.2M, 350k
+ * @param {number} tokens - Token count
+ * @returns {string} - Formatted count
+ */
+const formatTokens = (tokens) => {
+  if (tokens >= 1000000) return `${Number((tokens / 1000000).toFixed(1))}M`;
+  if (tokens >= 1000) return `${Math.round(tokens / 1000)}k`;
+  return String(tokens);
+};
+
+/**
+ * Format an estimated cost given in millionths of a dollar
+ * @param {number} microUsd - Cost in micro-dollars
+ * @returns {string} - Formatted cost
+ */
+const formatCost = (microUsd) => {
+  const dollars = microUsd / 1000000;
+  return dollars > 0 && dollars < 0.01 ? '< $0.01' : `$${dollars.toFixed(2)}`;
+};
+
+/**
+ * Combine usage rows whose endpoints share a label (chat and streamed chat)
+ * @param {Array} byEndpoint - Usage breakdown by endpoint
+ * @returns {Array} - [{ label, totalTokens }] largest first
+ */
+const usageByFeature = (byEndpoint) => {
+  const totals = {};
+  byEndpoint.forEach(({ key, totalTokens }) => {
+    const label = ENDPOINT_LABELS[key] || key;
+    totals[label] = (totals[label] || 0) + totalTokens;
+  });
+  return Object.entries(totals)
+    .map(([label, totalTokens]) => ({ label, totalTokens }))
+    .sort((a, b) => b.totalTokens - a.totalTokens);
+};
+
+/**
+ * AI usage and budget settings
+ * @param {Object} props
+ * @param {Object} props.style - Additional styles
+ * @returns {React.ReactElement} - Rendered component
+ */
+const AiUsageCard = ({ style }) => {
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadUsage = useCallback(async () => {
+    try {
+      setError(null);
+      setUsage(await getAiUsage());
+    } catch (err) {
+      console.error('Error loading AI usage:', err);
+      setError('Sign in to see your AI usage');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  const saveBudget = async (changes) => {
+    try {
+      setSaving(true);
+      await updatePreferences(changes);
+      await loadUsage();
+    } catch (err) {
+      console.error('Error saving AI budget:', err);
+      setError('Could not save your budget. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <GlassmorphicCard style={[styles.card, style]}>
+        <ActivityIndicator color={theme.colors.accent.primary} />
+      </GlassmorphicCard>
+    );
+  }
+
+  if (!usage) {
+    return (
+      <GlassmorphicCard style={[styles.card, style]}>
+        <Text style={styles.message}>{error}</Text>
+      </GlassmorphicCard>
+    );
+  }
+
+  const { budget, totals } = usage;
+  const limited = budget.monthlyTokenBudget !== null;
+  const fraction = limited && budget.monthlyTokenBudget > 0
+    ? Math.min(budget.used / budget.monthlyTokenBudget, 1)
+    : 0;
+  const barColor = budget.exceeded
+    ? theme.colors.error.default
+    : fraction >= 0.8 ? theme.colors.warning.default : theme.colors.success.default;
+
+  return (
+    <GlassmorphicCard style={[styles.card, style]}>
+      <View style={styles.summaryRow}>
+        <View>
+          <Text style={styles.usedValue}>{formatTokens(budget.used)} tokens</Text>
+          <Text style={styles.caption}>
+            {limited ? `of ${formatTokens(budget.monthlyTokenBudget)} this month` : 'this month, no limit'}
+          </Text>
+        </View>
+        <View style={styles.spend}>
+          <Text style={styles.spendValue}>{formatCost(totals.costMicroUsd)}</Text>
+          <Text style={styles.caption}>estimated spend</Text>
+        </View>
+      </View>
+
+      {limited && (
+        <View style={styles.barTrack}>
+          <View style={[styles.barFill, { width: `${fraction * 100}%`, backgroundColor: barColor }]} />
+        </View>
+      )}
+
+      {budget.exceeded && (
+        <View style={styles.notice}>
+          <Ionicons name="alert-circle" size={16} color={theme.colors.error.default} />
+          <Text style={styles.noticeText}>
+            {budget.action === 'block'
+              ? 'Budget spent. AI features are paused until next month.'
+              : 'Budget spent. Replies use a smaller model until next month.'}
+          </Text>
+        </View>
+      )}
+
+      {usageByFeature(usage.byEndpoint).map(({ label, totalTokens }) => (
+        <View key={label} style={styles.featureRow}>
+          <Text style={styles.featureLabel}>{label}</Text>
+          <Text style={styles.featureValue}>{formatTokens(totalTokens)}</Text>
+        </View>
+      ))}
+
+      <View style={styles.divider} />
+
+      <Text style={styles.caption}>Monthly budget</Text>
+      <View style={styles.options}>
+        {BUDGET_OPTIONS.map(option => {
+          const selected = option === budget.monthlyTokenBudget;
+          return (
+            <TouchableOpacity
+              key={String(option)}
+              style={[styles.option, selected && styles.optionSelected]}
+              disabled={saving || selected}
+              onPress={() => saveBudget({ aiMonthlyTokenBudget: option })}
+            >
+              <Text style={[styles.optionText, selected && styles.optionTextSelected]}>
+                {option === null ? 'No limit' : formatTokens(option)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={styles.actionRow}>
+        <View style={styles.actionLabel}>
+          <Text style={styles.featureLabel}>Keep going on a smaller model</Text>
+          <Text style={styles.caption}>Otherwise AI features pause once the budget is spent</Text>
+        </View>
+        <Switch
+          value={budget.action === 'degrade'}
+          disabled={saving}
+          onValueChange={(value) => saveBudget({ aiBudgetAction: value ? 'degrade' : 'block' })}
+          trackColor={{
+            false: 'rgba(255, 255, 255, 0.1)',
+            true: 'rgba(168, 148, 255, 0.6)'
+          }}
+          thumbColor={budget.action === 'degrade' ? theme.colors.accent.primary : 'rgba(255, 255, 255, 0.5)'}
+          ios_backgroundColor="rgba(255, 255, 255, 0.1)"
+        />
+      </View>
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </GlassmorphicCard>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: theme.spacing.md,
+  },
+  message: {
+    ...theme.typography.styles.bodyRegular,
+    color: theme.colors.text.secondary,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    marginBottom: theme.spacing.sm,
+  },
+  usedValue: {
+    ...theme.typography.styles.bodyLarge,
+    color: theme.colors.text.primary,
+  },
+  spend: {
+    alignItems: 'flex-end',
+  },
+  spendValue: {
+    ...theme.typography.styles.bodyLarge,
+    color: theme.colors.text.primary,
+  },
+  caption: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.tertiary,
+  },
+  barTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    overflow: 'hidden',
+    marginBottom: theme.spacing.sm,
+  },
+  barFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  notice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  noticeText: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.error.default,
+    marginLeft: theme.spacing.xs,
+    flex: 1,
+  },
+  featureRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: theme.spacing.xs,
+  },
+  featureLabel: {
+    ...theme.typography.styles.bodyRegular,
+    color: theme.colors.text.secondary,
+  },
+  featureValue: {
+    ...theme.typography.styles.bodyRegular,
+    color: theme.colors.text.primary,
+  },
+  divider: {
+    height: StyleSheet.hairlineWidth,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    marginVertical: theme.spacing.sm,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: theme.spacing.xs,
+  },
+  option: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.xs,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(168, 148, 255, 0.3)',
+    marginRight: theme.spacing.xs,
+    marginBottom: theme.spacing.xs,
+  },
+  optionSelected: {
+    backgroundColor: 'rgba(168, 148, 255, 0.25)',
+    borderColor: theme.colors.accent.primary,
+  },
+  optionText: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.secondary,
+  },
+  optionTextSelected: {
+    color: theme.colors.text.primary,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: theme.spacing.sm,
+  },
+  actionLabel: {
+    flex: 1,
+    marginRight: theme.spacing.md,
+  },
+  errorText: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.error.default,
+    marginTop: theme.spacing.sm,
+  },
+});
+
+export default AiUsageCard;
@@ -0,0 +1 @@
+export { default } from './AiUsageCard';
\ No newline at end of file
@@ -25,7 +25,7 @@ export const formatTime = (isoString) => {
 /**
  * ChatBubble component for displaying individual chat messages
  * @param {Object} props - Component props
- * @param {Object} props.message - Message object
+ * @param {Object} props.message - Message object (isStreaming while the reply is still arriving)
  * @param {boolean} props.isUser - Whether message is from user
  * @param {Function} props.onRetry - Callback for retry button
  * @param {Function} props.onContextInfo - Callback to show context info
@@ -70,6 +70,7 @@ export default function ChatBubble({
         isUser ? styles.userMessageText : styles.assistantMessageText
       ]}>
         {message.text}
+        {message.isStreaming && <Text style={styles.streamingCursor}>▍</Text>}
       </Text>
     );
   };
@@ -164,6 +165,9 @@ const styles = StyleSheet.create({
   assistantMessageText: {
     color: 'rgba(255, 255, 255, 0.9)',
   },
+  streamingCursor: {
+    color: '#A388FF',
+  },
   messageInfo: {
     flexDirection: 'row',
     marginTop: 4,
@@ -30,7 +30,7 @@ import dataSourceManager from '../../services/dataSources/dataSourceManager';
  * Chat Interface component
  * @param {Object} props - Component props
  * @param {Array} props.initialMessages - Initial messages to display
- * @param {Function} props.onNewMessage - Callback when new message is received
+ * @param {Function} props.onNewMessage - Callback with each message sent or received, for persisting it
  * @param {Function} props.onError - Callback when error occurs
  * @param {Object} props.style - Additional style for the component
  * @returns {React.ReactElement} - Rendered component
@@ -114,6 +114,11 @@ export default function ChatInterface({
     }, 100);
   };
   
+  // Merge changes into a message by id
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map(msg => (msg.id === id ? { ...msg, ...changes } : msg)));
+  };
+  
   // Handle message send
   const handleSendMessage = async (text) => {
     if (!text.trim() || isLoading) return;
@@ -127,6 +132,9 @@ export default function ChatInterface({
     };
     
     setMessages(prev => [...prev, userMessage]);
+    if (onNewMessage) {
+      onNewMessage(userMessage);
+    }
     setIsLoading(true);
     setInputDisabled(true);
     
@@ -140,19 +148,34 @@ export default function ChatInterface({
           isUser: msg.isUser
         }));
       
-      // Send message to AI
-      const aiResponse = await chatService.sendMessage(text, history);
+      // Stream the reply into a bubble that grows as tokens arrive
+      const aiMessageId = `ai-${Date.now()}`;
+      setMessages(prev => [...prev, {
+        id: aiMessageId,
+        text: '',
+        timestamp: new Date().toISOString(),
+        isUser: false,
+        isStreaming: true,
+      }]);
+      
+      const aiResponse = await chatService.streamMessage(text, history, {
+        onToken: (token, partialText) => {
+          updateMessage(aiMessageId, { text: partialText });
+        },
+      });
       
-      // Add AI response
       const aiMessage = {
-        id: `ai-${Date.now()}`,
+        id: aiMessageId,
         text: aiResponse.text,
         timestamp: aiResponse.timestamp || new Date().toISOString(),
         isUser: false,
+        isStreaming: false,
         contextData: aiResponse.contextData,
+        usage: aiResponse.usage,
+        model: aiResponse.model,
       };
       
-      setMessages(prev => [...prev, aiMessage]);
+      updateMessage(aiMessageId, aiMessage);
       
       // Callback with new message
       if (onNewMessage) {
@@ -161,7 +184,7 @@ export default function ChatInterface({
     } catch (error) {
       console.error('Error sending message:', error);
       
-      // Add error message
+      // Replace any partially streamed reply with an error message
       const errorMessage = {
         id: `error-${Date.now()}`,
         text: 'Sorry, I encountered an error while processing your message.',
@@ -170,7 +193,7 @@ export default function ChatInterface({
         isUser: false,
       };
       
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [...prev.filter(msg => !msg.isStreaming), errorMessage]);
       
       // Callback with error
       if (onError) {
@@ -315,7 +338,7 @@ export default function ChatInterface({
         {renderDataSourcesInfo()}
         
         {/* Message bubbles */}
-        {messages.map((message) => (
+        {messages.filter(message => !message.isStreaming || message.text).map((message) => (
           <ChatBubble
             key={message.id}
             message={message}
@@ -325,8 +348,8 @@ export default function ChatInterface({
           />
         ))}
         
-        {/* Loading indicator for AI response */}
-        {isLoading && (
+        {/* Loading indicator until the first tokens of the AI response arrive */}
+        {isLoading && !messages.some(msg => msg.isStreaming && msg.text) && (
           <View style={styles.typingIndicator}>
             <View style={styles.typingBubble}>
               <ActivityIndicator size="small" color="#A388FF" />
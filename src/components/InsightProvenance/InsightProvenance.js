@@ -0,0 +1,184 @@
+/**
+ * Insight Provenance component
+ * "Based on" panel listing what an insight was generated from: the template
+ * revision, the time window, and the sources and records given to the prompt
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../../theme';
+import { getInsightProvenance } from '../../services/apiClient';
+
+// Characters of a record hash shown next to its id
+const SHORT_HASH_LENGTH = 8;
+
+/**
+ * Describe a time window
+ * @param {Object} window - { startDate, endDate } as ISO strings
+ * @returns {string} - e.g. "Mar 3, 2025 – Mar 10, 2025"
+ */
+const formatWindow = (window) => {
+  const format = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+  return `${format(window.startDate)} – ${format(window.endDate)}`;
+};
+
+/**
+ * Describe a template revision
+ * @param {Object} template - { name, version, revision }
+ * @returns {string} - e.g. "Daily Reflection v1.2.0, revision 3"
+ */
+const formatTemplate = (template) => {
+  const revision = template.revision ? `, revision ${template.revision}` : '';
+  return `${template.name} v${template.version}${revision}`;
+};
+
+/**
+ * What an insight was based on
+ * @param {Object} props
+ * @param {number} props.insightId - Saved insight ID
+ * @param {Object} props.style - Additional styles
+ * @returns {React.ReactElement} - Rendered component; nothing for insights without provenance
+ */
+const InsightProvenance = ({ insightId, style }) => {
+  const [provenance, setProvenance] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expandedSource, setExpandedSource] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setProvenance(null);
+    setExpandedSource(null);
+    getInsightProvenance(insightId)
+      .then(result => {
+        if (!cancelled) setProvenance(result);
+      })
+      .catch(err => {
+        // Insights generated before provenance was kept have none to show
+        if (!err.response || err.response.status !== 404) {
+          console.error('Error loading insight provenance:', err);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [insightId]);
+
+  if (loading) {
+    return <ActivityIndicator size="small" color={theme.colors.text.secondary} style={style} />;
+  }
+  if (!provenance) return null;
+
+  const { template, window, sources } = provenance;
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.title}>Based on</Text>
+
+      {template && (
+        <View style={styles.row}>
+          <Ionicons name="document-text-outline" size={14} color={theme.colors.text.tertiary} />
+          <Text style={styles.text}>{formatTemplate(template)}</Text>
+        </View>
+      )}
+
+      {window && (
+        <View style={styles.row}>
+          <Ionicons name="calendar-outline" size={14} color={theme.colors.text.tertiary} />
+          <Text style={styles.text}>{formatWindow(window)}</Text>
+        </View>
+      )}
+
+      {sources.length === 0 ? (
+        <View style={styles.row}>
+          <Ionicons name="create-outline" size={14} color={theme.colors.text.tertiary} />
+          <Text style={styles.text}>Data entered when the insight was generated</Text>
+        </View>
+      ) : (
+        sources.map(source => (
+          <View key={source.dataSourceId}>
+            <TouchableOpacity
+              style={styles.row}
+              onPress={() => setExpandedSource(expandedSource === source.dataSourceId ? null : source.dataSourceId)}
+            >
+              <Ionicons
+                name={expandedSource === source.dataSourceId ? 'chevron-down' : 'chevron-forward'}
+                size={14}
+                color={theme.colors.text.tertiary}
+              />
+              <Text style={styles.text}>
+                <Text style={source.name ? styles.sourceName : styles.deletedSource}>
+                  {source.name || 'Deleted source'}
+                </Text>
+                {` · ${source.dataTypes.join(', ')} · ${source.recordCount} ${source.recordCount === 1 ? 'record' : 'records'}`}
+              </Text>
+            </TouchableOpacity>
+
+            {expandedSource === source.dataSourceId && (
+              <View style={styles.records}>
+                {source.records.map(record => (
+                  <Text key={record.id} style={styles.record}>
+                    #{record.id} · {record.hash.slice(0, SHORT_HASH_LENGTH)}
+                  </Text>
+                ))}
+              </View>
+            )}
+          </View>
+        ))
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: theme.spacing.md,
+    paddingTop: theme.spacing.sm,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    ...theme.typography.styles.bodyRegular,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xs,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xxs,
+  },
+  text: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.secondary,
+    marginLeft: theme.spacing.xs,
+    flex: 1,
+  },
+  sourceName: {
+    color: theme.colors.text.primary,
+  },
+  deletedSource: {
+    color: theme.colors.text.tertiary,
+    fontStyle: 'italic',
+  },
+  records: {
+    marginLeft: theme.spacing.lg,
+    marginBottom: theme.spacing.xs,
+  },
+  record: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.tertiary,
+  },
+});
+
+export default InsightProvenance;
@@ -0,0 +1,120 @@
+/**
+ * Structured Insight component
+ * Shows the fields of an insight generated with an output schema as titled
+ * sections, in the order the schema lists them
+ */
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import theme from '../../theme';
+
+// Fields already shown in the insight's header
+const HEADER_FIELDS = ['title'];
+
+/**
+ * Title a field the schema didn't list, e.g. keyFindings -> Key findings
+ * @param {string} field - Field name
+ * @returns {string} - Section title
+ */
+const fieldTitle = (field) => {
+  const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Sections to show: the schema's, then any other fields the output has
+ * @param {Object} output - Structured output
+ * @param {Array} sections - [{ field, title }] in schema order
+ * @returns {Array} - [{ field, title }]
+ */
+const visibleSections = (output, sections = []) => {
+  const listed = sections.map(section => section.field);
+  const extra = Object.keys(output)
+    .filter(field => !listed.includes(field))
+    .map(field => ({ field, title: fieldTitle(field) }));
+
+  return sections.concat(extra).filter(({ field }) =>
+    !HEADER_FIELDS.includes(field) && output[field] !== undefined && output[field] !== null);
+};
+
+/**
+ * Render one field's value
+ * @param {*} value - Field value
+ * @returns {React.ReactElement} - Rendered value
+ */
+const renderValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => (
+      <View key={index} style={styles.listItem}>
+        <Text style={styles.bullet}>•</Text>
+        <View style={styles.listItemContent}>{renderValue(item)}</View>
+      </View>
+    ));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => (
+      <Text key={key} style={styles.text}>
+        <Text style={styles.label}>{fieldTitle(key)}: </Text>
+        {typeof item === 'object' && item !== null ? JSON.stringify(item) : String(item)}
+      </Text>
+    ));
+  }
+
+  return <Text style={styles.text}>{String(value)}</Text>;
+};
+
+/**
+ * Structured insight sections
+ * @param {Object} props
+ * @param {Object} props.output - Structured output from the insight's details
+ * @param {Array} props.sections - Section order and titles from the insight's details
+ * @param {Object} props.style - Additional styles
+ * @returns {React.ReactElement} - Rendered component
+ */
+const StructuredInsight = ({ output, sections, style }) => {
+  return (
+    <View style={style}>
+      {visibleSections(output, sections).map(({ field, title }) => (
+        <View key={field} style={styles.section}>
+          <Text style={styles.sectionTitle}>{title}</Text>
+          {renderValue(output[field])}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    marginBottom: theme.spacing.md,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ffffff',
+    letterSpacing: 0.5,
+    marginBottom: theme.spacing.xs,
+  },
+  text: {
+    fontSize: 16,
+    color: 'rgba(255, 255, 255, 0.9)',
+    lineHeight: 24,
+  },
+  label: {
+    color: 'rgba(255, 255, 255, 0.6)',
+  },
+  listItem: {
+    flexDirection: 'row',
+  },
+  bullet: {
+    fontSize: 16,
+    color: '#a388ff',
+    lineHeight: 24,
+    marginRight: theme.spacing.sm,
+  },
+  listItemContent: {
+    flex: 1,
+  },
+});
+
+export default StructuredInsight;
@@ -0,0 +1,243 @@
+/**
+ * Takeout Card component
+ * Requests a ZIP of everything Solstice stores for the user, follows it while
+ * the server builds it, and downloads it once it's ready
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import GlassmorphicCard from '../GlassmorphicCard';
+import theme from '../../theme';
+import { listTakeouts, requestTakeout, getTakeout } from '../../services/apiClient';
+import { downloadFile } from '../../services/fileDownload';
+
+// How often to check on an archive being built
+const POLL_INTERVAL_MS = 5000;
+
+/**
+ * Format a size in bytes, e.g. 2.4 MB, 350 KB
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size
+ */
+const formatSize = (bytes) => {
+  if (bytes >= 1000000) return `${(bytes / 1000000).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1000))} KB`;
+};
+
+/**
+ * Format a date, e.g. Oct 26, 2026
+ * @param {string} date - ISO date
+ * @returns {string} - Formatted date
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Whether the server is still building a takeout
+ * @param {Object} takeout - Takeout, or null
+ * @returns {boolean}
+ */
+const isBuilding = (takeout) => !!takeout && (takeout.status === 'pending' || takeout.status === 'building');
+
+/**
+ * Download-my-data card
+ * @param {Object} props
+ * @param {Object} props.style - Additional styles
+ * @returns {React.ReactElement} - Rendered component
+ */
+const TakeoutCard = ({ style }) => {
+  const [takeout, setTakeout] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [requesting, setRequesting] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadTakeout = useCallback(async () => {
+    try {
+      setError(null);
+      const takeouts = await listTakeouts();
+      setTakeout(takeouts[0] || null);
+    } catch (err) {
+      console.error('Error loading takeouts:', err);
+      setError('Could not check for an archive. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTakeout();
+  }, [loadTakeout]);
+
+  // Follow an archive while it's built
+  useEffect(() => {
+    if (!isBuilding(takeout)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        setTakeout(await getTakeout(takeout.id));
+      } catch (err) {
+        console.error('Error checking takeout:', err);
+        setError('Could not check on your archive. Please try again later.');
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [takeout]);
+
+  const handleRequest = async () => {
+    try {
+      setRequesting(true);
+      setError(null);
+      setTakeout(await requestTakeout());
+    } catch (err) {
+      console.error('Error requesting takeout:', err);
+      setError('Could not start your archive. Please try again.');
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      await downloadFile(takeout.downloadUrl, {
+        mimeType: 'application/zip',
+        fallbackName: takeout.fileName || 'solstice-takeout.zip',
+        dialogTitle: 'Your Solstice data',
+      });
+    } catch (err) {
+      console.error('Error downloading takeout:', err);
+      if (err.response && err.response.status === 410) {
+        // Expired since it was listed
+        await loadTakeout();
+      }
+      Alert.alert('Download Failed', 'Your archive could not be downloaded. Please try again.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <GlassmorphicCard style={[styles.card, style]}>
+        <ActivityIndicator color={theme.colors.accent.primary} />
+      </GlassmorphicCard>
+    );
+  }
+
+  const ready = takeout && takeout.status === 'ready';
+
+  return (
+    <GlassmorphicCard style={[styles.card, style]}>
+      <Text style={styles.title}>Download your data</Text>
+      <Text style={styles.caption}>
+        A ZIP of your profile, data sources, records, insights, conversations and templates, as JSON and CSV.
+      </Text>
+
+      {isBuilding(takeout) && (
+        <View style={styles.status}>
+          <ActivityIndicator size="small" color={theme.colors.accent.primary} />
+          <Text style={styles.statusText}>Preparing your archive. You can leave this screen.</Text>
+        </View>
+      )}
+
+      {ready && (
+        <View style={styles.status}>
+          <Ionicons name="archive-outline" size={16} color={theme.colors.text.secondary} />
+          <Text style={styles.statusText}>
+            {`${takeout.fileName} · ${formatSize(takeout.size)} · available until ${formatDate(takeout.expiresAt)}`}
+          </Text>
+        </View>
+      )}
+
+      {takeout && takeout.status === 'failed' && (
+        <View style={styles.status}>
+          <Ionicons name="alert-circle" size={16} color={theme.colors.error.default} />
+          <Text style={[styles.statusText, styles.errorText]}>{takeout.errorMessage}</Text>
+        </View>
+      )}
+
+      <View style={styles.actions}>
+        {ready && (
+          <TouchableOpacity style={[styles.action, styles.primaryAction]} disabled={downloading} onPress={handleDownload}>
+            {downloading
+              ? <ActivityIndicator size="small" color={theme.colors.text.primary} />
+              : <Text style={styles.actionText}>Download</Text>}
+          </TouchableOpacity>
+        )}
+        {!isBuilding(takeout) && (
+          <TouchableOpacity style={styles.action} disabled={requesting} onPress={handleRequest}>
+            {requesting
+              ? <ActivityIndicator size="small" color={theme.colors.accent.primary} />
+              : <Text style={styles.actionText}>{ready ? 'Prepare a new archive' : 'Prepare archive'}</Text>}
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {error && <Text style={[styles.caption, styles.errorText, styles.errorMessage]}>{error}</Text>}
+    </GlassmorphicCard>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: theme.spacing.md,
+  },
+  title: {
+    ...theme.typography.styles.bodyRegular,
+    color: theme.colors.text.primary,
+    marginBottom: theme.spacing.xxs,
+  },
+  caption: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.tertiary,
+  },
+  status: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+  },
+  statusText: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.secondary,
+    marginLeft: theme.spacing.xs,
+    flex: 1,
+  },
+  errorText: {
+    color: theme.colors.error.default,
+  },
+  errorMessage: {
+    marginTop: theme.spacing.sm,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: theme.spacing.sm,
+  },
+  action: {
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.xs,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(168, 148, 255, 0.3)',
+    marginRight: theme.spacing.xs,
+    marginTop: theme.spacing.xs,
+  },
+  primaryAction: {
+    backgroundColor: 'rgba(168, 148, 255, 0.25)',
+    borderColor: theme.colors.accent.primary,
+  },
+  actionText: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.primary,
+  },
+});
+
+export default TakeoutCard;
@@ -0,0 +1,231 @@
+/**
+ * Template History component
+ * Lists the saved revisions of a template, shows what changed between a
+ * revision and the current one, and restores earlier revisions
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import Button from '../Button';
+import theme from '../../theme';
+import templateManager from '../../templates/templateManager';
+
+// How each revision came about, as shown to the user
+const SOURCE_LABELS = {
+  created: 'Created',
+  default: 'Added by Solstice',
+  edit: 'Edited',
+  upgrade: 'Updated by Solstice',
+  rollback: 'Restored',
+};
+
+// Longest value shown in a change before it is cut short
+const MAX_VALUE_LENGTH = 120;
+
+/**
+ * Format one side of a change for display
+ * @param {*} value - Field value; undefined when the field is absent
+ * @returns {string} - Display text
+ */
+const formatValue = (value) => {
+  if (value === undefined) return '(none)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Revision history of a template
+ * @param {Object} props
+ * @param {string} props.templateId - Template ID
+ * @param {function} props.onRestore - Called with the template after a revision is restored
+ * @param {Object} props.style - Additional styles
+ * @returns {React.ReactElement} - Rendered component
+ */
+const TemplateHistory = ({ templateId, onRestore, style }) => {
+  const [versions, setVersions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setError(null);
+      setVersions(await templateManager.getTemplateHistory(templateId));
+    } catch (err) {
+      console.error('Error loading template history:', err);
+      setError('Sign in to see this template\'s history');
+    } finally {
+      setLoading(false);
+    }
+  }, [templateId]);
+
+  useEffect(() => {
+    setSelected(null);
+    setDiff(null);
+    loadHistory();
+  }, [loadHistory]);
+
+  // Compare a revision with the current one
+  const selectVersion = async (version) => {
+    if (selected === version.revision) {
+      setSelected(null);
+      setDiff(null);
+      return;
+    }
+
+    setSelected(version.revision);
+    setDiff(null);
+    try {
+      setDiff(await templateManager.diffTemplateVersions(templateId, version.revision));
+    } catch (err) {
+      console.error('Error comparing template versions:', err);
+      setError('Could not compare these versions. Please try again.');
+    }
+  };
+
+  const restoreVersion = async () => {
+    try {
+      setRestoring(true);
+      const template = await templateManager.rollbackTemplate(templateId, selected);
+      setSelected(null);
+      setDiff(null);
+      await loadHistory();
+      if (onRestore) {
+        onRestore(template);
+      }
+    } catch (err) {
+      console.error('Error restoring template version:', err);
+      setError('Could not restore this version. Please try again.');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (loading) {
+    return <ActivityIndicator style={style} color={theme.colors.accent.primary} />;
+  }
+
+  const latest = versions.length > 0 ? versions[0].revision : null;
+
+  return (
+    <View style={style}>
+      {versions.map(version => {
+        const isSelected = selected === version.revision;
+        const isLatest = version.revision === latest;
+        return (
+          <View key={version.revision}>
+            <TouchableOpacity
+              style={[styles.versionRow, isSelected && styles.versionRowSelected]}
+              disabled={isLatest}
+              onPress={() => selectVersion(version)}
+            >
+              <View>
+                <Text style={styles.versionTitle}>
+                  Revision {version.revision} · v{version.version}
+                </Text>
+                <Text style={styles.caption}>
+                  {SOURCE_LABELS[version.source] || version.source}
+                  {' · '}
+                  {new Date(version.createdAt).toLocaleString()}
+                </Text>
+              </View>
+              {isLatest && <Text style={styles.currentBadge}>Current</Text>}
+            </TouchableOpacity>
+
+            {isSelected && (
+              <View style={styles.diff}>
+                {!diff && <ActivityIndicator color={theme.colors.accent.primary} />}
+                {diff && diff.changes.length === 0 && (
+                  <Text style={styles.caption}>Same as the current version</Text>
+                )}
+                {diff && diff.changes.map(change => (
+                  <View key={change.path} style={styles.change}>
+                    <Text style={styles.changePath}>{change.path}</Text>
+                    <Text style={styles.revisionValue}>{formatValue(change.before)}</Text>
+                    <Text style={styles.currentValue}>{formatValue(change.after)}</Text>
+                  </View>
+                ))}
+                {diff && diff.changes.length > 0 && (
+                  <Button
+                    title="Restore this version"
+                    size="small"
+                    variant="outline"
+                    isLoading={restoring}
+                    disabled={restoring}
+                    onPress={restoreVersion}
+                    style={styles.restoreButton}
+                  />
+                )}
+              </View>
+            )}
+          </View>
+        );
+      })}
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  versionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.sm,
+    borderRadius: 10,
+  },
+  versionRowSelected: {
+    backgroundColor: 'rgba(123, 97, 255, 0.15)',
+  },
+  versionTitle: {
+    ...theme.typography.styles.bodyRegular,
+    color: theme.colors.text.primary,
+  },
+  caption: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.tertiary,
+  },
+  currentBadge: {
+    ...theme.typography.styles.caption,
+    color: '#b29fff',
+  },
+  diff: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingBottom: theme.spacing.sm,
+  },
+  change: {
+    marginTop: theme.spacing.xs,
+  },
+  changePath: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.secondary,
+  },
+  // What the revision had, and what the current version has instead
+  revisionValue: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.success.default,
+  },
+  currentValue: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.tertiary,
+  },
+  restoreButton: {
+    marginTop: theme.spacing.sm,
+  },
+  errorText: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.error.default,
+    marginTop: theme.spacing.sm,
+  },
+});
+
+export default TemplateHistory;
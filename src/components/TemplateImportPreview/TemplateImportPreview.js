@@ -0,0 +1,223 @@
+/**
+ * Template Import Preview component
+ * Shows a template read from a bundle before it is added: what it does, the
+ * data fields it will read, its sample output, and whether its id is taken
+ */
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import { BlurView } from 'expo-blur';
+import Button from '../Button';
+import theme from '../../theme';
+import { templateDataFields } from '../../templates/templateBundle';
+
+/**
+ * Preview of a template about to be imported
+ * @param {Object} props
+ * @param {Object} props.template - Template read from the bundle; nothing is shown without one
+ * @param {Object} props.existing - The user's template with the same id, if any
+ * @param {boolean} props.importing - Whether the import is being saved
+ * @param {function} props.onImport - Called with { replace } to accept the template
+ * @param {function} props.onCancel - Called to dismiss without importing
+ * @returns {React.ReactElement} - Rendered component
+ */
+const TemplateImportPreview = ({ template, existing, importing = false, onImport, onCancel }) => {
+  if (!template) return null;
+
+  const fields = templateDataFields(template);
+  const { sampleOutput, systemPrompt } = template.template;
+  const canReplace = existing && !existing.isDefault;
+
+  return (
+    <Modal visible={true} transparent={true} animationType="fade" onRequestClose={onCancel}>
+      <BlurView intensity={80} style={styles.container}>
+        <LinearGradient
+          colors={['rgba(30, 15, 60, 0.9)', 'rgba(10, 5, 30, 0.95)']}
+          style={styles.content}
+        >
+          <View style={styles.header}>
+            <Text style={styles.title}>Import {template.name}</Text>
+            <TouchableOpacity onPress={onCancel} disabled={importing}>
+              <Ionicons name="close" size={24} color={theme.colors.text.primary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.body}>
+            <Text style={styles.text}>{template.description}</Text>
+            <Text style={styles.caption}>
+              {[template.author && `By ${template.author}`, template.version && `v${template.version}`]
+                .filter(Boolean)
+                .join(' · ')}
+            </Text>
+
+            <Text style={styles.sectionTitle}>Data it reads</Text>
+            {fields.length === 0 ? (
+              <Text style={styles.caption}>This template doesn't read any of your data</Text>
+            ) : (
+              <View style={styles.fields}>
+                {fields.map(({ field, required }) => (
+                  <View key={field} style={[styles.field, required && styles.fieldRequired]}>
+                    <Text style={styles.fieldText}>
+                      {field}{required ? ' · required' : ''}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            <Text style={styles.sectionTitle}>Instructions</Text>
+            <Text style={styles.quote} numberOfLines={6}>{systemPrompt}</Text>
+
+            {sampleOutput ? (
+              <>
+                <Text style={styles.sectionTitle}>Sample output</Text>
+                <Text style={styles.quote} numberOfLines={8}>{sampleOutput}</Text>
+              </>
+            ) : null}
+
+            {existing && (
+              <View style={styles.notice}>
+                <Ionicons name="alert-circle" size={16} color={theme.colors.warning.default} />
+                <Text style={styles.noticeText}>
+                  {canReplace
+                    ? `You already have "${existing.name}" with this id. Replace it, or keep both by adding this one as a copy.`
+                    : `This id belongs to the default template "${existing.name}", so this one will be added as a copy.`}
+                </Text>
+              </View>
+            )}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <Button
+              title={existing ? 'Add as Copy' : 'Import'}
+              onPress={() => onImport({ replace: false })}
+              isLoading={importing}
+              disabled={importing}
+              variant="primary"
+            />
+            {canReplace && (
+              <Button
+                title="Replace"
+                onPress={() => onImport({ replace: true })}
+                disabled={importing}
+                variant="outline"
+                style={styles.secondaryButton}
+              />
+            )}
+            <Button
+              title="Cancel"
+              onPress={onCancel}
+              disabled={importing}
+              variant="text"
+              style={styles.secondaryButton}
+            />
+          </View>
+        </LinearGradient>
+      </BlurView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  content: {
+    width: '90%',
+    maxHeight: '80%',
+    borderRadius: 15,
+    padding: theme.spacing.lg,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.md,
+  },
+  title: {
+    ...theme.typography.styles.bodyLarge,
+    color: theme.colors.text.primary,
+    flex: 1,
+    marginRight: theme.spacing.sm,
+  },
+  body: {
+    marginBottom: theme.spacing.md,
+  },
+  text: {
+    ...theme.typography.styles.bodyRegular,
+    color: theme.colors.text.secondary,
+  },
+  caption: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.tertiary,
+    marginTop: theme.spacing.xs,
+  },
+  sectionTitle: {
+    ...theme.typography.styles.bodyRegular,
+    color: theme.colors.text.primary,
+    marginTop: theme.spacing.md,
+    marginBottom: theme.spacing.xs,
+  },
+  fields: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  field: {
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  fieldRequired: {
+    backgroundColor: 'rgba(123, 97, 255, 0.3)',
+  },
+  fieldText: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.secondary,
+  },
+  quote: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.text.secondary,
+    backgroundColor: 'rgba(123, 97, 255, 0.1)',
+    padding: theme.spacing.sm,
+    borderRadius: 10,
+    borderLeftWidth: 2,
+    borderLeftColor: 'rgba(123, 97, 255, 0.5)',
+  },
+  notice: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginTop: theme.spacing.md,
+  },
+  noticeText: {
+    ...theme.typography.styles.caption,
+    color: theme.colors.warning.default,
+    marginLeft: theme.spacing.xs,
+    flex: 1,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    flexWrap: 'wrap',
+  },
+  secondaryButton: {
+    marginLeft: theme.spacing.sm,
+  },
+});
+
+export default TemplateImportPreview;
@@ -11,6 +11,7 @@ import {
   TouchableOpacity,
   Modal,
   ScrollView,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -18,7 +19,10 @@ import { BlurView } from 'expo-blur';
 
 import GlassmorphicCard from './GlassmorphicCard';
 import Button from './Button';
+import TemplateHistory from './TemplateHistory';
+import TemplateImportPreview from './TemplateImportPreview';
 import templateManager from '../templates/templateManager';
+import { shareTemplateBundle, pickTemplateBundle } from '../templates/templateBundle';
 import { TEMPLATE_TYPES } from '../templates/templateSchema';
 
 /**
@@ -40,6 +44,8 @@ export default function TemplateSelector({
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [detailsVisible, setDetailsVisible] = useState(false);
   const [initialized, setInitialized] = useState(false);
+  const [importedTemplate, setImportedTemplate] = useState(null);
+  const [importing, setImporting] = useState(false);
 
   // Initialize and load templates
   useEffect(() => {
@@ -76,6 +82,55 @@ export default function TemplateSelector({
     await templateManager.setActiveTemplate(type, template.id);
   };
 
+  // Show a restored revision in place of the template it replaced
+  const handleRestoreTemplate = (template) => {
+    setTemplates(templateManager.getTemplates(type));
+    setSelectedTemplate(template);
+  };
+
+  // Share the template as a .solstice-template.json bundle
+  const handleExportTemplate = async (template) => {
+    try {
+      await shareTemplateBundle(template);
+    } catch (error) {
+      console.error('Failed to export template:', error);
+      Alert.alert('Export Failed', error.message, [{ text: 'OK' }]);
+    }
+  };
+
+  // Pick a bundle and preview it before importing
+  const handlePickBundle = async () => {
+    try {
+      const bundle = await pickTemplateBundle();
+      if (!bundle) return;
+      
+      if (!bundle.valid) {
+        Alert.alert('Cannot Import Template', bundle.errors.join('\n'), [{ text: 'OK' }]);
+        return;
+      }
+      setImportedTemplate(bundle.template);
+    } catch (error) {
+      console.error('Failed to read template bundle:', error);
+      Alert.alert('Cannot Import Template', error.message, [{ text: 'OK' }]);
+    }
+  };
+
+  // Add the previewed template
+  const handleImportTemplate = async ({ replace }) => {
+    try {
+      setImporting(true);
+      const template = await templateManager.importTemplate(importedTemplate, { replace });
+      setTemplates(templateManager.getTemplates(type));
+      setSelectedTemplate(template);
+      setImportedTemplate(null);
+    } catch (error) {
+      console.error('Failed to import template:', error);
+      Alert.alert('Import Failed', error.message, [{ text: 'OK' }]);
+    } finally {
+      setImporting(false);
+    }
+  };
+
   // Show template details
   const showTemplateDetails = (template) => {
     setSelectedTemplate(template);
@@ -151,9 +206,17 @@ export default function TemplateSelector({
           >
             <View style={styles.modalHeader}>
               <Text style={styles.modalTitle}>{selectedTemplate.name}</Text>
-              <TouchableOpacity onPress={() => setDetailsVisible(false)}>
-                <Ionicons name="close" size={24} color="#ffffff" />
-              </TouchableOpacity>
+              <View style={styles.headerActions}>
+                <TouchableOpacity
+                  style={styles.headerAction}
+                  onPress={() => handleExportTemplate(selectedTemplate)}
+                >
+                  <Ionicons name="share-outline" size={22} color="#ffffff" />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => setDetailsVisible(false)}>
+                  <Ionicons name="close" size={24} color="#ffffff" />
+                </TouchableOpacity>
+              </View>
             </View>
             
             <ScrollView style={styles.modalBody}>
@@ -212,6 +275,14 @@ export default function TemplateSelector({
                   {selectedTemplate.template.systemPrompt}
                 </Text>
               </View>
+              
+              <View style={styles.detailSection}>
+                <Text style={styles.sectionTitle}>History</Text>
+                <TemplateHistory
+                  templateId={selectedTemplate.id}
+                  onRestore={handleRestoreTemplate}
+                />
+              </View>
             </ScrollView>
             
             <View style={styles.modalFooter}>
@@ -238,7 +309,12 @@ export default function TemplateSelector({
 
   return (
     <View style={[styles.container, style]}>
-      <Text style={styles.title}>Select Template</Text>
+      <View style={styles.titleRow}>
+        <Text style={styles.title}>Select Template</Text>
+        <TouchableOpacity onPress={handlePickBundle}>
+          <Ionicons name="download-outline" size={22} color="#cccccc" />
+        </TouchableOpacity>
+      </View>
       
       <FlatList
         data={templates}
@@ -250,6 +326,14 @@ export default function TemplateSelector({
       />
       
       {renderTemplateDetails()}
+      
+      <TemplateImportPreview
+        template={importedTemplate}
+        existing={importedTemplate && templateManager.getTemplate(importedTemplate.id)}
+        importing={importing}
+        onImport={handleImportTemplate}
+        onCancel={() => setImportedTemplate(null)}
+      />
     </View>
   );
 }
@@ -258,11 +342,16 @@ const styles = StyleSheet.create({
   container: {
     marginVertical: 20,
   },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
   title: {
     fontSize: 18,
     fontWeight: '600',
     color: '#ffffff',
-    marginBottom: 15,
     letterSpacing: 0.5,
   },
   listContent: {
@@ -346,6 +435,13 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 20,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerAction: {
+    marginRight: 15,
+  },
   modalTitle: {
     fontSize: 20,
     fontWeight: 'bold',
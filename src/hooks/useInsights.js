@@ -4,6 +4,26 @@
  */
 import { useState, useEffect, useCallback } from 'react';
 import { useOffline } from '../contexts/OfflineContext';
+import { listInsights } from '../services/apiClient';
+
+/**
+ * Compare cached insights the way /api/insights orders them: by the sort
+ * field, unscored ones counting as -1, then by id
+ * @param {string} sortBy - Sort field (createdAt, relevanceScore, confidence)
+ * @param {string} order - Sort order (asc, desc)
+ * @returns {Function} - Comparator for Array.prototype.sort
+ */
+const compareInsights = (sortBy, order) => {
+  const sortValue = (insight) => {
+    if (sortBy === 'createdAt') return new Date(insight.createdAt).getTime();
+    return insight[sortBy] === null || insight[sortBy] === undefined ? -1 : insight[sortBy];
+  };
+  
+  return (a, b) => {
+    const difference = sortValue(a) - sortValue(b) || a.id - b.id;
+    return order === 'asc' ? difference : -difference;
+  };
+};
 
 /**
  * Hook for fetching and managing insights
@@ -11,18 +31,28 @@ import { useOffline } from '../contexts/OfflineContext';
  * @param {string} options.category - Filter by category
  * @param {string} options.type - Filter by type
  * @param {boolean} options.starredOnly - Get only starred insights
- * @param {boolean} options.includeArchived - Include archived insights
+ * @param {boolean} options.archived - Get archived insights instead of active ones
+ * @param {string} options.search - Full-text search over title and summary
+ * @param {string} options.sortBy - Sort field (createdAt, relevanceScore, confidence)
+ * @param {string} options.order - Sort order (asc, desc)
+ * @param {number} options.pageSize - Insights per page
  * @returns {Object} - Insights and management functions
  */
 export default function useInsights({ 
   category = null, 
   type = null, 
   starredOnly = false,
-  includeArchived = false
+  archived = false,
+  search = '',
+  sortBy = 'createdAt',
+  order = 'desc',
+  pageSize = 20
 } = {}) {
   // State
   const [insights, setInsights] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
   const [error, setError] = useState(null);
   const [lastFetched, setLastFetched] = useState(null);
   
@@ -35,6 +65,39 @@ export default function useInsights({
     syncNow 
   } = useOffline();
   
+  /**
+   * Fetch one page of insights from the API
+   * @param {string|null} cursor - Cursor from the previous page, or null for the first page
+   * @returns {Promise<Object>} - The page's insights and the next cursor
+   */
+  const fetchPage = useCallback(async (cursor) => {
+    const page = await listInsights({
+      category: category || undefined,
+      type: type || undefined,
+      starred: starredOnly ? 'true' : undefined,
+      archived: archived ? 'true' : 'false',
+      q: search || undefined,
+      sortBy,
+      order,
+      limit: pageSize,
+      cursor: cursor || undefined,
+    });
+    
+    return { items: page.data, cursor: page.nextCursor };
+  }, [category, type, starredOnly, archived, search, sortBy, order, pageSize]);
+  
+  /**
+   * Merge fetched insights into the offline cache, replacing cached copies
+   * of the same insights and keeping the rest (e.g. other pages)
+   * @param {Array} fetchedInsights - Insights from the API
+   */
+  const cacheInsights = useCallback(async (fetchedInsights) => {
+    const storedInsights = await getInsights();
+    const merged = new Map((storedInsights || []).map(insight => [insight.id, insight]));
+    fetchedInsights.forEach(insight => merged.set(insight.id, insight));
+    await saveInsights(Array.from(merged.values()));
+  }, [getInsights, saveInsights]);
+  
   /**
    * Fetch insights from API or local storage
    */
@@ -46,27 +109,13 @@ export default function useInsights({
       let fetchedInsights = [];
       
       if (isOnline) {
-        // Fetch from API based on filters
-        let endpoint = '/api/insights';
-        
-        if (category) {
-          endpoint = `/api/insights/category/${category}`;
-        } else if (type) {
-          endpoint = `/api/insights/type/${type}`;
-        } else if (starredOnly) {
-          endpoint = '/api/insights/starred';
-        }
-        
-        const response = await fetch(endpoint);
-        
-        if (!response.ok) {
-          throw new Error(`API error: ${response.status}`);
-        }
-        
-        fetchedInsights = await response.json();
+        // Fetch the first page; later pages come from loadMore
+        const page = await fetchPage(null);
+        fetchedInsights = page.items;
+        setNextCursor(page.cursor);
         
         // Update local storage
-        await saveInsights(fetchedInsights);
+        await cacheInsights(fetchedInsights);
       } else {
         // Fetch from local storage
         const storedInsights = await getInsights();
@@ -75,6 +124,8 @@ export default function useInsights({
           throw new Error('No insights available offline');
         }
         
+        const searchTerm = search.trim().toLowerCase();
+        
         // Apply filters client-side
         fetchedInsights = storedInsights.filter(insight => {
           // Apply category filter
@@ -88,17 +139,23 @@ export default function useInsights({
           }
           
           // Apply starred filter
-          if (starredOnly && !insight.starred) {
+          if (starredOnly && !insight.isStarred) {
+            return false;
+          }
+          
+          // Apply archived filter: archived insights or active ones, as online
+          if (!!insight.isArchived !== archived) {
             return false;
           }
           
-          // Apply archived filter
-          if (!includeArchived && insight.archived) {
+          // Apply search filter
+          if (searchTerm && !`${insight.title} ${insight.summary}`.toLowerCase().includes(searchTerm)) {
             return false;
           }
           
           return true;
-        });
+        }).sort(compareInsights(sortBy, order));
+        setNextCursor(null);
       }
       
       setInsights(fetchedInsights);
@@ -109,13 +166,43 @@ export default function useInsights({
     } finally {
       setIsLoading(false);
     }
-  }, [category, type, starredOnly, includeArchived, isOnline]);
+  }, [category, type, starredOnly, archived, search, sortBy, order, isOnline, fetchPage, cacheInsights]);
+  
+  /**
+   * Append the next page of insights (for infinite scroll)
+   */
+  const loadMore = useCallback(async () => {
+    if (!isOnline || !nextCursor || isLoading || isLoadingMore) return;
+    
+    setIsLoadingMore(true);
+    try {
+      const page = await fetchPage(nextCursor);
+      setInsights(prevInsights => [...prevInsights, ...page.items]);
+      setNextCursor(page.cursor);
+      
+      // Update local storage
+      await cacheInsights(page.items);
+    } catch (error) {
+      console.error('Error loading more insights:', error);
+      setError(error.message);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [isOnline, nextCursor, isLoading, isLoadingMore, fetchPage, cacheInsights]);
   
   // Fetch insights on mount and when filters change
   useEffect(() => {
     fetchInsights();
   }, [fetchInsights]);
   
+  /**
+   * Show a newly generated insight at the top of the list
+   * @param {Object} insight - The new insight
+   */
+  const addInsight = useCallback((insight) => {
+    setInsights(prevInsights => [insight, ...prevInsights]);
+  }, []);
+  
   /**
    * Star/unstar an insight
    * @param {number} id - Insight ID
@@ -127,7 +214,7 @@ export default function useInsights({
       setInsights(prevInsights => 
         prevInsights.map(insight => 
           insight.id === id 
-            ? { ...insight, starred } 
+            ? { ...insight, isStarred: starred } 
             : insight
         )
       );
@@ -152,7 +239,7 @@ export default function useInsights({
           await saveInsights(
             storedInsights.map(insight => 
               insight.id === id 
-                ? { ...insight, starred } 
+                ? { ...insight, isStarred: starred } 
                 : insight
             )
           );
@@ -170,7 +257,7 @@ export default function useInsights({
           await saveInsights(
             storedInsights.map(insight => 
               insight.id === id 
-                ? { ...insight, starred } 
+                ? { ...insight, isStarred: starred } 
                 : insight
             )
           );
@@ -183,7 +270,7 @@ export default function useInsights({
       setInsights(prevInsights => 
         prevInsights.map(insight => 
           insight.id === id 
-            ? { ...insight, starred: !starred } 
+            ? { ...insight, isStarred: !starred } 
             : insight
         )
       );
@@ -203,7 +290,7 @@ export default function useInsights({
       setInsights(prevInsights => 
         prevInsights.map(insight => 
           insight.id === id 
-            ? { ...insight, archived } 
+            ? { ...insight, isArchived: archived } 
             : insight
         )
       );
@@ -228,7 +315,7 @@ export default function useInsights({
           await saveInsights(
             storedInsights.map(insight => 
               insight.id === id 
-                ? { ...insight, archived } 
+                ? { ...insight, isArchived: archived } 
                 : insight
             )
           );
@@ -246,7 +333,7 @@ export default function useInsights({
           await saveInsights(
             storedInsights.map(insight => 
               insight.id === id 
-                ? { ...insight, archived } 
+                ? { ...insight, isArchived: archived } 
                 : insight
             )
           );
@@ -259,7 +346,7 @@ export default function useInsights({
       setInsights(prevInsights => 
         prevInsights.map(insight => 
           insight.id === id 
-            ? { ...insight, archived: !archived } 
+            ? { ...insight, isArchived: !archived } 
             : insight
         )
       );
@@ -353,9 +440,13 @@ export default function useInsights({
   return {
     insights,
     isLoading,
+    isLoadingMore,
+    hasMore: !!nextCursor,
+    loadMore,
     error,
     lastFetched,
     refreshInsights,
+    addInsight,
     starInsight,
     archiveInsight,
     exportInsight,
@@ -3,7 +3,7 @@
  * Screen for interacting with the AI assistant
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -21,11 +21,9 @@ import ChatInterface from '../components/Chat/ChatInterface';
 import GlassmorphicCard from '../components/GlassmorphicCard';
 import dataSourceManager from '../services/dataSources/dataSourceManager';
 import chatService from '../services/chatService';
+import conversationService from '../services/conversationService';
 import { useAuth } from '../hooks/useAuth';
 
-// Storage key for chat history
-const CHAT_HISTORY_KEY = 'solstice_chat_history';
-
 /**
  * ChatScreen component
  * @returns {React.ReactElement} - Rendered component
@@ -36,8 +34,15 @@ export default function ChatScreen({ navigation }) {
   const [isLoading, setIsLoading] = useState(true);
   const [showTips, setShowTips] = useState(false);
   const [connectedSources, setConnectedSources] = useState([]);
+  // Bumped to remount the chat interface when switching conversations
+  const [chatKey, setChatKey] = useState(0);
+  
+  // The conversation being continued; created with the first message
+  const conversationIdRef = useRef(null);
+  // Messages are saved one at a time so they keep their order
+  const saveQueueRef = useRef(Promise.resolve());
   
-  // Load chat history and data sources on mount
+  // Load the latest conversation and data sources on mount
   useEffect(() => {
     const initializeScreen = async () => {
       try {
@@ -47,10 +52,11 @@ export default function ChatScreen({ navigation }) {
         await dataSourceManager.initialize();
         setConnectedSources(dataSourceManager.getConnectedSources());
         
-        // Load chat history from storage
-        const history = await loadChatHistory();
-        if (history.length > 0) {
-          setMessages(history);
+        // Resume the most recent conversation
+        const latest = await loadLatestConversation();
+        if (latest) {
+          conversationIdRef.current = latest.conversation.id;
+          setMessages(latest.messages);
         }
       } catch (error) {
         console.error('Error initializing chat screen:', error);
@@ -77,37 +83,45 @@ export default function ChatScreen({ navigation }) {
     checkShowTips();
   }, []);
   
-  // Load chat history from storage
-  const loadChatHistory = async () => {
+  // Load the most recent conversation from the server
+  const loadLatestConversation = async () => {
     try {
-      const historyJson = await AsyncStorage.getItem(CHAT_HISTORY_KEY);
-      if (historyJson) {
-        return JSON.parse(historyJson);
-      }
+      return await conversationService.loadLatest();
     } catch (error) {
-      console.error('Error loading chat history:', error);
+      console.error('Error loading conversation:', error);
     }
-    return [];
+    return null;
   };
   
-  // Save chat history to storage
-  const saveChatHistory = async (updatedMessages) => {
-    try {
-      // Only keep the last 50 messages to avoid storage limits
-      const messagesToSave = updatedMessages.slice(-50);
-      await AsyncStorage.setItem(CHAT_HISTORY_KEY, JSON.stringify(messagesToSave));
-    } catch (error) {
-      console.error('Error saving chat history:', error);
-    }
+  // Save a message to the current conversation, starting one if needed
+  const saveMessage = (message) => {
+    saveQueueRef.current = saveQueueRef.current
+      .then(async () => {
+        if (!conversationIdRef.current) {
+          const conversation = await conversationService.start(message.text);
+          conversationIdRef.current = conversation.id;
+        }
+        await conversationService.saveMessage(conversationIdRef.current, message);
+      })
+      .catch(error => {
+        console.error('Error saving chat message:', error);
+      });
   };
   
   // Handle new message from the chat interface
   const handleNewMessage = (message) => {
-    setMessages(prev => {
-      const updated = [...prev, message];
-      saveChatHistory(updated);
-      return updated;
+    setMessages(prev => [...prev, message]);
+    saveMessage(message);
+  };
+  
+  // Leave the current conversation and show an empty chat. The id is cleared
+  // in turn with the saves, so ones still queued land in the old conversation.
+  const resetChat = () => {
+    saveQueueRef.current = saveQueueRef.current.then(() => {
+      conversationIdRef.current = null;
     });
+    setMessages([]);
+    setChatKey(key => key + 1);
   };
   
   // Handle errors from the chat interface
@@ -130,23 +144,27 @@ export default function ChatScreen({ navigation }) {
     }
   };
   
-  // Clear chat history
+  // Delete the current conversation
   const handleClearChat = () => {
     Alert.alert(
-      'Clear Chat History',
-      'Are you sure you want to clear your conversation history? This action cannot be undone.',
+      'Delete Conversation',
+      'Are you sure you want to delete this conversation? This action cannot be undone.',
       [
         { text: 'Cancel', style: 'cancel' },
         { 
-          text: 'Clear', 
+          text: 'Delete', 
           style: 'destructive',
           onPress: async () => {
             try {
-              await AsyncStorage.removeItem(CHAT_HISTORY_KEY);
+              // Let pending saves finish so none land after the delete
+              await saveQueueRef.current;
+              if (conversationIdRef.current) {
+                await conversationService.remove(conversationIdRef.current);
+              }
               chatService.clearCache(); // Clear data cache too
-              setMessages([]);
+              resetChat();
             } catch (error) {
-              console.error('Error clearing chat history:', error);
+              console.error('Error deleting conversation:', error);
             }
           }
         }
@@ -245,21 +263,33 @@ export default function ChatScreen({ navigation }) {
             </Text>
           </View>
           
-          <TouchableOpacity
-            style={styles.clearButton}
-            onPress={handleClearChat}
-          >
-            <Ionicons name="trash-outline" size={22} color="rgba(255, 255, 255, 0.7)" />
-          </TouchableOpacity>
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.clearButton}
+              onPress={resetChat}
+            >
+              <Ionicons name="create-outline" size={22} color="rgba(255, 255, 255, 0.7)" />
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={[styles.clearButton, styles.headerActionSpacing]}
+              onPress={handleClearChat}
+            >
+              <Ionicons name="trash-outline" size={22} color="rgba(255, 255, 255, 0.7)" />
+            </TouchableOpacity>
+          </View>
         </View>
         
-        {/* Chat interface */}
+        {/* Chat interface, shown once the conversation has loaded */}
         <View style={styles.chatContainer}>
-          <ChatInterface
-            initialMessages={messages}
-            onNewMessage={handleNewMessage}
-            onError={handleError}
-          />
+          {!isLoading && (
+            <ChatInterface
+              key={chatKey}
+              initialMessages={messages}
+              onNewMessage={handleNewMessage}
+              onError={handleError}
+            />
+          )}
         </View>
         
         {/* Tips modal for first-time users */}
@@ -292,6 +322,12 @@ const styles = StyleSheet.create({
     color: 'rgba(255, 255, 255, 0.7)',
     marginTop: 5,
   },
+  headerActions: {
+    flexDirection: 'row',
+  },
+  headerActionSpacing: {
+    marginLeft: 10,
+  },
   clearButton: {
     width: 44,
     height: 44,
@@ -3,7 +3,7 @@
  * Main screen for viewing, creating, and managing insights
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -12,6 +12,8 @@ import {
   TouchableOpacity,
   RefreshControl,
   Modal,
+  ActivityIndicator,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -21,8 +23,11 @@ import GradientBackground from '../components/GradientBackground';
 import GlassmorphicCard from '../components/GlassmorphicCard';
 import Button from '../components/Button';
 import InsightGenerator from '../components/InsightGenerator';
-import { api } from '../services/api';
+import StructuredInsight from '../components/StructuredInsight';
+import InsightProvenance from '../components/InsightProvenance';
+import { EXPORT_FORMATS, exportInsightFile } from '../services/insightExport';
 import { useAuth } from '../hooks/useAuth';
+import useInsights from '../hooks/useInsights';
 
 /**
  * Format relative time
@@ -50,55 +55,89 @@ const getRelativeTime = (dateString) => {
   return 'Just now';
 };
 
+// How close to the end of the list (in points) the next page is loaded
+const LOAD_MORE_THRESHOLD = 200;
+
+// Orders the insight list can be shown in
+const SORT_OPTIONS = [
+  { sortBy: 'createdAt', label: 'Newest' },
+  { sortBy: 'relevanceScore', label: 'Most relevant' },
+  { sortBy: 'confidence', label: 'Most confident' },
+];
+
+/**
+ * Badge for an insight's confidence score
+ * @param {number|null} confidence - Confidence from 0 to 100
+ * @returns {Object|null} { label, color }, or null for unscored insights
+ */
+const getConfidenceBadge = (confidence) => {
+  if (confidence === null || confidence === undefined) return null;
+  if (confidence >= 75) return { label: `High confidence · ${confidence}%`, color: '#55efc4' };
+  if (confidence >= 50) return { label: `Medium confidence · ${confidence}%`, color: '#fdcb6e' };
+  return { label: `Low confidence · ${confidence}%`, color: '#ff7675' };
+};
+
 /**
  * InsightsDashboardScreen component
  * @returns {React.ReactElement} - Rendered component
  */
 export default function InsightsDashboardScreen({ navigation }) {
   const { user } = useAuth();
-  const [insights, setInsights] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
   const [isGeneratorVisible, setIsGeneratorVisible] = useState(false);
   const [selectedInsight, setSelectedInsight] = useState(null);
   const [isInsightModalVisible, setIsInsightModalVisible] = useState(false);
-  
-  // Fetch insights from API
-  const fetchInsights = useCallback(async () => {
-    try {
-      setIsLoading(true);
-      setError(null);
-      
-      const response = await api.get('/api/insights');
-      setInsights(response.data);
-    } catch (err) {
-      console.error('Error fetching insights:', err);
-      setError('Failed to load insights. Please try again later.');
-    } finally {
-      setIsLoading(false);
-    }
-  }, []);
-  
-  // Initial data loading
-  useEffect(() => {
-    fetchInsights();
-  }, [fetchInsights]);
+  const [sortBy, setSortBy] = useState('createdAt');
+  const [isExportMenuVisible, setIsExportMenuVisible] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const {
+    insights,
+    isLoading,
+    isLoadingMore,
+    hasMore,
+    loadMore,
+    error,
+    refreshInsights,
+    addInsight,
+  } = useInsights({ sortBy });
   
   // Handle refresh
   const handleRefresh = () => {
-    fetchInsights();
+    refreshInsights();
+  };
+  
+  // Load the next page once the list is scrolled near its end
+  const handleScroll = ({ nativeEvent }) => {
+    const { layoutMeasurement, contentOffset, contentSize } = nativeEvent;
+    if (hasMore && layoutMeasurement.height + contentOffset.y >= contentSize.height - LOAD_MORE_THRESHOLD) {
+      loadMore();
+    }
   };
   
   // Show insight detail
   const handleShowInsight = (insight) => {
     setSelectedInsight(insight);
+    setIsExportMenuVisible(false);
     setIsInsightModalVisible(true);
   };
   
+  // Export the open insight in a format
+  const handleExport = async (format) => {
+    try {
+      setExportingFormat(format);
+      await exportInsightFile(selectedInsight, format);
+      setIsExportMenuVisible(false);
+    } catch (err) {
+      console.error('Error exporting insight:', err);
+      Alert.alert('Export failed', 'Could not export this insight. Please try again.');
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+  
   // Handle new insight generated
   const handleInsightGenerated = (insight, shouldSave = false) => {
     // Add the new insight to the list
-    setInsights(prevInsights => [insight, ...prevInsights]);
+    addInsight(insight);
     
     // Close the generator
     if (shouldSave) {
@@ -133,6 +172,8 @@ export default function InsightsDashboardScreen({ navigation }) {
   
   // Render an insight card
   const renderInsightCard = (insight) => {
+    const badge = getConfidenceBadge(insight.confidence);
+    
     return (
       <TouchableOpacity
         key={insight.id}
@@ -158,6 +199,12 @@ export default function InsightsDashboardScreen({ navigation }) {
           
           <Text style={styles.insightTitle}>{insight.title}</Text>
           
+          {badge && (
+            <View style={[styles.confidenceBadge, { borderColor: badge.color }]}>
+              <Text style={[styles.confidenceText, { color: badge.color }]}>{badge.label}</Text>
+            </View>
+          )}
+          
           <Text 
             style={styles.insightPreview}
             numberOfLines={3}
@@ -218,18 +265,50 @@ export default function InsightsDashboardScreen({ navigation }) {
             </View>
             
             <ScrollView style={styles.modalBody}>
-              <Text style={styles.insightContent}>
-                {selectedInsight.content}
-              </Text>
+              {selectedInsight.details && selectedInsight.details.output ? (
+                <StructuredInsight
+                  output={selectedInsight.details.output}
+                  sections={selectedInsight.details.outputSections}
+                />
+              ) : (
+                <Text style={styles.insightContent}>
+                  {selectedInsight.content}
+                </Text>
+              )}
+              
+              {selectedInsight.id && <InsightProvenance insightId={selectedInsight.id} />}
             </ScrollView>
             
+            {isExportMenuVisible && (
+              <View style={styles.exportFormats}>
+                {EXPORT_FORMATS.map(({ format, label }) => (
+                  <TouchableOpacity
+                    key={format}
+                    style={styles.exportFormat}
+                    onPress={() => handleExport(format)}
+                    disabled={!!exportingFormat}
+                  >
+                    {exportingFormat === format ? (
+                      <ActivityIndicator size="small" color="#a388ff" />
+                    ) : (
+                      <Text style={styles.exportFormatText}>{label}</Text>
+                    )}
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            
             <View style={styles.modalFooter}>
               <TouchableOpacity style={styles.footerButton}>
                 <Ionicons name="share-outline" size={20} color="#a388ff" />
                 <Text style={styles.footerButtonText}>Share</Text>
               </TouchableOpacity>
               
-              <TouchableOpacity style={styles.footerButton}>
+              <TouchableOpacity
+                style={styles.footerButton}
+                onPress={() => setIsExportMenuVisible(!isExportMenuVisible)}
+                disabled={!selectedInsight.id}
+              >
                 <Ionicons name="document-text-outline" size={20} color="#a388ff" />
                 <Text style={styles.footerButtonText}>Export</Text>
               </TouchableOpacity>
@@ -302,8 +381,24 @@ export default function InsightsDashboardScreen({ navigation }) {
           />
         </View>
         
+        <View style={styles.sortOptions}>
+          {SORT_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.sortBy}
+              style={[styles.sortOption, sortBy === option.sortBy && styles.sortOptionSelected]}
+              onPress={() => setSortBy(option.sortBy)}
+            >
+              <Text style={[styles.sortText, sortBy === option.sortBy && styles.sortTextSelected]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        
         <ScrollView
           contentContainerStyle={styles.scrollContent}
+          onScroll={handleScroll}
+          scrollEventThrottle={200}
           refreshControl={
             <RefreshControl
               refreshing={isLoading}
@@ -316,7 +411,7 @@ export default function InsightsDashboardScreen({ navigation }) {
           {error ? (
             <View style={styles.errorContainer}>
               <Ionicons name="alert-circle-outline" size={24} color="#ff6b6b" />
-              <Text style={styles.errorText}>{error}</Text>
+              <Text style={styles.errorText}>Failed to load insights. Please try again later.</Text>
               <Button
                 title="Retry"
                 variant="outline"
@@ -342,6 +437,9 @@ export default function InsightsDashboardScreen({ navigation }) {
           ) : (
             <View style={styles.insightsGrid}>
               {insights.map(insight => renderInsightCard(insight))}
+              {isLoadingMore && (
+                <ActivityIndicator size="small" color="#a388ff" style={styles.loadingMore} />
+              )}
             </View>
           )}
         </ScrollView>
@@ -379,6 +477,29 @@ const styles = StyleSheet.create({
     color: 'rgba(255, 255, 255, 0.7)',
     marginTop: 5,
   },
+  sortOptions: {
+    flexDirection: 'row',
+    marginBottom: 15,
+  },
+  sortOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(163, 136, 255, 0.3)',
+    marginRight: 8,
+  },
+  sortOptionSelected: {
+    backgroundColor: 'rgba(163, 136, 255, 0.25)',
+    borderColor: '#a388ff',
+  },
+  sortText: {
+    fontSize: 12,
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  sortTextSelected: {
+    color: '#ffffff',
+  },
   scrollContent: {
     paddingBottom: 80,
   },
@@ -387,6 +508,10 @@ const styles = StyleSheet.create({
     flexWrap: 'wrap',
     justifyContent: 'space-between',
   },
+  loadingMore: {
+    width: '100%',
+    paddingVertical: 20,
+  },
   insightCardContainer: {
     width: '100%',
     marginBottom: 15,
@@ -420,6 +545,18 @@ const styles = StyleSheet.create({
     marginBottom: 10,
     letterSpacing: 0.5,
   },
+  confidenceBadge: {
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginBottom: 10,
+  },
+  confidenceText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
   insightPreview: {
     fontSize: 14,
     color: 'rgba(255, 255, 255, 0.8)',
@@ -514,6 +651,27 @@ const styles = StyleSheet.create({
     color: 'rgba(255, 255, 255, 0.9)',
     lineHeight: 24,
   },
+  exportFormats: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  exportFormat: {
+    minWidth: 64,
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(163, 136, 255, 0.3)',
+    marginHorizontal: 4,
+  },
+  exportFormatText: {
+    fontSize: 12,
+    color: '#a388ff',
+  },
   modalFooter: {
     flexDirection: 'row',
     justifyContent: 'space-around',
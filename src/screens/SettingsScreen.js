@@ -19,6 +19,8 @@ import GradientBackground from '../components/GradientBackground';
 import GlassmorphicCard from '../components/GlassmorphicCard';
 import Button from '../components/Button';
 import AnimatedOrb from '../components/AnimatedOrb';
+import AiUsageCard from '../components/AiUsageCard';
+import TakeoutCard from '../components/TakeoutCard';
 import theme from '../theme';
 import { fadeInUp } from '../utils/animations';
 import { getData, storeData, removeData } from '../utils/storage';
@@ -267,6 +269,14 @@ const SettingsScreen = ({ navigation }) => {
                 />
               </View>
             </GlassmorphicCard>
+            
+            {/* AI usage and monthly budget - needs the signed-in account */}
+            {isAuthenticated && (
+              <>
+                <Text style={styles.sectionTitle}>AI USAGE</Text>
+                <AiUsageCard />
+              </>
+            )}
           </Animated.View>
           
           {/* Data Management */}
@@ -299,6 +309,9 @@ const SettingsScreen = ({ navigation }) => {
               </TouchableOpacity>
             </GlassmorphicCard>
             
+            {/* Archive of everything stored on the server - needs the signed-in account */}
+            {isAuthenticated && <TakeoutCard />}
+            
             {/* About */}
             <Text style={[styles.sectionTitle, styles.aboutTitle]}>ABOUT</Text>
             
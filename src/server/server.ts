@@ -2,7 +2,7 @@ import express from 'express';
 import { json, urlencoded } from 'body-parser';
 import path from 'path';
 import cors from 'cors';
-import { getAuthorizationUrl, handleOAuthCallback } from './oauth-service';
+import { getAuthorizationUrl, handleOAuthCallback } from '../../server/oauth-service';
 import { storage } from './storage';
 
 // Initialize express app
@@ -125,7 +125,7 @@ apiRouter.get('/api/oauth/authorize/:provider', async (req, res) => {
     }
     
     const redirectUri = `${req.protocol}://${req.get('host')}/api/oauth/callback`;
-    const authUrl = getAuthorizationUrl(provider, userId.toString(), redirectUri);
+    const authUrl = await getAuthorizationUrl(provider, userId.toString(), redirectUri);
     
     res.json({ authUrl });
   } catch (error) {
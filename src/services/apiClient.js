@@ -0,0 +1,924 @@
+/**
+ * Solstice API client
+ * Generated from the server's OpenAPI document by generate-api-client.js.
+ * Do not edit by hand; rerun `node generate-api-client.js` after changing routes.
+ */
+
+import { api } from './api';
+
+/**
+ * @typedef {Object} PreferencesBody
+ * @property {?string} [theme]
+ * @property {?string} [communicationStyle]
+ * @property {?boolean} [notificationsEnabled]
+ * @property {?boolean} [dataProcessingEnabled]
+ * @property {?boolean} [enhancedProfilingEnabled]
+ * @property {?number} [aiMonthlyTokenBudget]
+ * @property {?('block'|'degrade')} [aiBudgetAction]
+ */
+
+/**
+ * @typedef {Object} CreateDataSourceBody
+ * @property {string} name
+ * @property {string} sourceType
+ * @property {?('hourly'|'daily'|'weekly'|'monthly')} [syncFrequency]
+ * @property {?boolean} [syncEnabled]
+ * @property {?Object} [config]
+ */
+
+/**
+ * @typedef {Object} UpdateDataSourceBody
+ * @property {string} [name]
+ * @property {?('hourly'|'daily'|'weekly'|'monthly')} [syncFrequency]
+ * @property {?boolean} [syncEnabled]
+ * @property {?Object} [config]
+ */
+
+/**
+ * @typedef {Object} ScheduleSyncBody
+ * @property {('hourly'|'daily'|'weekly'|'monthly')} frequency
+ */
+
+/**
+ * @typedef {Object} StarInsightBody
+ * @property {boolean} starred
+ */
+
+/**
+ * @typedef {Object} ArchiveInsightBody
+ * @property {boolean} archived
+ */
+
+/**
+ * @typedef {Object} ExportInsightBody
+ * @property {string} destination
+ * @property {('markdown'|'html'|'pdf'|'json')} [format]
+ */
+
+/**
+ * @typedef {Object} CreateConversationBody
+ * @property {string} [title]
+ */
+
+/**
+ * @typedef {Object} RenameConversationBody
+ * @property {string} title
+ */
+
+/**
+ * @typedef {Object} AppendMessageBody
+ * @property {('user'|'assistant')} role
+ * @property {string} content
+ * @property {?Array<string>} [contextData]
+ * @property {?string} [model]
+ */
+
+/**
+ * @typedef {Object} CreateTemplateBody
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {('insight'|'visualization'|'theme'|'dataSource'|'notification')} type
+ * @property {Array<string>} [tags]
+ * @property {string} [author]
+ * @property {string} [version]
+ * @property {string} [dateCreated]
+ * @property {string} [lastModified]
+ * @property {string} [icon]
+ * @property {string} [previewImage]
+ * @property {Object} template
+ */
+
+/**
+ * @typedef {Object} UpdateTemplateBody
+ * @property {string} name
+ * @property {string} description
+ * @property {Array<string>} [tags]
+ * @property {string} [author]
+ * @property {string} [version]
+ * @property {string} [dateCreated]
+ * @property {string} [lastModified]
+ * @property {string} [icon]
+ * @property {string} [previewImage]
+ * @property {Object} template
+ */
+
+/**
+ * @typedef {Object} RollbackTemplateBody
+ * @property {number} revision
+ */
+
+/**
+ * @typedef {Object} ChatBody
+ * @property {Array<Object>} messages
+ * @property {Object} [options]
+ */
+
+/**
+ * @typedef {Object} ChatStreamBody
+ * @property {Array<Object>} messages
+ * @property {Object} [options]
+ * @property {Object} [context]
+ */
+
+/**
+ * @typedef {Object} GenerateInsightBody
+ * @property {string} systemPrompt
+ * @property {string} userPrompt
+ * @property {('markdown'|'json'|'structured')} [format]
+ * @property {string} [templateId]
+ * @property {('default'|'bypass')} [cache]
+ * @property {string} [provider]
+ * @property {string} [model]
+ */
+
+/**
+ * @typedef {Object} MultiSourceInsightBody
+ * @property {string} templateId
+ * @property {Array<number>} [dataSourceIds]
+ * @property {string} [startDate]
+ * @property {string} [endDate]
+ * @property {Object} [data]
+ * @property {string} [provider]
+ * @property {string} [model]
+ */
+
+/**
+ * @typedef {Object} AnalyzeContentBody
+ * @property {string} content
+ * @property {('behavioral'|'creative'|'emotional'|'general')} [type]
+ * @property {string} [provider]
+ * @property {string} [model]
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {?string} email
+ * @property {?string} firstName
+ * @property {?string} lastName
+ * @property {?string} profileImageUrl
+ * @property {?string} createdAt
+ * @property {?string} updatedAt
+ */
+
+/**
+ * @typedef {Object} UserPreference
+ * @property {number} id
+ * @property {string} userId
+ * @property {?string} theme
+ * @property {?string} communicationStyle
+ * @property {?boolean} notificationsEnabled
+ * @property {?boolean} dataProcessingEnabled
+ * @property {?boolean} enhancedProfilingEnabled
+ * @property {?number} aiMonthlyTokenBudget
+ * @property {?string} aiBudgetAction
+ * @property {?string} createdAt
+ * @property {?string} updatedAt
+ */
+
+/**
+ * @typedef {Object} DataSource
+ * @property {number} id
+ * @property {string} userId
+ * @property {string} name
+ * @property {string} sourceType
+ * @property {?string} status
+ * @property {?string} lastSynced
+ * @property {?string} nextSyncDue
+ * @property {?string} syncFrequency
+ * @property {?boolean} syncEnabled
+ * @property {?number} dataSize
+ * @property {?number} dataFreshness
+ * @property {?Object} config
+ * @property {?Object} permissionScope
+ * @property {?string} errorMessage
+ * @property {?string} syncLockedUntil
+ * @property {?string} createdAt
+ * @property {?string} updatedAt
+ */
+
+/**
+ * @typedef {Object} Insight
+ * @property {number} id
+ * @property {string} userId
+ * @property {string} type
+ * @property {?string} category
+ * @property {string} title
+ * @property {string} summary
+ * @property {?Object} details
+ * @property {?number} confidence
+ * @property {?Object} sources
+ * @property {?number} relevanceScore
+ * @property {?boolean} isStarred
+ * @property {?boolean} isArchived
+ * @property {?Object} exportHistory
+ * @property {?string} createdAt
+ * @property {?string} updatedAt
+ */
+
+/**
+ * @typedef {Object} Conversation
+ * @property {number} id
+ * @property {string} userId
+ * @property {string} title
+ * @property {?string} createdAt
+ * @property {?string} updatedAt
+ */
+
+/**
+ * @typedef {Object} ConversationWithMessages
+ * @property {number} id
+ * @property {string} userId
+ * @property {string} title
+ * @property {?string} createdAt
+ * @property {?string} updatedAt
+ * @property {Array<Object>} messages
+ */
+
+/**
+ * @typedef {Object} Message
+ * @property {number} id
+ * @property {number} conversationId
+ * @property {string} role
+ * @property {string} content
+ * @property {?Object} contextData
+ * @property {?string} model
+ * @property {?string} createdAt
+ */
+
+/**
+ * @typedef {Object} Template
+ * @property {number} id
+ * @property {string} userId
+ * @property {string} templateId
+ * @property {string} type
+ * @property {string} name
+ * @property {string} version
+ * @property {?boolean} isDefault
+ * @property {?boolean} forked
+ * @property {*} definition
+ * @property {?string} createdAt
+ * @property {?string} updatedAt
+ */
+
+/**
+ * @typedef {Object} TemplateVersion
+ * @property {number} id
+ * @property {number} templateRowId
+ * @property {number} revision
+ * @property {string} version
+ * @property {string} name
+ * @property {*} definition
+ * @property {?boolean} forked
+ * @property {string} source
+ * @property {?string} createdAt
+ */
+
+/**
+ * @typedef {Object} TemplateDiff
+ * @property {number} from
+ * @property {number} to
+ * @property {Array<Object>} changes
+ */
+
+/**
+ * @typedef {Object} Success
+ * @property {boolean} success
+ */
+
+/**
+ * @typedef {Object} DataRecords
+ * @property {number} source
+ * @property {string} [dataType]
+ * @property {string} timestamp
+ * @property {Array<Object>} data
+ */
+
+/**
+ * @typedef {Object} IngestBody
+ * @property {('activity'|'sleep'|'vitals'|'nutrition'|'listening-history'|'favorites'|'pages'|'tasks'|'tweets'|'locations')} dataType
+ * @property {Array<Object>} records
+ */
+
+/**
+ * @typedef {Object} IngestResult
+ * @property {number} received
+ * @property {number} inserted
+ * @property {number} duplicates
+ * @property {Object} source
+ */
+
+/**
+ * @typedef {Object} RemovedRecords
+ * @property {boolean} success
+ * @property {number} removed
+ */
+
+/**
+ * @typedef {Object} OAuthAuthorization
+ * @property {string} authUrl
+ * @property {string} authorizationId
+ */
+
+/**
+ * @typedef {Object} OAuthAuthorizationStatus
+ * @property {string} id
+ * @property {string} provider
+ * @property {('pending'|'connecting'|'connected'|'failed'|'expired')} status
+ * @property {?number} dataSourceId
+ */
+
+/**
+ * @typedef {Object} ChatReply
+ * @property {string} response
+ * @property {string} model
+ * @property {?Object} usage
+ * @property {boolean} degraded
+ */
+
+/**
+ * @typedef {Object} GeneratedInsight
+ * @property {string} result
+ * @property {?Object} output
+ * @property {Object} insight
+ * @property {string} model
+ * @property {?Object} usage
+ * @property {boolean} degraded
+ * @property {boolean} cached
+ */
+
+/**
+ * @typedef {Object} MultiSourceInsight
+ * @property {string} result
+ * @property {?Object} output
+ * @property {Object} insight
+ * @property {string} model
+ * @property {?Object} usage
+ * @property {boolean} degraded
+ */
+
+/**
+ * @typedef {Object} InsightProvenance
+ * @property {number} insightId
+ * @property {string} generatedAt
+ * @property {?Object} template
+ * @property {?Object} window
+ * @property {Array<Object>} sources
+ * @property {string} promptHash
+ */
+
+/**
+ * @typedef {Object} ContentAnalysis
+ * @property {string} summary
+ * @property {Array<string>} patterns
+ * @property {string} primaryTheme
+ * @property {Array<string>} recommendations
+ */
+
+/**
+ * @typedef {Object} AiUsageSummary
+ * @property {Object} period
+ * @property {Object} budget
+ * @property {Object} totals
+ * @property {Array<Object>} byEndpoint
+ * @property {Array<Object>} byTemplate
+ * @property {Array<Object>} byModel
+ */
+
+/**
+ * @typedef {Object} Takeout
+ * @property {number} id
+ * @property {string} userId
+ * @property {string} status
+ * @property {?string} fileName
+ * @property {?number} size
+ * @property {?Object} manifest
+ * @property {?string} errorMessage
+ * @property {?string} createdAt
+ * @property {?string} startedAt
+ * @property {?string} completedAt
+ * @property {?string} expiresAt
+ * @property {?string} downloadUrl
+ */
+
+/**
+ * @typedef {Object} Status
+ * @property {string} status
+ * @property {string} message
+ * @property {string} version
+ * @property {Object} ai
+ */
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string} message
+ * @property {Array<Object>} [errors]
+ */
+
+/**
+ * Get the signed-in user
+ * @returns {Promise<User>}
+ */
+export const getCurrentUser = async () => {
+  const response = await api.get('/api/auth/user');
+  return response.data;
+};
+
+/**
+ * Get user preferences
+ * @returns {Promise<UserPreference>}
+ */
+export const getPreferences = async () => {
+  const response = await api.get('/api/preferences');
+  return response.data;
+};
+
+/**
+ * Update user preferences
+ * @param {PreferencesBody} body
+ * @returns {Promise<UserPreference>}
+ */
+export const updatePreferences = async (body) => {
+  const response = await api.post('/api/preferences', body);
+  return response.data;
+};
+
+/**
+ * List data sources
+ * @returns {Promise<Array<DataSource>>}
+ */
+export const listDataSources = async () => {
+  const response = await api.get('/api/data-sources');
+  return response.data;
+};
+
+/**
+ * Add a data source
+ * @param {CreateDataSourceBody} body
+ * @returns {Promise<DataSource>}
+ */
+export const createDataSource = async (body) => {
+  const response = await api.post('/api/data-sources', body);
+  return response.data;
+};
+
+/**
+ * Update a data source
+ * @param {number} id
+ * @param {UpdateDataSourceBody} body
+ * @returns {Promise<DataSource>}
+ */
+export const updateDataSource = async (id, body) => {
+  const response = await api.put(`/api/data-sources/${id}`, body);
+  return response.data;
+};
+
+/**
+ * Remove a data source
+ * @param {number} id
+ * @returns {Promise<Success>}
+ */
+export const removeDataSource = async (id) => {
+  const response = await api.delete(`/api/data-sources/${id}`);
+  return response.data;
+};
+
+/**
+ * Get a data source
+ * @param {number} id
+ * @returns {Promise<DataSource>}
+ */
+export const getDataSource = async (id) => {
+  const response = await api.get(`/api/data-sources/${id}`);
+  return response.data;
+};
+
+/**
+ * Trigger a sync
+ * @param {number} id
+ * @returns {Promise<DataSource>}
+ */
+export const refreshDataSource = async (id) => {
+  const response = await api.post(`/api/data-sources/${id}/refresh`);
+  return response.data;
+};
+
+/**
+ * Set the sync frequency
+ * @param {number} id
+ * @param {ScheduleSyncBody} body
+ * @returns {Promise<DataSource>}
+ */
+export const scheduleDataSourceSync = async (id, body) => {
+  const response = await api.post(`/api/data-sources/${id}/schedule`, body);
+  return response.data;
+};
+
+/**
+ * Get stored records
+ * @param {number} id
+ * @param {Object} [query]
+ * @param {string} [query.dataType]
+ * @param {string} [query.startDate]
+ * @param {string} [query.endDate]
+ * @returns {Promise<DataRecords>}
+ */
+export const getDataSourceData = async (id, query = {}) => {
+  const response = await api.get(`/api/data-sources/${id}/data`, { params: query });
+  return response.data;
+};
+
+/**
+ * Delete stored records
+ * @param {number} id
+ * @param {Object} [query]
+ * @param {string} [query.dataType]
+ * @param {string} [query.startDate]
+ * @param {string} [query.endDate]
+ * @returns {Promise<RemovedRecords>}
+ */
+export const removeDataSourceData = async (id, query = {}) => {
+  const response = await api.delete(`/api/data-sources/${id}/data`, { params: query });
+  return response.data;
+};
+
+/**
+ * Store a batch of records, skipping ones already stored
+ * @param {number} id
+ * @param {IngestBody} body
+ * @returns {Promise<IngestResult>}
+ */
+export const ingestRecords = async (id, body) => {
+  const response = await api.post(`/api/data-sources/${id}/ingest`, body);
+  return response.data;
+};
+
+/**
+ * List data sources of a type
+ * @param {string} type
+ * @returns {Promise<Array<DataSource>>}
+ */
+export const listDataSourcesByType = async (type) => {
+  const response = await api.get(`/api/data-sources/type/${type}`);
+  return response.data;
+};
+
+/**
+ * Start an OAuth connection
+ * @param {string} provider
+ * @param {Object} [query]
+ * @param {('true'|'false')} [query.redirect]
+ * @returns {Promise<OAuthAuthorization>}
+ */
+export const authorizeOAuth = async (provider, query = {}) => {
+  const response = await api.get(`/api/oauth/${provider}/authorize`, { params: query });
+  return response.data;
+};
+
+/**
+ * Check on an OAuth connection
+ * @param {string} authorizationId
+ * @returns {Promise<OAuthAuthorizationStatus>}
+ */
+export const getOAuthAuthorization = async (authorizationId) => {
+  const response = await api.get(`/api/oauth/authorizations/${authorizationId}`);
+  return response.data;
+};
+
+/**
+ * List a page of insights
+ * @param {Object} [query]
+ * @param {string} [query.category]
+ * @param {string} [query.type]
+ * @param {('true'|'false')} [query.starred]
+ * @param {('true'|'false')} [query.archived]
+ * @param {string} [query.q]
+ * @param {('createdAt'|'relevanceScore'|'confidence')} [query.sortBy]
+ * @param {('asc'|'desc')} [query.order]
+ * @param {number} [query.limit]
+ * @param {string} [query.cursor]
+ * @returns {Promise<{data: Array<Insight>, nextCursor: ?string}>}
+ */
+export const listInsights = async (query = {}) => {
+  const response = await api.get('/api/insights', { params: query });
+  return {
+    data: response.data,
+    nextCursor: response.headers['x-next-cursor'] || null,
+  };
+};
+
+/**
+ * List starred insights
+ * @returns {Promise<Array<Insight>>}
+ */
+export const listStarredInsights = async () => {
+  const response = await api.get('/api/insights/starred');
+  return response.data;
+};
+
+/**
+ * Get an insight
+ * @param {number} id
+ * @returns {Promise<Insight>}
+ */
+export const getInsight = async (id) => {
+  const response = await api.get(`/api/insights/${id}`);
+  return response.data;
+};
+
+/**
+ * What an insight was generated from
+ * @param {number} id
+ * @returns {Promise<InsightProvenance>}
+ */
+export const getInsightProvenance = async (id) => {
+  const response = await api.get(`/api/insights/${id}/provenance`);
+  return response.data;
+};
+
+/**
+ * List insights in a category
+ * @param {string} category
+ * @returns {Promise<Array<Insight>>}
+ */
+export const listInsightsByCategory = async (category) => {
+  const response = await api.get(`/api/insights/category/${category}`);
+  return response.data;
+};
+
+/**
+ * List insights of a type
+ * @param {string} type
+ * @returns {Promise<Array<Insight>>}
+ */
+export const listInsightsByType = async (type) => {
+  const response = await api.get(`/api/insights/type/${type}`);
+  return response.data;
+};
+
+/**
+ * Star or unstar an insight
+ * @param {number} id
+ * @param {StarInsightBody} body
+ * @returns {Promise<Insight>}
+ */
+export const starInsight = async (id, body) => {
+  const response = await api.post(`/api/insights/${id}/star`, body);
+  return response.data;
+};
+
+/**
+ * Archive or unarchive an insight
+ * @param {number} id
+ * @param {ArchiveInsightBody} body
+ * @returns {Promise<Insight>}
+ */
+export const archiveInsight = async (id, body) => {
+  const response = await api.post(`/api/insights/${id}/archive`, body);
+  return response.data;
+};
+
+/**
+ * Record an insight export, e.g. a download in a format
+ * @param {number} id
+ * @param {ExportInsightBody} body
+ * @returns {Promise<Insight>}
+ */
+export const exportInsight = async (id, body) => {
+  const response = await api.post(`/api/insights/${id}/export`, body);
+  return response.data;
+};
+
+/**
+ * List conversations, most recently active first
+ * @returns {Promise<Array<Conversation>>}
+ */
+export const listConversations = async () => {
+  const response = await api.get('/api/conversations');
+  return response.data;
+};
+
+/**
+ * Start a conversation
+ * @param {CreateConversationBody} body
+ * @returns {Promise<Conversation>}
+ */
+export const createConversation = async (body) => {
+  const response = await api.post('/api/conversations', body);
+  return response.data;
+};
+
+/**
+ * Open a conversation with its messages
+ * @param {number} id
+ * @returns {Promise<ConversationWithMessages>}
+ */
+export const getConversation = async (id) => {
+  const response = await api.get(`/api/conversations/${id}`);
+  return response.data;
+};
+
+/**
+ * Rename a conversation
+ * @param {number} id
+ * @param {RenameConversationBody} body
+ * @returns {Promise<Conversation>}
+ */
+export const renameConversation = async (id, body) => {
+  const response = await api.put(`/api/conversations/${id}`, body);
+  return response.data;
+};
+
+/**
+ * Delete a conversation and its messages
+ * @param {number} id
+ * @returns {Promise<Success>}
+ */
+export const removeConversation = async (id) => {
+  const response = await api.delete(`/api/conversations/${id}`);
+  return response.data;
+};
+
+/**
+ * Add a message to a conversation
+ * @param {number} id
+ * @param {AppendMessageBody} body
+ * @returns {Promise<Message>}
+ */
+export const appendMessage = async (id, body) => {
+  const response = await api.post(`/api/conversations/${id}/messages`, body);
+  return response.data;
+};
+
+/**
+ * List templates, adding any bundled default the user doesn't have
+ * @returns {Promise<Array<Template>>}
+ */
+export const listTemplates = async () => {
+  const response = await api.get('/api/templates');
+  return response.data;
+};
+
+/**
+ * Add a template
+ * @param {CreateTemplateBody} body
+ * @returns {Promise<Template>}
+ */
+export const createTemplate = async (body) => {
+  const response = await api.post('/api/templates', body);
+  return response.data;
+};
+
+/**
+ * Get a template
+ * @param {number} id
+ * @returns {Promise<Template>}
+ */
+export const getTemplate = async (id) => {
+  const response = await api.get(`/api/templates/${id}`);
+  return response.data;
+};
+
+/**
+ * Replace a template's document
+ * @param {number} id
+ * @param {UpdateTemplateBody} body
+ * @returns {Promise<Template>}
+ */
+export const updateTemplate = async (id, body) => {
+  const response = await api.put(`/api/templates/${id}`, body);
+  return response.data;
+};
+
+/**
+ * Delete a template you created
+ * @param {number} id
+ * @returns {Promise<Success>}
+ */
+export const removeTemplate = async (id) => {
+  const response = await api.delete(`/api/templates/${id}`);
+  return response.data;
+};
+
+/**
+ * List a template's revisions, newest first
+ * @param {number} id
+ * @returns {Promise<Array<TemplateVersion>>}
+ */
+export const listTemplateVersions = async (id) => {
+  const response = await api.get(`/api/templates/${id}/versions`);
+  return response.data;
+};
+
+/**
+ * Fields changed between two revisions of a template
+ * @param {number} id
+ * @param {Object} [query]
+ * @param {number} [query.from]
+ * @param {number} [query.to]
+ * @returns {Promise<TemplateDiff>}
+ */
+export const diffTemplateVersions = async (id, query = {}) => {
+  const response = await api.get(`/api/templates/${id}/diff`, { params: query });
+  return response.data;
+};
+
+/**
+ * Restore an earlier revision of a template
+ * @param {number} id
+ * @param {RollbackTemplateBody} body
+ * @returns {Promise<Template>}
+ */
+export const rollbackTemplate = async (id, body) => {
+  const response = await api.post(`/api/templates/${id}/rollback`, body);
+  return response.data;
+};
+
+/**
+ * Get a chat reply
+ * @param {ChatBody} body
+ * @returns {Promise<ChatReply>}
+ */
+export const sendChatMessage = async (body) => {
+  const response = await api.post('/api/chat', body);
+  return response.data;
+};
+
+/**
+ * Generate and save an insight from template prompts
+ * @param {GenerateInsightBody} body
+ * @returns {Promise<GeneratedInsight>}
+ */
+export const generateInsight = async (body) => {
+  const response = await api.post('/api/generate-insight', body);
+  return response.data;
+};
+
+/**
+ * Generate and save an insight from a template filled with stored data
+ * @param {MultiSourceInsightBody} body
+ * @returns {Promise<MultiSourceInsight>}
+ */
+export const generateMultiSourceInsight = async (body) => {
+  const response = await api.post('/api/multi-source-insight', body);
+  return response.data;
+};
+
+/**
+ * Analyze text for patterns
+ * @param {AnalyzeContentBody} body
+ * @returns {Promise<ContentAnalysis>}
+ */
+export const analyzeContent = async (body) => {
+  const response = await api.post('/api/analyze-content', body);
+  return response.data;
+};
+
+/**
+ * AI usage for a month, and the monthly budget
+ * @param {Object} [query]
+ * @param {string} [query.month]
+ * @returns {Promise<AiUsageSummary>}
+ */
+export const getAiUsage = async (query = {}) => {
+  const response = await api.get('/api/ai/usage', { params: query });
+  return response.data;
+};
+
+/**
+ * Start building a ZIP of all your data, or get the one being built
+ * @returns {Promise<Takeout>}
+ */
+export const requestTakeout = async () => {
+  const response = await api.post('/api/takeouts');
+  return response.data;
+};
+
+/**
+ * List data takeouts, newest first
+ * @returns {Promise<Array<Takeout>>}
+ */
+export const listTakeouts = async () => {
+  const response = await api.get('/api/takeouts');
+  return response.data;
+};
+
+/**
+ * Check on a takeout
+ * @param {number} id
+ * @returns {Promise<Takeout>}
+ */
+export const getTakeout = async (id) => {
+  const response = await api.get(`/api/takeouts/${id}`);
+  return response.data;
+};
+
+/**
+ * Server status
+ * @returns {Promise<Status>}
+ */
+export const getStatus = async () => {
+  const response = await api.get('/api/status');
+  return response.data;
+};
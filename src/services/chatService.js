@@ -21,6 +21,103 @@ let dataCache = {
   expiryTime: 5 * 60 * 1000, // 5 minutes
 };
 
+// Give up on a streamed reply if nothing arrives for this long
+const STREAM_IDLE_TIMEOUT_MS = 30000;
+
+/**
+ * POST a JSON body and read the Server-Sent Events response as it arrives.
+ * Uses XMLHttpRequest because React Native's fetch can't read a body incrementally.
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - JSON request body
+ * @param {Function} onEvent - Called with (eventName, data) for each event; throwing aborts the stream
+ * @returns {Promise<void>} Resolves when the server closes the stream
+ */
+function postEventStream(url, body, onEvent) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let offset = 0;
+    let buffer = '';
+    let idleTimer = null;
+    let settled = false;
+    
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(idleTimer);
+      xhr.abort();
+      reject(error);
+    };
+    
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        fail(new Error('The request timed out. The server stopped responding.'));
+      }, STREAM_IDLE_TIMEOUT_MS);
+    };
+    
+    // Parse any complete events ("event: x\ndata: {...}\n\n") received so far
+    const readEvents = () => {
+      buffer += xhr.responseText.slice(offset);
+      offset = xhr.responseText.length;
+      
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      
+      for (const block of blocks) {
+        let event = 'message';
+        let data = '';
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event: ')) event = line.slice(7);
+          if (line.startsWith('data: ')) data += line.slice(6);
+        });
+        
+        try {
+          onEvent(event, data ? JSON.parse(data) : null);
+        } catch (error) {
+          fail(error);
+          return;
+        }
+      }
+    };
+    
+    xhr.open('POST', url);
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    xhr.setRequestHeader('Accept', 'text/event-stream');
+    
+    xhr.onprogress = () => {
+      if (xhr.status !== 200) return;
+      resetIdleTimer();
+      readEvents();
+    };
+    
+    xhr.onload = () => {
+      if (settled) return;
+      if (xhr.status !== 200) {
+        let message = `API error: ${xhr.status}`;
+        try {
+          const errorBody = JSON.parse(xhr.responseText);
+          message = errorBody.message || errorBody.details || errorBody.error || message;
+        } catch (parseError) {
+          // Keep the status-based message
+        }
+        fail(new Error(message));
+        return;
+      }
+      
+      readEvents();
+      if (settled) return;
+      settled = true;
+      clearTimeout(idleTimer);
+      resolve();
+    };
+    
+    xhr.onerror = () => fail(new Error('Network error. Please check your internet connection.'));
+    
+    resetIdleTimer();
+    xhr.send(JSON.stringify(body));
+  });
+}
+
 /**
  * The Chat Service for interacting with the AI assistant
  */
@@ -29,7 +126,7 @@ const chatService = {
    * Send a message to the AI assistant
    * @param {string} message - User's message
    * @param {Array} history - Chat history
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (provider and model pick the server's LLM provider)
    * @returns {Promise<Object>} Assistant's response
    */
   sendMessage: async (message, history = [], options = {}) => {
@@ -40,18 +137,19 @@ const chatService = {
       }
       
       // Check for server connection
+      let status;
       try {
-        const statusResponse = await api.get('/api/status');
-        
-        // Check if OpenAI API key is configured
-        if (!statusResponse.data.hasOpenAiKey) {
-          throw new Error('OpenAI API key is not configured. Please add your API key in the settings.');
-        }
+        status = (await api.get('/api/status')).data;
       } catch (statusError) {
         console.error('Error checking server status:', statusError);
         throw new Error('Cannot connect to server. Please check your internet connection.');
       }
       
+      // Check that the server's AI provider is configured
+      if (!status.ai?.available) {
+        throw new Error('The AI provider is not configured on the server.');
+      }
+      
       // Fetch relevant data from connected sources if needed
       let contextData = {};
       try {
@@ -61,18 +159,7 @@ const chatService = {
         // Continue without context data rather than failing the entire request
       }
       
-      // Create the prompt with context
-      const prompt = chatService.createPromptWithContext(message, contextData);
-      
-      // Build the messages array for the API
-      const messages = [
-        { role: 'system', content: options.systemMessage || DEFAULT_SYSTEM_MESSAGE },
-        ...history.map(msg => ({
-          role: msg.isUser ? 'user' : 'assistant',
-          content: msg.text
-        })),
-        { role: 'user', content: prompt }
-      ];
+      const messages = chatService.buildMessages(message, history, contextData, options);
       
       // Call the API with timeout handling
       let timeoutId;
@@ -86,7 +173,9 @@ const chatService = {
         messages,
         options: {
           temperature: options.temperature || 0.7,
-          max_tokens: options.maxTokens || 800
+          max_tokens: options.maxTokens || 800,
+          provider: options.provider,
+          model: options.model
         }
       });
       
@@ -98,7 +187,8 @@ const chatService = {
         text: response.data.response,
         timestamp: new Date().toISOString(),
         contextData: Object.keys(contextData),
-        usage: response.data.usage
+        usage: response.data.usage,
+        degraded: !!response.data.degraded
       };
     } catch (error) {
       console.error('Error sending message to AI:', error);
@@ -106,10 +196,12 @@ const chatService = {
       // Provide more user-friendly error messages
       if (error.response?.status === 401 || error.response?.status === 403) {
         throw new Error('Authentication error. Please check your API key.');
+      } else if (error.response?.status === 402) {
+        throw new Error('You have used this month\'s AI budget. You can raise it in Settings.');
       } else if (error.response?.status === 429) {
         throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (error.response?.data?.error) {
-        throw new Error(`API error: ${error.response.data.error}`);
+      } else if (error.response?.data?.message || error.response?.data?.error) {
+        throw new Error(`API error: ${error.response.data.message || error.response.data.error}`);
       } else if (error.message.includes('timeout')) {
         throw new Error('The request timed out. Please try again later.');
       } else if (error.message.includes('Network Error')) {
@@ -120,6 +212,85 @@ const chatService = {
     }
   },
   
+  /**
+   * Send a message and stream the assistant's reply as it is generated
+   * @param {string} message - User's message
+   * @param {Array} history - Chat history
+   * @param {Object} options - Additional options
+   * @param {Function} options.onToken - Called with each chunk of reply text as it arrives
+   * @returns {Promise<Object>} Assistant's complete response, with usage and context metadata
+   */
+  streamMessage: async (message, history = [], options = {}) => {
+    if (!message || !message.trim()) {
+      throw new Error('Message cannot be empty');
+    }
+    
+    // Fetch relevant data from connected sources if needed
+    let contextData = {};
+    try {
+      contextData = await chatService.getRelevantData(message);
+    } catch (dataError) {
+      console.warn('Error fetching context data:', dataError);
+    }
+    
+    const messages = chatService.buildMessages(message, history, contextData, options);
+    
+    let text = '';
+    let metadata = {};
+    
+    await postEventStream('/api/chat/stream', {
+      messages,
+      options: {
+        temperature: options.temperature || 0.7,
+        max_tokens: options.maxTokens || 800,
+        provider: options.provider,
+        model: options.model
+      },
+      context: { sources: Object.keys(contextData) }
+    }, (event, data) => {
+      if (event === 'token') {
+        text += data.text;
+        if (options.onToken) {
+          options.onToken(data.text, text);
+        }
+      } else if (event === 'done') {
+        metadata = data;
+      } else if (event === 'error') {
+        throw new Error(data.message || data.details || data.error);
+      }
+    });
+    
+    return {
+      text,
+      timestamp: new Date().toISOString(),
+      contextData: metadata.context?.sources || Object.keys(contextData),
+      usage: metadata.usage,
+      model: metadata.model,
+      degraded: !!metadata.degraded
+    };
+  },
+  
+  /**
+   * Build the messages array for the chat API
+   * @param {string} message - User's message
+   * @param {Array} history - Chat history
+   * @param {Object} contextData - Data from connected sources
+   * @param {Object} options - Additional options
+   * @returns {Array<Object>} Messages with system prompt, history and the contextualized user prompt
+   */
+  buildMessages: (message, history, contextData, options = {}) => {
+    const prompt = chatService.createPromptWithContext(message, contextData);
+    
+    return [
+      { role: 'system', content: options.systemMessage || DEFAULT_SYSTEM_MESSAGE },
+      ...history.map(msg => ({
+        role: msg.isUser ? 'user' : 'assistant',
+        content: msg.text
+      })),
+      { role: 'user', content: prompt }
+    ];
+  },
+  
   /**
    * Get data relevant to the user's query
    * @param {string} query - User's message
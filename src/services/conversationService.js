@@ -0,0 +1,94 @@
+/**
+ * Conversation Service
+ * Keeps chat conversations on the server so they can be resumed later,
+ * translating between stored messages and the chat interface's message shape
+ */
+
+import {
+  listConversations,
+  createConversation,
+  getConversation,
+  appendMessage,
+  removeConversation,
+} from './apiClient';
+
+// Longest conversation title taken from the opening message
+const MAX_TITLE_LENGTH = 50;
+
+/**
+ * Convert a stored message to the chat interface's shape
+ * @param {Object} message - Message from the API
+ * @returns {Object} - { id, text, isUser, timestamp, contextData, model }
+ */
+const fromStoredMessage = (message) => ({
+  id: String(message.id),
+  text: message.content,
+  isUser: message.role === 'user',
+  timestamp: message.createdAt,
+  contextData: message.contextData || undefined,
+  model: message.model || undefined,
+});
+
+/**
+ * Title a conversation after its opening message
+ * @param {string} text - First user message
+ * @returns {string} - Title
+ */
+const titleFrom = (text) => {
+  const title = text.trim().replace(/\s+/g, ' ');
+  return title.length > MAX_TITLE_LENGTH
+    ? `${title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…`
+    : title;
+};
+
+const conversationService = {
+  /**
+   * Load the most recently active conversation with its messages
+   * @returns {Promise<Object|null>} - { conversation, messages }, or null if there is none
+   */
+  loadLatest: async () => {
+    const conversations = await listConversations();
+    if (conversations.length === 0) {
+      return null;
+    }
+
+    const { messages, ...conversation } = await getConversation(conversations[0].id);
+    return { conversation, messages: messages.map(fromStoredMessage) };
+  },
+
+  /**
+   * Start a conversation titled after its opening message
+   * @param {string} text - First user message
+   * @returns {Promise<Object>} - Created conversation
+   */
+  start: async (text) => {
+    return createConversation({ title: titleFrom(text) });
+  },
+
+  /**
+   * Save a chat message to a conversation. Assistant messages keep the ids of
+   * the data sources their reply drew on.
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} message - Chat interface message
+   * @returns {Promise<Object>} - Stored message
+   */
+  saveMessage: async (conversationId, message) => {
+    return appendMessage(conversationId, {
+      role: message.isUser ? 'user' : 'assistant',
+      content: message.text,
+      contextData: message.isUser ? undefined : message.contextData,
+      model: message.model,
+    });
+  },
+
+  /**
+   * Delete a conversation and its messages
+   * @param {number} conversationId - Conversation ID
+   * @returns {Promise<Object>} - { success }
+   */
+  remove: async (conversationId) => {
+    return removeConversation(conversationId);
+  },
+};
+
+export default conversationService;
@@ -4,11 +4,23 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Linking } from 'react-native';
 import { api } from '../api';
+import {
+  authorizeOAuth,
+  getDataSource,
+  getDataSourceData,
+  getOAuthAuthorization,
+  removeDataSource,
+} from '../apiClient';
 
 // Storage keys
 const CONNECTED_SOURCES_KEY = 'solstice_connected_sources';
 
+// How long to wait for the user to finish a provider's consent screen
+const OAUTH_POLL_INTERVAL_MS = 3000;
+const OAUTH_TIMEOUT_MS = 5 * 60 * 1000;
+
 /**
  * Supported data source types
  */
@@ -23,6 +35,29 @@ export const DATA_SOURCE_TYPES = {
   CUSTOM: 'custom',
 };
 
+/**
+ * Wait for the OAuth callback to finish an authorization and connect its
+ * server-side data source
+ * @param {string} authorizationId - Id the server gave the authorization
+ * @returns {Promise<Object>} The connected server data source
+ */
+async function waitForOAuthConnection(authorizationId) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < OAUTH_TIMEOUT_MS) {
+    await new Promise(resolve => setTimeout(resolve, OAUTH_POLL_INTERVAL_MS));
+    
+    const authorization = await getOAuthAuthorization(authorizationId);
+    if (authorization.status === 'connected') {
+      return await getDataSource(authorization.dataSourceId);
+    }
+    if (authorization.status === 'failed' || authorization.status === 'expired') {
+      throw new Error(`Authorization ${authorization.status}`);
+    }
+  }
+  
+  throw new Error('Timed out waiting for authorization');
+}
+
 /**
  * Data Source Manager class
  * Handles registration, connection, and data retrieval from external services
@@ -88,6 +123,7 @@ class DataSourceManager {
       platforms: ['android', 'web'],
       requiresOAuth: true,
       oauthConfig: {
+        provider: 'google',
         authUrl: 'https://accounts.google.com/o/oauth2/auth',
         tokenUrl: 'https://oauth2.googleapis.com/token',
         clientId: '', // Would be set from environment
@@ -110,6 +146,7 @@ class DataSourceManager {
       platforms: ['ios', 'android', 'web'],
       requiresOAuth: true,
       oauthConfig: {
+        provider: 'spotify',
         authUrl: 'https://accounts.spotify.com/authorize',
         tokenUrl: 'https://accounts.spotify.com/api/token',
         clientId: '', // Would be set from environment
@@ -132,6 +169,7 @@ class DataSourceManager {
       platforms: ['ios', 'android', 'web'],
       requiresOAuth: true,
       oauthConfig: {
+        provider: 'notion',
         authUrl: 'https://api.notion.com/v1/oauth/authorize',
         tokenUrl: 'https://api.notion.com/v1/oauth/token',
         clientId: '', // Would be set from environment
@@ -154,6 +192,7 @@ class DataSourceManager {
       platforms: ['ios', 'android', 'web'],
       requiresOAuth: true,
       oauthConfig: {
+        provider: 'twitter',
         authUrl: 'https://twitter.com/i/oauth2/authorize',
         tokenUrl: 'https://api.twitter.com/2/oauth2/token',
         clientId: '', // Would be set from environment
@@ -277,8 +316,10 @@ class DataSourceManager {
         // Save to storage
         await this.saveConnectedSources();
         
-        // Sync with server
-        await this.syncSourceWithServer(connectedSource);
+        // OAuth sources are created on the server by the OAuth callback
+        if (!connectionResult.serverSourceId) {
+          await this.syncSourceWithServer(connectedSource);
+        }
         
         return connectedSource;
       } else {
@@ -309,7 +350,7 @@ class DataSourceManager {
       await this.saveConnectedSources();
       
       // Sync with server
-      await api.delete(`/api/data-sources/${id}`);
+      await removeDataSource(id);
       
       return true;
     } catch (error) {
@@ -427,14 +468,20 @@ class DataSourceManager {
     }
     
     try {
-      // This would initiate the OAuth flow in a real implementation
-      // For now, proxy to the server which would handle the OAuth flow
-      const response = await api.post('/api/oauth/connect', {
-        sourceId: source.id,
-        redirectUrl: source.oauthConfig.redirectUrl,
-      });
+      // The server keeps the PKCE verifier and signed state, and finishes the
+      // connection in /api/oauth/callback once the user approves access
+      const provider = source.oauthConfig.provider || source.id;
+      const { authUrl, authorizationId } = await authorizeOAuth(provider);
+      
+      await Linking.openURL(authUrl);
       
-      return response.data;
+      const serverSource = await waitForOAuthConnection(authorizationId);
+      return {
+        status: 'connected',
+        provider,
+        serverSourceId: serverSource.id,
+        permissions: serverSource.permissionScope || [],
+      };
     } catch (error) {
       console.error(`OAuth connection failed for ${source.id}:`, error);
       throw new Error(`Failed to authenticate with ${source.name}`);
@@ -469,14 +516,7 @@ class DataSourceManager {
     // This would use React Native Health Kit in a real implementation
     // For now, make a server request
     try {
-      const response = await api.get(`/api/data-sources/${source.id}/data`, {
-        params: {
-          dataType,
-          ...options,
-        }
-      });
-      
-      return response.data;
+      return await getDataSourceData(source.id, { dataType, ...options });
     } catch (error) {
       console.error(`Failed to fetch ${dataType} data from Apple Health:`, error);
       throw new Error(`Could not retrieve ${dataType} data from Apple Health`);
@@ -493,14 +533,7 @@ class DataSourceManager {
   async fetchGoogleFitData(source, dataType, options) {
     // Make a server request to fetch data
     try {
-      const response = await api.get(`/api/data-sources/${source.id}/data`, {
-        params: {
-          dataType,
-          ...options,
-        }
-      });
-      
-      return response.data;
+      return await getDataSourceData(source.id, { dataType, ...options });
     } catch (error) {
       console.error(`Failed to fetch ${dataType} data from Google Fit:`, error);
       throw new Error(`Could not retrieve ${dataType} data from Google Fit`);
@@ -517,14 +550,7 @@ class DataSourceManager {
   async fetchSpotifyData(source, dataType, options) {
     // Make a server request to fetch data
     try {
-      const response = await api.get(`/api/data-sources/${source.id}/data`, {
-        params: {
-          dataType,
-          ...options,
-        }
-      });
-      
-      return response.data;
+      return await getDataSourceData(source.id, { dataType, ...options });
     } catch (error) {
       console.error(`Failed to fetch ${dataType} data from Spotify:`, error);
       throw new Error(`Could not retrieve ${dataType} data from Spotify`);
@@ -541,14 +567,7 @@ class DataSourceManager {
   async fetchNotionData(source, dataType, options) {
     // Make a server request to fetch data
     try {
-      const response = await api.get(`/api/data-sources/${source.id}/data`, {
-        params: {
-          dataType,
-          ...options,
-        }
-      });
-      
-      return response.data;
+      return await getDataSourceData(source.id, { dataType, ...options });
     } catch (error) {
       console.error(`Failed to fetch ${dataType} data from Notion:`, error);
       throw new Error(`Could not retrieve ${dataType} data from Notion`);
@@ -565,14 +584,7 @@ class DataSourceManager {
   async fetchTwitterData(source, dataType, options) {
     // Make a server request to fetch data
     try {
-      const response = await api.get(`/api/data-sources/${source.id}/data`, {
-        params: {
-          dataType,
-          ...options,
-        }
-      });
-      
-      return response.data;
+      return await getDataSourceData(source.id, { dataType, ...options });
     } catch (error) {
       console.error(`Failed to fetch ${dataType} data from Twitter:`, error);
       throw new Error(`Could not retrieve ${dataType} data from Twitter`);
@@ -590,14 +602,7 @@ class DataSourceManager {
     // This would use location APIs in a real implementation
     // For now, make a server request
     try {
-      const response = await api.get(`/api/data-sources/${source.id}/data`, {
-        params: {
-          dataType,
-          ...options,
-        }
-      });
-      
-      return response.data;
+      return await getDataSourceData(source.id, { dataType, ...options });
     } catch (error) {
       console.error(`Failed to fetch ${dataType} location data:`, error);
       throw new Error(`Could not retrieve ${dataType} location data`);
@@ -0,0 +1,74 @@
+/**
+ * File download service
+ * Fetches a file the server sends as an attachment, then saves it (web) or
+ * opens the share sheet for it (native)
+ */
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { api } from './api';
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Base64 encode binary data, for writing it with expo-file-system
+ * @param {ArrayBuffer} buffer - Data to encode
+ * @returns {string} - Base64 text
+ */
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let output = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    output += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63];
+    output += i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=';
+    output += i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=';
+  }
+  return output;
+};
+
+/**
+ * File name the server gave the download
+ * @param {string} disposition - Content-Disposition header
+ * @param {string} fallback - Name to use if the header has none
+ * @returns {string} - File name
+ */
+const dispositionFileName = (disposition, fallback) => {
+  const match = /filename="([^"]+)"/.exec(disposition || '');
+  return match ? match[1] : fallback;
+};
+
+/**
+ * Download a file: save it on web, share it on native
+ * @param {string} url - API path of the file
+ * @param {Object} options
+ * @param {string} options.mimeType - Type of the file
+ * @param {string} options.fallbackName - File name if the server gives none
+ * @param {string} options.dialogTitle - Title of the share sheet
+ * @returns {Promise<string>} - File name of the download
+ */
+export async function downloadFile(url, { mimeType, fallbackName, dialogTitle }) {
+  const response = await api.get(url, { responseType: 'arraybuffer' });
+  const filename = dispositionFileName(response.headers['content-disposition'], fallbackName);
+
+  if (Platform.OS === 'web') {
+    const objectUrl = URL.createObjectURL(new Blob([response.data], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(objectUrl);
+    return filename;
+  }
+
+  const uri = `${FileSystem.cacheDirectory}${filename}`;
+  await FileSystem.writeAsStringAsync(uri, toBase64(response.data), {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+  await Sharing.shareAsync(uri, { mimeType, dialogTitle });
+  return filename;
+}
@@ -0,0 +1,34 @@
+/**
+ * Insight export service
+ * Downloads an insight rendered by the server as Markdown, HTML, PDF or JSON,
+ * then saves it (web) or opens the share sheet for it (native)
+ */
+import { downloadFile } from './fileDownload';
+import { exportInsight } from './apiClient';
+
+// Formats the server can render, as offered to the user
+export const EXPORT_FORMATS = [
+  { format: 'markdown', label: 'Markdown', mimeType: 'text/markdown' },
+  { format: 'html', label: 'HTML', mimeType: 'text/html' },
+  { format: 'pdf', label: 'PDF', mimeType: 'application/pdf' },
+  { format: 'json', label: 'JSON', mimeType: 'application/json' },
+];
+
+/**
+ * Export an insight in a format: download it on web, share it on native.
+ * Once the file is saved the export is recorded in the insight's history.
+ * @param {Object} insight - Saved insight
+ * @param {string} format - markdown, html, pdf or json
+ * @returns {Promise<string>} - File name of the export
+ */
+export async function exportInsightFile(insight, format) {
+  const { mimeType } = EXPORT_FORMATS.find(option => option.format === format);
+  const fileName = await downloadFile(`/api/insights/${insight.id}/export/${format}`, {
+    mimeType,
+    fallbackName: `solstice-insight-${insight.id}`,
+    dialogTitle: `Export ${insight.title}`,
+  });
+  
+  await exportInsight(insight.id, { destination: 'download', format });
+  return fileName;
+}
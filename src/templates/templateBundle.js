@@ -0,0 +1,219 @@
+/**
+ * Template bundles
+ * A portable `.solstice-template.json` file for sharing a template: its
+ * metadata, its prompts and settings, its sample input and output, and a
+ * checksum over all three so damaged or hand-edited files are caught on import.
+ */
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { validateTemplate } from './templateSchema';
+
+export const BUNDLE_FORMAT = 'solstice-template';
+export const BUNDLE_FORMAT_VERSION = 1;
+export const BUNDLE_EXTENSION = '.solstice-template.json';
+
+// Template fields carried as bundle metadata; isDefault and sync state stay
+// with the device that exported it
+const METADATA_FIELDS = [
+  'id', 'name', 'description', 'type', 'tags', 'author', 'version',
+  'dateCreated', 'icon', 'previewImage',
+];
+
+/**
+ * What's wrong with a bundle's template body, checked before any of it is read
+ * @param {*} body - The bundle's template
+ * @returns {Array} - Error messages; empty when the body can be used
+ */
+const templateBodyErrors = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['The template in the bundle is not an object'];
+  }
+
+  const errors = ['systemPrompt', 'promptTemplate']
+    .filter(field => typeof body[field] !== 'string')
+    .map(field => `The template's ${field} must be text`);
+  const { requiredDataFields } = body;
+  if (requiredDataFields !== undefined
+    && !(Array.isArray(requiredDataFields) && requiredDataFields.every(field => typeof field === 'string'))) {
+    errors.push("The template's requiredDataFields must be a list of field names");
+  }
+  return errors;
+};
+
+/**
+ * JSON with object keys sorted, so equal content always serializes the same
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Checksum of a bundle's content: 32-bit FNV-1a over the UTF-16 code units of
+ * its canonical JSON, prefixed with the algorithm
+ * @param {Object} content - { metadata, template, samples }
+ * @returns {string} - e.g. fnv1a32:9f3c01ab
+ */
+const bundleChecksum = ({ metadata, template, samples }) => {
+  const text = canonicalJson({ metadata, template, samples });
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `fnv1a32:${hash.toString(16).padStart(8, '0')}`;
+};
+
+/**
+ * Package a template as a bundle
+ * @param {Object} template - Template document
+ * @returns {Object} - Bundle
+ */
+export function createTemplateBundle(template) {
+  const metadata = {};
+  METADATA_FIELDS.forEach(field => {
+    if (template[field] !== undefined) {
+      metadata[field] = template[field];
+    }
+  });
+
+  const { sampleInput, sampleOutput, ...body } = template.template;
+  const content = {
+    metadata,
+    template: body,
+    samples: { input: sampleInput, output: sampleOutput },
+  };
+
+  return {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...content,
+    checksum: bundleChecksum(content),
+  };
+}
+
+/**
+ * Read a bundle back into a template document, checking its format, checksum
+ * and the template itself
+ * @param {string} text - Bundle file contents
+ * @returns {Object} - { valid, errors, template }; template is null when the bundle can't be read
+ */
+export function readTemplateBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    return { valid: false, errors: ['The file is not valid JSON'], template: null };
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !bundle.metadata || !bundle.template) {
+    return { valid: false, errors: ['The file is not a Solstice template bundle'], template: null };
+  }
+  if (bundle.formatVersion > BUNDLE_FORMAT_VERSION) {
+    return { valid: false, errors: ['The bundle was made by a newer version of Solstice'], template: null };
+  }
+  if (bundle.checksum !== bundleChecksum(bundle)) {
+    return { valid: false, errors: ['The bundle is damaged or was edited (checksum mismatch)'], template: null };
+  }
+  const bodyErrors = templateBodyErrors(bundle.template);
+  if (bodyErrors.length > 0) {
+    return { valid: false, errors: bodyErrors, template: null };
+  }
+
+  const samples = bundle.samples || {};
+  const template = {
+    ...bundle.metadata,
+    template: {
+      ...bundle.template,
+      sampleInput: samples.input,
+      sampleOutput: samples.output,
+    },
+  };
+
+  const validation = validateTemplate(template);
+  return { ...validation, template };
+}
+
+/**
+ * The data fields a template reads: those its prompt uses, in order, then any
+ * other required ones
+ * @param {Object} template - Template document
+ * @returns {Array} - [{ field, required }]
+ */
+export function templateDataFields(template) {
+  const { promptTemplate = '', requiredDataFields = [] } = template.template;
+  const fields = [];
+  const placeholder = /\{\{(\w+)\}\}/g;
+  let match;
+  while ((match = placeholder.exec(promptTemplate)) !== null) {
+    if (!fields.includes(match[1])) {
+      fields.push(match[1]);
+    }
+  }
+  requiredDataFields.forEach(field => {
+    if (!fields.includes(field)) {
+      fields.push(field);
+    }
+  });
+
+  return fields.map(field => ({ field, required: requiredDataFields.includes(field) }));
+}
+
+/**
+ * File name for a template's bundle, from its id
+ * @param {Object} template - Template document
+ * @returns {string} - e.g. daily-reflection.solstice-template.json
+ */
+export function bundleFileName(template) {
+  const base = String(template.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${base || 'template'}${BUNDLE_EXTENSION}`;
+}
+
+/**
+ * Write a template's bundle to a file and open the share sheet for it
+ * @param {Object} template - Template document
+ * @returns {Promise<string>} - URI of the written file
+ */
+export async function shareTemplateBundle(template) {
+  const uri = `${FileSystem.cacheDirectory}${bundleFileName(template)}`;
+  await FileSystem.writeAsStringAsync(uri, JSON.stringify(createTemplateBundle(template), null, 2));
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+  await Sharing.shareAsync(uri, {
+    mimeType: 'application/json',
+    dialogTitle: `Share ${template.name}`,
+  });
+  return uri;
+}
+
+/**
+ * Let the user pick a bundle file and read it
+ * @returns {Promise<Object|null>} - As readTemplateBundle, or null if the user cancelled
+ */
+export async function pickTemplateBundle() {
+  // Shared .json files often arrive without a JSON MIME type, so allow any
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*',
+    copyToCacheDirectory: true,
+  });
+  if (result.type !== 'success') {
+    return null;
+  }
+
+  return readTemplateBundle(await FileSystem.readAsStringAsync(result.uri));
+}
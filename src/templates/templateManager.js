@@ -1,14 +1,88 @@
 /**
  * Template manager
- * Manages the loading, storage, and application of templates
+ * Manages the loading, storage, and application of templates.
+ * Templates are kept on the device and synced with the user's template
+ * registry on the server, so they follow the user across devices.
+ * The server keeps every revision of a template; bundled defaults are
+ * upgraded when the app ships a newer version, unless the user has edited
+ * (forked) them.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { validateTemplate, TEMPLATE_TYPES } from './templateSchema';
+import {
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  removeTemplate,
+  listTemplateVersions,
+  diffTemplateVersions,
+  rollbackTemplate,
+} from '../services/apiClient';
 
 // Storage keys
 const TEMPLATE_STORAGE_PREFIX = 'solstice_template_';
 const ACTIVE_TEMPLATES_KEY = 'solstice_active_templates';
+// Sync state per template id: { serverId, syncedAt } once synced, with
+// dirty set while a local edit hasn't reached the server and deleted while a
+// local delete hasn't
+const TEMPLATE_SYNC_KEY = 'solstice_templates_sync';
+
+// Template document fields the server stores
+const SERVER_TEMPLATE_FIELDS = [
+  'id', 'name', 'description', 'type', 'tags', 'author', 'version',
+  'dateCreated', 'lastModified', 'icon', 'previewImage', 'template',
+];
+
+/**
+ * Convert a server template row to a template document
+ * @param {Object} row - Template from the API
+ * @returns {Object} Template document
+ */
+const fromServerTemplate = (row) => ({
+  ...row.definition,
+  id: row.templateId,
+  type: row.type,
+  name: row.name,
+  version: row.version,
+  isDefault: row.isDefault,
+  forked: row.forked,
+  lastModified: row.updatedAt,
+});
+
+/**
+ * Pick the fields of a template document the server accepts
+ * @param {Object} template - Template document
+ * @returns {Object} Request body
+ */
+const toServerTemplate = (template) => {
+  const body = {};
+  SERVER_TEMPLATE_FIELDS.forEach(field => {
+    if (template[field] !== undefined) {
+      body[field] = template[field];
+    }
+  });
+  return body;
+};
+
+/**
+ * Compare dotted numeric versions such as 1.2.0
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative when a is older, positive when newer, 0 if equal
+ */
+const compareVersions = (a = '1.0.0', b = '1.0.0') => {
+  const aParts = a.split('.').map(part => parseInt(part, 10) || 0);
+  const bParts = b.split('.').map(part => parseInt(part, 10) || 0);
+  
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const difference = (aParts[i] || 0) - (bParts[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
 
 /**
  * Template manager class for handling templates
@@ -17,6 +91,7 @@ class TemplateManager {
   constructor() {
     this.templates = new Map();
     this.activeTemplates = {};
+    this.syncState = {};
     this.initialized = false;
   }
 
@@ -46,9 +121,17 @@ class TemplateManager {
         });
       }
       
-      // Load default templates if no templates exist
-      if (this.templates.size === 0) {
-        await this.loadDefaultTemplates();
+      // Add new bundled defaults and upgrade the ones the user hasn't forked
+      await this.loadDefaultTemplates();
+      
+      // Bring the device and the server up to date with each other
+      const syncStateJson = await AsyncStorage.getItem(TEMPLATE_SYNC_KEY);
+      this.syncState = syncStateJson ? JSON.parse(syncStateJson) : {};
+      try {
+        await this.syncWithServer();
+      } catch (syncError) {
+        // Signed out or offline; the device's templates are still usable
+        console.warn('Template sync skipped:', syncError.message);
       }
       
       this.initialized = true;
@@ -61,7 +144,8 @@ class TemplateManager {
   }
 
   /**
-   * Load default templates
+   * Load default templates: add the bundled defaults missing on the device and
+   * replace unforked ones with newer bundled versions
    */
   async loadDefaultTemplates() {
     try {
@@ -70,7 +154,12 @@ class TemplateManager {
       
       // Add defaults to storage
       for (const template of defaultInsightTemplates) {
-        await this.saveTemplate(template);
+        const stored = this.templates.get(template.id);
+        const upgrade = stored && stored.isDefault && !stored.forked
+          && compareVersions(template.version, stored.version) > 0;
+        if (!stored || upgrade) {
+          await this.storeTemplate({ ...template, lastModified: new Date().toISOString() });
+        }
         
         // Set as active if it's a default template
         if (template.isDefault && !this.activeTemplates[template.type]) {
@@ -85,6 +174,106 @@ class TemplateManager {
     }
   }
 
+  /**
+   * Sync templates both ways with the server. Templates only on the server are
+   * pulled, templates only on the device are pushed, and for templates on both
+   * the device's copy wins if it was edited since the last sync. Deletes made
+   * on the device are sent; templates deleted on another device are removed
+   * here too. Edits and deletes are tracked with flags rather than timestamps,
+   * since the device's clock and the server's may disagree.
+   */
+  async syncWithServer() {
+    const serverTemplates = await listTemplates();
+    const serverIds = new Set(serverTemplates.map(row => row.templateId));
+    
+    for (const row of serverTemplates) {
+      const local = this.templates.get(row.templateId);
+      const synced = this.syncState[row.templateId];
+      
+      if (synced && synced.deleted) {
+        await removeTemplate(row.id);
+        delete this.syncState[row.templateId];
+        continue;
+      }
+      
+      // Only the user's edits to a default are theirs to push; bundled
+      // upgrades reach the server copy from the server's own defaults
+      const pushLocal = !!(local && synced && synced.dirty)
+        && !(row.isDefault && !local.forked);
+      
+      this.syncState[row.templateId] = { serverId: row.id, syncedAt: row.updatedAt };
+      if (pushLocal) {
+        await this.pushTemplate(local);
+      } else if (!synced || !local || row.updatedAt !== synced.syncedAt) {
+        await this.storeTemplate(fromServerTemplate(row));
+      }
+    }
+    
+    for (const [id, synced] of Object.entries(this.syncState)) {
+      // Deleted here and already gone from the server
+      if (synced.deleted && !serverIds.has(id)) {
+        delete this.syncState[id];
+      }
+    }
+    
+    for (const template of Array.from(this.templates.values())) {
+      if (serverIds.has(template.id)) continue;
+      
+      const synced = this.syncState[template.id];
+      if (synced && synced.serverId) {
+        // Synced before but gone from the server: deleted on another device
+        delete this.syncState[template.id];
+        this.templates.delete(template.id);
+        await AsyncStorage.removeItem(`${TEMPLATE_STORAGE_PREFIX}${template.id}`);
+      } else if (!template.isDefault) {
+        await this.pushTemplate(template);
+      }
+    }
+    
+    await this.saveSyncState();
+  }
+
+  /**
+   * Send a template to the server, creating or replacing it there, and keep
+   * the server's update time as its last modified date
+   * @param {Object} template - Template object
+   */
+  async pushTemplate(template) {
+    const synced = this.syncState[template.id];
+    const body = toServerTemplate(template);
+    
+    let row;
+    if (synced && synced.serverId) {
+      const { id, type, ...changes } = body;
+      row = await updateTemplate(synced.serverId, changes);
+    } else {
+      row = await createTemplate(body);
+    }
+    
+    this.syncState[template.id] = { serverId: row.id, syncedAt: row.updatedAt };
+    await this.storeTemplate({ ...template, lastModified: row.updatedAt });
+    await this.saveSyncState();
+  }
+
+  /**
+   * Write the sync state to the device
+   */
+  async saveSyncState() {
+    await AsyncStorage.setItem(TEMPLATE_SYNC_KEY, JSON.stringify(this.syncState));
+  }
+
+  /**
+   * Write a template to the device as-is
+   * @param {Object} template - Template object
+   */
+  async storeTemplate(template) {
+    this.templates.set(template.id, template);
+    await AsyncStorage.setItem(
+      `${TEMPLATE_STORAGE_PREFIX}${template.id}`,
+      JSON.stringify(template)
+    );
+  }
+
   /**
    * Get all templates
    * @param {string} type - Optional template type filter
@@ -149,14 +338,66 @@ class TemplateManager {
     // Update the last modified date
     template.lastModified = new Date().toISOString();
     
-    // Save to storage
-    this.templates.set(template.id, template);
-    await AsyncStorage.setItem(
-      `${TEMPLATE_STORAGE_PREFIX}${template.id}`,
-      JSON.stringify(template)
-    );
+    // Editing a default forks it, so bundled upgrades no longer replace it
+    if (template.isDefault) {
+      template.forked = true;
+    }
+    
+    // Save to storage, marked as not yet on the server
+    await this.storeTemplate(template);
+    this.syncState[template.id] = { ...this.syncState[template.id], dirty: true };
+    await this.saveSyncState();
+    
+    // Send it to the server once synced; if that fails, the next sync pushes it
+    if (this.initialized) {
+      try {
+        await this.pushTemplate(template);
+      } catch (error) {
+        console.warn('Failed to sync template:', error.message);
+      }
+    }
     
-    return template;
+    return this.getTemplate(template.id);
+  }
+
+  /**
+   * Add a template from a bundle. If the id is taken, the template either
+   * replaces the existing one or is added as a copy under a free id.
+   * @param {Object} template - Template document read from a bundle
+   * @param {Object} options
+   * @param {boolean} options.replace - Replace a template with the same id
+   * @returns {Object} The saved template
+   */
+  async importTemplate(template, { replace = false } = {}) {
+    const existing = this.getTemplate(template.id);
+    // An imported template is the user's own, never a default
+    const { isDefault, forked, ...imported } = template;
+
+    if (existing && replace) {
+      if (existing.isDefault) {
+        throw new Error('Cannot replace default templates');
+      }
+    } else if (existing) {
+      imported.id = this.availableTemplateId(template.id);
+    }
+
+    return this.saveTemplate({
+      ...imported,
+      dateCreated: imported.dateCreated || new Date().toISOString(),
+    });
+  }
+
+  /**
+   * A template id based on the given one that no template uses yet
+   * @param {string} id - Wanted template ID
+   * @returns {string} The ID, or the ID with -2, -3... appended
+   */
+  availableTemplateId(id) {
+    let candidate = id;
+    for (let copy = 2; this.templates.has(candidate); copy++) {
+      candidate = `${id}-${copy}`;
+    }
+    return candidate;
   }
 
   /**
@@ -185,9 +426,76 @@ class TemplateManager {
     this.templates.delete(id);
     await AsyncStorage.removeItem(`${TEMPLATE_STORAGE_PREFIX}${id}`);
     
+    // Remove from the server; if that fails, the next sync sends the delete
+    const synced = this.syncState[id];
+    if (synced && synced.serverId) {
+      this.syncState[id] = { serverId: synced.serverId, deleted: true };
+      await this.saveSyncState();
+      try {
+        await removeTemplate(synced.serverId);
+        delete this.syncState[id];
+        await this.saveSyncState();
+      } catch (error) {
+        console.warn('Failed to delete template from the server:', error.message);
+      }
+    } else if (synced) {
+      delete this.syncState[id];
+      await this.saveSyncState();
+    }
+    
     return true;
   }
 
+  /**
+   * Server id of a synced template
+   * @param {string} id - Template ID
+   * @returns {number} Server ID
+   */
+  getServerId(id) {
+    const synced = this.syncState[id];
+    if (!synced || !synced.serverId || synced.deleted) {
+      throw new Error(`Template with ID ${id} has not been synced`);
+    }
+    return synced.serverId;
+  }
+
+  /**
+   * Get the saved revisions of a template, newest first
+   * @param {string} id - Template ID
+   * @returns {Promise<Array>} Revisions
+   */
+  async getTemplateHistory(id) {
+    return listTemplateVersions(this.getServerId(id));
+  }
+
+  /**
+   * Compare two revisions of a template
+   * @param {string} id - Template ID
+   * @param {number} from - Earlier revision
+   * @param {number} [to] - Later revision; the latest if omitted
+   * @returns {Promise<Object>} { from, to, changes: [{ path, before, after }] }
+   */
+  async diffTemplateVersions(id, from, to) {
+    return diffTemplateVersions(this.getServerId(id), { from, to });
+  }
+
+  /**
+   * Restore an earlier revision of a template. The restore is saved as a new
+   * revision, so it can be undone too.
+   * @param {string} id - Template ID
+   * @param {number} revision - Revision to restore
+   * @returns {Promise<Object>} The restored template
+   */
+  async rollbackTemplate(id, revision) {
+    const row = await rollbackTemplate(this.getServerId(id), { revision });
+    
+    this.syncState[id] = { serverId: row.id, syncedAt: row.updatedAt };
+    await this.storeTemplate(fromServerTemplate(row));
+    await this.saveSyncState();
+    
+    return this.getTemplate(id);
+  }
+
   /**
    * Apply a template to generate content
    * @param {string} templateId - Template ID
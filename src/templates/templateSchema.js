@@ -102,6 +102,12 @@ export const insightTemplateSchema = {
         enum: ['markdown', 'json', 'structured'],
         default: 'markdown',
       },
+      // JSON Schema the output must match when outputFormat is json or
+      // structured; the server re-prompts the model until it does. title and
+      // summary properties, if present, become the insight's title and summary.
+      outputSchema: {
+        type: 'object',
+      },
       // Style for rendering the insight
       renderingStyle: {
         type: 'object',
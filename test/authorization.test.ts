@@ -0,0 +1,164 @@
+import { describe, it, before, after, type TestContext } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stubStorage, type TestApp } from "./support/app";
+
+// Every resource registered in server/authorization.ts, with the routes that
+// read, change and delete it by id. Another user's row answers the same 404 as
+// a missing one, and nothing is written.
+
+const OWNER = 'owner-1';
+const OTHER_USER = 'other-2';
+
+type ResourceCase = {
+  name: string;
+  load: 'getDataSourceById' | 'getInsightById' | 'getConversationById' | 'getTemplateById' | 'getTakeoutById';
+  path: string;
+  row: Record<string, unknown>;
+  notFoundMessage: string;
+  routes: { action: string; method: string; path: string; body?: unknown }[];
+  reads?: Record<string, (...args: any[]) => unknown>; // what its owner's read needs besides the row
+  writes: string[]; // storage methods none of the routes may reach for another user
+};
+
+const resources: ResourceCase[] = [
+  {
+    name: 'dataSource',
+    load: 'getDataSourceById',
+    path: '/api/data-sources',
+    row: { id: 11, userId: OWNER, name: 'Fitbit', sourceType: 'fitbit', status: 'connected' },
+    notFoundMessage: "Data source not found",
+    routes: [
+      { action: 'read', method: 'GET', path: '' },
+      { action: 'read records of', method: 'GET', path: '/data' },
+      { action: 'update', method: 'PUT', path: '', body: { name: 'Renamed' } },
+      { action: 'refresh', method: 'POST', path: '/refresh' },
+      { action: 'schedule', method: 'POST', path: '/schedule', body: { frequency: 'daily' } },
+      { action: 'ingest into', method: 'POST', path: '/ingest', body: { dataType: 'sleep', records: [{ date: '2026-10-01' }] } },
+      { action: 'delete', method: 'DELETE', path: '' },
+      { action: 'delete records of', method: 'DELETE', path: '/data' },
+    ],
+    writes: [
+      'updateDataSource',
+      'refreshDataSource',
+      'scheduleDataSourceSync',
+      'removeDataSource',
+      'addDataPoints',
+      'removeDataPoints',
+    ],
+  },
+  {
+    name: 'insight',
+    load: 'getInsightById',
+    path: '/api/insights',
+    row: { id: 12, userId: OWNER, title: 'Sleep', summary: 'Slept well', starred: false, archived: false },
+    notFoundMessage: "Insight not found",
+    routes: [
+      { action: 'read', method: 'GET', path: '' },
+      { action: 'read provenance of', method: 'GET', path: '/provenance' },
+      { action: 'star', method: 'POST', path: '/star', body: { starred: true } },
+      { action: 'archive', method: 'POST', path: '/archive', body: { archived: true } },
+      { action: 'export', method: 'GET', path: '/export/markdown' },
+    ],
+    writes: ['starInsight', 'archiveInsight', 'trackInsightExport', 'updateInsight', 'removeInsight'],
+  },
+  {
+    name: 'conversation',
+    load: 'getConversationById',
+    path: '/api/conversations',
+    row: { id: 13, userId: OWNER, title: 'Weekly review' },
+    notFoundMessage: "Conversation not found",
+    routes: [
+      { action: 'read', method: 'GET', path: '' },
+      { action: 'rename', method: 'PUT', path: '', body: { title: 'Renamed' } },
+      { action: 'add a message to', method: 'POST', path: '/messages', body: { role: 'user', content: 'Hello' } },
+      { action: 'delete', method: 'DELETE', path: '' },
+    ],
+    reads: { getConversationMessages: async () => [] },
+    writes: ['renameConversation', 'addMessage', 'removeConversation'],
+  },
+  {
+    name: 'template',
+    load: 'getTemplateById',
+    path: '/api/templates',
+    row: { id: 14, userId: OWNER, templateId: 'weekly', type: 'insight', name: 'Weekly', version: '1.0.0', definition: {} },
+    notFoundMessage: "Template not found",
+    routes: [
+      { action: 'read', method: 'GET', path: '' },
+      { action: 'read versions of', method: 'GET', path: '/versions' },
+      { action: 'update', method: 'PUT', path: '', body: { name: 'Renamed' } },
+      { action: 'roll back', method: 'POST', path: '/rollback', body: { revision: 1 } },
+      { action: 'delete', method: 'DELETE', path: '' },
+    ],
+    writes: ['updateTemplate', 'addTemplateVersion', 'removeTemplate'],
+  },
+  {
+    name: 'takeout',
+    load: 'getTakeoutById',
+    path: '/api/takeouts',
+    row: { id: 15, userId: OWNER, status: 'ready', createdAt: new Date() },
+    notFoundMessage: "Takeout not found",
+    routes: [
+      { action: 'read', method: 'GET', path: '' },
+      { action: 'download', method: 'GET', path: '/download' },
+    ],
+    writes: ['updateTakeout'],
+  },
+];
+
+describe('resource authorization', () => {
+  let app: TestApp;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  for (const resource of resources) {
+    describe(resource.name, () => {
+      const stubResource = (t: TestContext) => {
+        stubStorage(t, {
+          ...resource.reads,
+          [resource.load]: async (id: number) => (id === resource.row.id ? resource.row : undefined),
+        });
+        const rejectWrite = async () => assert.fail('wrote to storage');
+        return stubStorage(t, Object.fromEntries(resource.writes.map((name) => [name, rejectWrite])));
+      };
+
+      it('is readable by its owner', async (t) => {
+        stubResource(t);
+        const res = await app.request('GET', `${resource.path}/${resource.row.id}`, { user: OWNER });
+
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).id, resource.row.id);
+      });
+
+      for (const route of resource.routes) {
+        it(`won't ${route.action} another user's ${resource.name}`, async (t) => {
+          const writes = stubResource(t);
+          const res = await app.request(route.method, `${resource.path}/${resource.row.id}${route.path}`, {
+            user: OTHER_USER,
+            body: route.body,
+          });
+
+          assert.equal(res.status, 404);
+          assert.deepEqual(await res.json(), { message: resource.notFoundMessage });
+          Object.values(writes).forEach((write) => assert.equal(write.mock.callCount(), 0));
+        });
+
+        it(`answers 404 to ${route.action} a missing ${resource.name}`, async (t) => {
+          stubResource(t);
+          const res = await app.request(route.method, `${resource.path}/9999${route.path}`, {
+            user: OWNER,
+            body: route.body,
+          });
+
+          assert.equal(res.status, 404);
+          assert.deepEqual(await res.json(), { message: resource.notFoundMessage });
+        });
+      }
+    });
+  }
+});
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stubStorage, type TestApp } from "./support/app";
+
+// Downloading an insight's export changes nothing; the app records the export
+// separately once the file is saved
+
+const USER = 'user-1';
+
+const insight = {
+  id: 42,
+  userId: USER,
+  title: 'Morning energy',
+  summary: 'You have more energy after a walk',
+  content: 'You have more energy on days you walk before nine.',
+  type: 'generated',
+  details: {},
+  exportHistory: [],
+  createdAt: new Date('2026-10-01T08:00:00Z'),
+};
+
+describe('insight exports', () => {
+  let app: TestApp;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('downloads an export without recording it', async (t) => {
+    const storage = stubStorage(t, {
+      getInsightById: async () => insight,
+      getUserDataSources: async () => [],
+      trackInsightExport: async () => assert.fail('recorded the export'),
+    });
+
+    const first = await app.request('GET', '/api/insights/42/export/markdown', { user: USER });
+    const retried = await app.request('GET', '/api/insights/42/export/markdown', { user: USER });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('content-disposition'), 'attachment; filename="solstice-insight-42-morning-energy.md"');
+    assert.equal(await retried.text(), await first.text());
+    assert.equal(storage.trackInsightExport.mock.callCount(), 0);
+  });
+
+  it('records a download under the name it was saved as', async (t) => {
+    const storage = stubStorage(t, {
+      getInsightById: async () => insight,
+      trackInsightExport: async () => insight,
+    });
+
+    const res = await app.request('POST', '/api/insights/42/export', { user: USER, body: { destination: 'download', format: 'pdf' } });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(storage.trackInsightExport.mock.calls[0].arguments, [
+      42,
+      { destination: 'download', format: 'pdf', filename: 'solstice-insight-42-morning-energy.pdf' },
+    ]);
+  });
+});
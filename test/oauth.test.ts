@@ -0,0 +1,61 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stubStorage, type TestApp } from "./support/app";
+
+// Checking on an OAuth connection while the user is at the provider
+
+const USER = 'user-1';
+const IN_FIVE_MINUTES = () => new Date(Date.now() + 5 * 60 * 1000);
+
+function authorization(fields: Record<string, unknown>) {
+  return {
+    nonce: 'abc123',
+    userId: USER,
+    provider: 'spotify',
+    codeVerifier: 'verifier',
+    redirectUri: 'http://localhost/api/oauth/callback',
+    status: 'pending',
+    dataSourceId: null,
+    expiresAt: IN_FIVE_MINUTES(),
+    createdAt: new Date(),
+    ...fields,
+  };
+}
+
+describe('OAuth authorizations', () => {
+  let app: TestApp;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('reports the data source an authorization connected', async (t) => {
+    stubStorage(t, { getOAuthState: async () => authorization({ status: 'connected', dataSourceId: 11 }) });
+
+    const res = await app.request('GET', '/api/oauth/authorizations/abc123', { user: USER });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { id: 'abc123', provider: 'spotify', status: 'connected', dataSourceId: 11 });
+  });
+
+  it('reports an authorization the user never finished as expired', async (t) => {
+    stubStorage(t, { getOAuthState: async () => authorization({ expiresAt: new Date(Date.now() - 1000) }) });
+
+    const res = await app.request('GET', '/api/oauth/authorizations/abc123', { user: USER });
+
+    assert.equal((await res.json()).status, 'expired');
+  });
+
+  it("won't show another user's authorization", async (t) => {
+    stubStorage(t, { getOAuthState: async () => authorization({}) });
+
+    const res = await app.request('GET', '/api/oauth/authorizations/abc123', { user: 'other-2' });
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(await res.json(), { message: "Authorization not found" });
+  });
+});
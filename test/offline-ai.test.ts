@@ -0,0 +1,194 @@
+import { describe, it, before, after, type TestContext } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stubStorage, type TestApp } from "./support/app";
+
+// The AI endpoints end to end with the offline provider (llm/offline.js), which
+// answers deterministically without network access.
+
+process.env.LLM_PROVIDER = 'offline';
+delete process.env.LLM_MODEL;
+
+const { resolveProvider } = require("../llm");
+
+const USER = 'user-1';
+
+// Usage within budget unless the test says otherwise; saved insights and
+// usage entries are kept on the returned mocks
+function stubAiStorage(t: TestContext, { budgetSpent = false } = {}) {
+  return stubStorage(t, {
+    getUserPreferences: async () => (budgetSpent ? { userId: USER, aiMonthlyTokenBudget: 1000, aiBudgetAction: 'degrade' } : undefined),
+    getAiTokensUsed: async () => (budgetSpent ? 1000 : 0),
+    recordAiUsage: async (entry: object) => ({ id: 1, ...entry }),
+    saveInsight: async (insight: object) => ({ id: 1, ...insight }),
+  });
+}
+
+// Server-sent events as { event, data } pairs
+function parseEvents(body: string): { event: string; data: any }[] {
+  return body.trim().split('\n\n').map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+describe('AI endpoints with the offline provider', () => {
+  let app: TestApp;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('reports the offline provider in the status', async () => {
+    const res = await app.request('GET', '/api/status');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).ai, { provider: 'offline', model: 'offline-echo', available: true });
+  });
+
+  it('answers a chat and records its usage', async (t) => {
+    const storage = stubAiStorage(t);
+    const messages = [{ role: 'user', content: 'How did I sleep this week?' }];
+
+    const first = await app.request('POST', '/api/chat', { user: USER, body: { messages } });
+    const second = await app.request('POST', '/api/chat', { user: USER, body: { messages } });
+
+    assert.equal(first.status, 200);
+    const reply = await first.json();
+    assert.match(reply.response, /^This is an offline response \([0-9a-f]{8}\)\. You said: "How did I sleep this week\?"$/);
+    assert.equal(reply.model, 'offline-echo');
+    assert.equal(reply.degraded, false);
+    assert.ok(reply.usage.total_tokens > 0);
+    assert.equal((await second.json()).response, reply.response);
+
+    const [entry] = storage.recordAiUsage.mock.calls[0].arguments;
+    assert.equal(entry.userId, USER);
+    assert.equal(entry.endpoint, 'chat');
+    assert.equal(entry.provider, 'offline');
+    assert.equal(entry.totalTokens, reply.usage.total_tokens);
+  });
+
+  it('refuses providers and models the server has not enabled', async (t) => {
+    const storage = stubAiStorage(t);
+    const messages = [{ role: 'user', content: 'Hello' }];
+
+    const otherProvider = await app.request('POST', '/api/chat', { user: USER, body: { messages, options: { provider: 'local' } } });
+    const otherModel = await app.request('POST', '/api/chat', { user: USER, body: { messages, options: { model: 'gpt-4o' } } });
+    const defaultModel = await app.request('POST', '/api/chat', { user: USER, body: { messages, options: { model: 'offline-echo' } } });
+
+    assert.equal(otherProvider.status, 400);
+    assert.deepEqual(await otherProvider.json(), { message: "AI provider local is not enabled on this server" });
+    assert.equal(otherModel.status, 400);
+    assert.deepEqual(await otherModel.json(), { message: "AI model gpt-4o is not enabled on this server" });
+    assert.equal(defaultModel.status, 200);
+    assert.equal(storage.recordAiUsage.mock.callCount(), 1);
+  });
+
+  it('streams a chat reply a word at a time', async (t) => {
+    const storage = stubAiStorage(t);
+    const messages = [{ role: 'user', content: 'Summarize my week' }];
+
+    const res = await app.request('POST', '/api/chat/stream', {
+      user: USER,
+      body: { messages, context: { sources: ['fitbit'] } },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    const events = parseEvents(await res.text());
+    const tokens = events.filter((event) => event.event === 'token').map((event) => event.data.text);
+    const done = events[events.length - 1];
+
+    assert.ok(tokens.length > 1);
+    assert.match(tokens.join(''), /You said: "Summarize my week"$/);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.model, 'offline-echo');
+    assert.equal(done.data.finishReason, 'stop');
+    assert.deepEqual(done.data.context, { sources: ['fitbit'], messageCount: 1 });
+    assert.equal(storage.recordAiUsage.mock.calls[0].arguments[0].endpoint, 'chat-stream');
+  });
+
+  it('generates and saves an insight, then serves the same prompts from the cache', async (t) => {
+    const storage = stubAiStorage(t);
+    const body = { systemPrompt: 'You summarize health data.', userPrompt: 'Steps: 8000, 9500, 12000 (offline cache test)' };
+
+    const first = await app.request('POST', '/api/generate-insight', { user: USER, body });
+    const second = await app.request('POST', '/api/generate-insight', { user: USER, body });
+
+    assert.equal(first.status, 200);
+    const generated = await first.json();
+    assert.match(generated.result, /You said: "Steps: 8000, 9500, 12000 \(offline cache test\)"$/);
+    assert.equal(generated.model, 'offline-echo');
+    assert.equal(generated.cached, false);
+    assert.equal(generated.insight.userId, USER);
+    assert.equal(generated.insight.type, 'generated');
+    assert.equal(generated.insight.details.model, 'offline-echo');
+
+    const repeated = await second.json();
+    assert.equal(repeated.cached, true);
+    assert.equal(repeated.result, generated.result);
+    assert.equal(storage.saveInsight.mock.callCount(), 2);
+    assert.equal(storage.recordAiUsage.mock.callCount(), 1);
+  });
+
+  it("doesn't serve one user's cached insight to another", async (t) => {
+    stubAiStorage(t);
+    const body = { systemPrompt: 'You summarize health data.', userPrompt: 'Steps: 7000 (per-user cache test)' };
+
+    const first = await app.request('POST', '/api/generate-insight', { user: USER, body });
+    const other = await app.request('POST', '/api/generate-insight', { user: 'user-2', body });
+
+    assert.equal((await first.json()).cached, false);
+    assert.equal((await other.json()).cached, false);
+  });
+
+  it('returns the JSON example a JSON insight asks for', async (t) => {
+    stubAiStorage(t);
+    const res = await app.request('POST', '/api/generate-insight', {
+      user: USER,
+      body: {
+        systemPrompt: 'Reply with JSON like {"title": "Sleep", "summary": "Seven hours a night"}',
+        userPrompt: 'Sleep: 7h, 7h, 6.5h',
+        format: 'json',
+      },
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(JSON.parse((await res.json()).result), { title: 'Sleep', summary: 'Seven hours a night' });
+  });
+
+  it('analyzes content, and answers 502 when the model replies with something other than JSON', async (t) => {
+    const storage = stubAiStorage(t);
+    const body = { content: 'I walked every morning and slept better.', type: 'behavioral' };
+
+    const analyzed = await app.request('POST', '/api/analyze-content', { user: USER, body });
+    assert.equal(analyzed.status, 200);
+    assert.deepEqual(Object.keys(await analyzed.json()), ['summary', 'patterns', 'primaryTheme', 'recommendations']);
+
+    const { provider } = resolveProvider({});
+    t.mock.method(provider, 'complete', async () => ({ content: 'Here is my analysis: you walk a lot.', model: 'offline-echo', usage: null, finishReason: 'stop' }));
+    const invalid = await app.request('POST', '/api/analyze-content', { user: USER, body });
+
+    assert.equal(invalid.status, 502);
+    assert.deepEqual(await invalid.json(), { message: "The AI model's analysis wasn't valid JSON. Please try again." });
+    assert.equal(storage.recordAiUsage.mock.callCount(), 2);
+  });
+
+  it("doesn't cache insights generated while degraded", async (t) => {
+    const storage = stubAiStorage(t, { budgetSpent: true });
+    const body = { systemPrompt: 'You summarize health data.', userPrompt: 'Steps: 4000 (degraded cache test)' };
+
+    const first = await app.request('POST', '/api/generate-insight', { user: USER, body });
+    const second = await app.request('POST', '/api/generate-insight', { user: USER, body });
+
+    const generated = await first.json();
+    assert.equal(generated.degraded, true);
+    assert.equal(generated.cached, false);
+    assert.equal((await second.json()).cached, false);
+    assert.equal(storage.recordAiUsage.mock.callCount(), 2);
+    assert.equal(storage.recordAiUsage.mock.calls[0].arguments[0].degraded, true);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import type { LlmProvider } from "../server/ai-usage";
+
+// Checking model replies against a template's output schema, and asking the
+// model to fix the ones that don't match. The repair limit here isn't a
+// number, so the default of two repairs applies.
+
+process.env.INSIGHT_OUTPUT_REPAIRS = 'lots';
+
+const { checkOutput, completeStructured } = require("../server/structured-output") as typeof import("../server/structured-output");
+
+const schema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', maxLength: 20 },
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    mood: { enum: ['good', 'bad'] },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+  },
+  required: ['title', 'score'],
+  additionalProperties: false,
+};
+
+// A provider answering with each reply in turn, recording the messages it was sent
+function scriptedProvider(replies: string[]) {
+  const requests: { role: string; content: string }[][] = [];
+  const provider: LlmProvider = {
+    name: 'scripted',
+    complete: async (params: any) => {
+      requests.push(params.messages);
+      const content = replies[Math.min(requests.length - 1, replies.length - 1)];
+      return { content, model: 'scripted', usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }, finishReason: 'stop' };
+    },
+    stream: async () => assert.fail('streamed'),
+  };
+  return { provider, requests };
+}
+
+const params = { model: 'scripted', messages: [{ role: 'user', content: 'Summarize my week' }], temperature: 0, maxTokens: 100 };
+
+describe('checkOutput', () => {
+  it('accepts a matching reply, inside a code fence too', () => {
+    const reply = '```json\n{"title": "Good week", "score": 80, "mood": "good", "tags": ["sleep"]}\n```';
+
+    assert.deepEqual(checkOutput(reply, schema), {
+      output: { title: 'Good week', score: 80, mood: 'good', tags: ['sleep'] },
+      outputErrors: [],
+    });
+  });
+
+  it('lists every problem with a reply', () => {
+    const reply = JSON.stringify({ title: 'A title far too long to fit', score: 101.5, mood: 'fine', tags: ['a', 'b', 3], extra: true });
+
+    assert.deepEqual(checkOutput(reply, schema).outputErrors, [
+      'output.title must be at most 20 characters',
+      'output.score must be integer',
+      'output.mood must be one of "good", "bad"',
+      'output.tags must have at most 2 items',
+      'output.tags[2] must be string',
+      'output.extra is not allowed',
+    ]);
+  });
+
+  it('reports missing fields, and replies that are not a JSON object', () => {
+    assert.deepEqual(checkOutput('{"score": 5}', schema).outputErrors, ['output.title is required']);
+    assert.deepEqual(checkOutput('[1, 2]', schema).outputErrors, ['output must be a JSON object']);
+    assert.deepEqual(checkOutput('Here you go!', schema), { output: null, outputErrors: ['the reply is not valid JSON'] });
+  });
+});
+
+describe('completeStructured', () => {
+  it('asks the model to fix a reply, with the problems found', async () => {
+    const { provider, requests } = scriptedProvider(['{"title": "Week"}', '{"title": "Week", "score": 70}']);
+    const completions: unknown[] = [];
+
+    const result = await completeStructured(provider, params, schema, async (messages, completion) => {
+      completions.push(completion);
+    });
+
+    assert.deepEqual(result.output, { title: 'Week', score: 70 });
+    assert.equal(result.repairs, 1);
+    assert.deepEqual(result.usage, { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 });
+    assert.equal(completions.length, 2);
+    assert.deepEqual(requests[1].slice(1, 2), [{ role: 'assistant', content: '{"title": "Week"}' }]);
+    assert.match(requests[1][2].content, /- output\.score is required/);
+  });
+
+  it('gives up after the default number of repairs when the limit is not a number', async () => {
+    const { provider, requests } = scriptedProvider(['not JSON']);
+
+    const result = await completeStructured(provider, params, schema, async () => undefined);
+
+    assert.equal(result.output, null);
+    assert.deepEqual(result.outputErrors, ['the reply is not valid JSON']);
+    assert.equal(result.repairs, 2);
+    assert.equal(requests.length, 3);
+  });
+});
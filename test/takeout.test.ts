@@ -0,0 +1,77 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { stubStorage } from "./support/app";
+import { currentTakeout, requestTakeout } from "../server/takeout";
+import type { Takeout } from "../shared/schema";
+
+// When a takeout that never finished is given up on
+
+const USER = 'user-1';
+const HOURS_AGO = (hours: number) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+function takeout(fields: Partial<Takeout>): Takeout {
+  return {
+    id: 1,
+    userId: USER,
+    status: 'pending',
+    fileName: null,
+    size: null,
+    manifest: null,
+    errorMessage: null,
+    createdAt: new Date(),
+    startedAt: null,
+    completedAt: null,
+    expiresAt: null,
+    ...fields,
+  };
+}
+
+describe('unfinished takeouts', () => {
+  it('gives up on a build that has run too long', async (t) => {
+    const storage = stubStorage(t, { updateTakeout: async (id: number, fields: object) => takeout({ id, ...fields }) });
+
+    const result = await currentTakeout(takeout({ status: 'building', createdAt: HOURS_AGO(3), startedAt: HOURS_AGO(2) }));
+
+    assert.equal(result.status, 'failed');
+    assert.equal(storage.updateTakeout.mock.callCount(), 1);
+  });
+
+  it('measures a build from when it started, not when it was requested', async (t) => {
+    const storage = stubStorage(t, { updateTakeout: async () => assert.fail('updated the takeout') });
+    const building = takeout({ status: 'building', createdAt: HOURS_AGO(3), startedAt: new Date() });
+
+    assert.equal(await currentTakeout(building), building);
+    assert.equal(storage.updateTakeout.mock.callCount(), 0);
+  });
+
+  it("gives up on a takeout no server's queue is holding", async (t) => {
+    stubStorage(t, { updateTakeout: async (id: number, fields: object) => takeout({ id, ...fields }) });
+
+    const result = await currentTakeout(takeout({ id: 404, createdAt: HOURS_AGO(2) }));
+
+    assert.equal(result.status, 'failed');
+  });
+
+  it("keeps a takeout waiting in this server's queue, and skips it if it's given up on meanwhile", async (t) => {
+    let release = () => {};
+    const storage = stubStorage(t, {
+      getUserTakeouts: async () => [],
+      createTakeout: async (fields: object) => takeout({ id: 7, ...fields }),
+      // Held until released, as if builds ahead of it were still running;
+      // by then another check has given up on it
+      getTakeoutById: async () => {
+        await new Promise<void>((resolve) => { release = resolve; });
+        return takeout({ id: 7, status: 'failed' });
+      },
+      updateTakeout: async () => assert.fail('updated the takeout'),
+    });
+
+    const requested = await requestTakeout(USER);
+    const waiting = { ...requested, createdAt: HOURS_AGO(2) };
+    assert.equal(await currentTakeout(waiting), waiting);
+
+    release();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(storage.updateTakeout.mock.callCount(), 0);
+  });
+});
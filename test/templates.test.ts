@@ -0,0 +1,90 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, stubStorage, type TestApp } from "./support/app";
+
+// Template documents are checked on the way in, and ones stored before that
+// was the case are refused by the routes that read them
+
+const USER = 'user-1';
+
+const document = {
+  id: 'weekly',
+  name: 'Weekly',
+  description: 'A weekly summary',
+  type: 'insight',
+  template: {
+    systemPrompt: 'You summarize health data.',
+    promptTemplate: 'Sleep: {{sleep}}',
+    requiredDataFields: ['sleep'],
+    outputFormat: 'markdown',
+    renderingStyle: { cardStyle: 'minimal' },
+  },
+};
+
+describe('template documents', () => {
+  let app: TestApp;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('refuses a template body of the wrong shape', async () => {
+    const res = await app.request('POST', '/api/templates', {
+      user: USER,
+      body: { ...document, template: { ...document.template, requiredDataFields: 'sleep', outputFormat: 'pdf' } },
+    });
+
+    assert.equal(res.status, 400);
+    const fields = (await res.json()).errors.map((error: { field: string }) => error.field);
+    assert.deepEqual(fields.sort(), ['template.outputFormat', 'template.requiredDataFields']);
+  });
+
+  it('refuses a template without prompts', async () => {
+    const { systemPrompt, promptTemplate, ...rest } = document.template;
+    const res = await app.request('POST', '/api/templates', { user: USER, body: { ...document, template: rest } });
+
+    assert.equal(res.status, 400);
+  });
+
+  it('keeps the fields the app adds to a template body', async (t) => {
+    const storage = stubStorage(t, {
+      getUserTemplates: async () => [],
+      addTemplates: async () => [],
+      createTemplate: async (row: object) => ({ id: 1, ...row }),
+      addTemplateVersion: async () => ({}),
+    });
+    const res = await app.request('POST', '/api/templates', { user: USER, body: document });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(storage.createTemplate.mock.calls[0].arguments[0].definition.template, document.template);
+  });
+
+  it('answers 400 for a stored template whose required fields are not a list', async (t) => {
+    const { requiredDataFields, ...rest } = document.template;
+    const stored = {
+      id: 1,
+      userId: USER,
+      templateId: 'weekly',
+      type: 'insight',
+      name: 'Weekly',
+      version: '1.0.0',
+      definition: { description: 'A weekly summary', template: { ...rest, requiredDataFields: 'sleep' } },
+    };
+    stubStorage(t, {
+      getUserPreferences: async () => undefined,
+      getAiTokensUsed: async () => 0,
+      getUserTemplates: async () => [stored],
+      addTemplates: async () => [],
+      getUserTemplate: async () => stored,
+    });
+
+    const res = await app.request('POST', '/api/multi-source-insight', { user: USER, body: { templateId: 'weekly' } });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { message: "Template requiredDataFields must be a list of field names" });
+  });
+});